@@ -11,6 +11,7 @@ import MessageInput from "./hooks/message_input"
 import VariantOverflow from "./hooks/variant_overflow"
 import ControllerHaptic from "./hooks/controller_haptic"
 import ControllerKeyboard from "./hooks/controller_keyboard"
+import ControllerHardware from "./hooks/controller_hardware"
 import HostProductsScroll from "./hooks/host_products_scroll"
 import ViewerChart from "./hooks/viewer_chart"
 import ConfirmDelete from "./hooks/confirm_delete"
@@ -63,6 +64,7 @@ const Hooks = {
   VariantOverflow,
   ControllerHaptic,
   ControllerKeyboard,
+  ControllerHardware,
   HostProductsScroll,
   ViewerChart,
   ConfirmDelete,
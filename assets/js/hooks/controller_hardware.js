@@ -0,0 +1,343 @@
+import {
+  HARDWARE_ACTIONS,
+  assignControl,
+  controlsFor,
+  describeControl,
+  eventForInput,
+  gamepadInputs,
+  gamepadSnapshot,
+  learnable,
+  parseMappings,
+  parseMidiMessage,
+  serializeMappings,
+} from "../lib/hardware/hardware-input.mjs"
+import { sendCommand } from "../lib/offline/offline-queue"
+
+/**
+ * ControllerHardware Hook
+ * Drives the product set controller from MIDI pads, knobs and pedals (Web
+ * MIDI) and gamepads (Gamepad API), pushing the same events as the keyboard
+ * and taps: next_product, previous_product, next_image, previous_image,
+ * go_back and jump_to_product. Like the keyboard's, navigation made while
+ * the socket is down is queued (lib/offline).
+ *
+ * Learn mode: press Learn next to an action, then the control to use for it
+ * (Esc cancels). Knobs can scroll through products. Mappings are saved in
+ * localStorage per device, so a pad and a pedal keep their own.
+ *
+ * MIDI access needs a permission prompt, so it starts from the Connect MIDI
+ * button (or by itself once permission has been granted). Gamepads show up
+ * after their first button press, as browsers require.
+ */
+const STORAGE_KEY = "pavoi_hardware_mappings"
+
+export default {
+  mounted() {
+    this.supportsMidi = "requestMIDIAccess" in navigator
+    this.supportsGamepad = "getGamepads" in navigator
+    if (!this.supportsMidi && !this.supportsGamepad) {
+      this.el.hidden = true
+      return
+    }
+
+    this.mappings = parseMappings(localStorage.getItem(STORAGE_KEY))
+    this.isCollapsed = localStorage.getItem("pavoi_hardware_collapsed") !== "false"
+    // Connected devices: key ("midi:<name>" / "gamepad:<id>") → label
+    this.devices = new Map()
+    this.selectedDevice = Object.keys(this.mappings)[0] || null
+    // Debounce and knob state per device
+    this.memory = new Map()
+    this.gamepads = new Map()
+    this.gamepadFrame = null
+    this.midiAccess = null
+    // { action, position } while waiting for a control to learn
+    this.learning = null
+
+    this.handleClick = this.handleClick.bind(this)
+    this.handleChange = this.handleChange.bind(this)
+    this.handleLearnKeydown = this.handleLearnKeydown.bind(this)
+    this.pollGamepads = this.pollGamepads.bind(this)
+    this.handleGamepadConnected = (e) => this.addGamepad(e.gamepad)
+    this.handleGamepadDisconnected = (e) => this.removeGamepad(e.gamepad)
+
+    this.el.addEventListener("click", this.handleClick)
+    this.el.addEventListener("change", this.handleChange)
+    window.addEventListener("keydown", this.handleLearnKeydown)
+
+    if (this.supportsGamepad) {
+      window.addEventListener("gamepadconnected", this.handleGamepadConnected)
+      window.addEventListener("gamepaddisconnected", this.handleGamepadDisconnected)
+      navigator.getGamepads().forEach((gamepad) => gamepad && this.addGamepad(gamepad))
+    }
+
+    if (this.supportsMidi && navigator.permissions) {
+      navigator.permissions
+        .query({ name: "midi" })
+        .then((status) => status.state === "granted" && this.connectMidi())
+        .catch(() => {})
+    }
+
+    this.render()
+  },
+
+  destroyed() {
+    if (!this.mappings) return
+
+    this.el.removeEventListener("click", this.handleClick)
+    this.el.removeEventListener("change", this.handleChange)
+    window.removeEventListener("keydown", this.handleLearnKeydown)
+    window.removeEventListener("gamepadconnected", this.handleGamepadConnected)
+    window.removeEventListener("gamepaddisconnected", this.handleGamepadDisconnected)
+    cancelAnimationFrame(this.gamepadFrame)
+
+    if (this.midiAccess) {
+      this.midiAccess.onstatechange = null
+      this.midiAccess.inputs.forEach((input) => (input.onmidimessage = null))
+    }
+  },
+
+  async connectMidi() {
+    try {
+      this.midiAccess = await navigator.requestMIDIAccess()
+    } catch (error) {
+      console.warn("[ControllerHardware] MIDI access denied:", error)
+      this.midiError = "MIDI access was blocked by the browser"
+      this.render()
+      return
+    }
+
+    this.midiAccess.onstatechange = () => this.listenToMidiInputs()
+    this.listenToMidiInputs()
+  },
+
+  listenToMidiInputs() {
+    for (const key of this.devices.keys()) {
+      if (key.startsWith("midi:")) this.devices.delete(key)
+    }
+
+    this.midiAccess.inputs.forEach((input) => {
+      if (input.state !== "connected") return
+      const device = `midi:${input.name}`
+      this.devices.set(device, input.name)
+      input.onmidimessage = (message) => {
+        const parsed = parseMidiMessage(message.data)
+        if (parsed) this.handleInput(device, parsed)
+      }
+    })
+
+    this.selectConnectedDevice()
+    this.render()
+  },
+
+  addGamepad(gamepad) {
+    this.devices.set(`gamepad:${gamepad.id}`, gamepad.id.replace(/\s*\(.*\)\s*$/, "") || "Gamepad")
+    this.selectConnectedDevice()
+    this.render()
+
+    if (!this.gamepadFrame) {
+      this.gamepadFrame = requestAnimationFrame(this.pollGamepads)
+    }
+  },
+
+  removeGamepad(gamepad) {
+    this.gamepads.delete(gamepad.index)
+    this.devices.delete(`gamepad:${gamepad.id}`)
+    this.render()
+  },
+
+  // The Gamepad API has no input events, so connected gamepads are polled each frame
+  pollGamepads() {
+    for (const gamepad of navigator.getGamepads()) {
+      if (!gamepad) continue
+
+      const snapshot = gamepadSnapshot(gamepad)
+      const inputs = gamepadInputs(this.gamepads.get(gamepad.index), snapshot)
+      this.gamepads.set(gamepad.index, snapshot)
+      inputs.forEach((input) => this.handleInput(`gamepad:${gamepad.id}`, input))
+    }
+
+    this.gamepadFrame = this.gamepads.size > 0 ? requestAnimationFrame(this.pollGamepads) : null
+  },
+
+  handleInput(device, input) {
+    if (this.learning) {
+      if (!learnable(this.learning.action, input)) return
+
+      const { action, position } = this.learning
+      const binding = action === "jump_to_product" ? { action, position } : { action }
+      this.saveMappings(assignControl(this.mappings, device, input.control, binding))
+      this.selectedDevice = device
+      this.learning = null
+      this.render()
+      return
+    }
+
+    const mapping = this.mappings[device]
+    if (!mapping) return
+
+    if (!this.memory.has(device)) this.memory.set(device, new Map())
+    const result = eventForInput(mapping, input, this.memory.get(device), performance.now())
+
+    if (result) {
+      sendCommand(this, result.event, result.params)
+      this.flashControl(input.control)
+    }
+  },
+
+  handleClick(e) {
+    const target = e.target.closest("button")
+    if (!target) return
+
+    if (target.id === "hardware-header") {
+      this.isCollapsed = !this.isCollapsed
+      localStorage.setItem("pavoi_hardware_collapsed", this.isCollapsed)
+      this.render()
+    } else if (target.id === "hardware-midi") {
+      this.connectMidi()
+    } else if (target.dataset.learn) {
+      this.toggleLearning(target.dataset.learn)
+    } else if (target.dataset.unmap && this.selectedDevice) {
+      this.saveMappings(assignControl(this.mappings, this.selectedDevice, target.dataset.unmap, null))
+      this.render()
+    }
+  },
+
+  handleChange(e) {
+    if (e.target.id === "hardware-device") {
+      this.selectedDevice = e.target.value
+      this.render()
+    }
+  },
+
+  handleLearnKeydown(e) {
+    if (this.learning && e.key === "Escape") {
+      e.preventDefault()
+      this.learning = null
+      this.render()
+    }
+  },
+
+  toggleLearning(action) {
+    if (this.learning?.action === action) {
+      this.learning = null
+    } else if (action === "jump_to_product") {
+      const position = parseInt(this.el.querySelector("#hardware-jump-position").value, 10)
+      this.learning = position > 0 ? { action, position } : null
+    } else {
+      this.learning = { action }
+    }
+    this.render()
+  },
+
+  saveMappings(mappings) {
+    this.mappings = mappings
+    localStorage.setItem(STORAGE_KEY, serializeMappings(mappings))
+  },
+
+  // Keep the selected device if it's connected (or has mappings), else pick a connected one
+  selectConnectedDevice() {
+    if (this.devices.has(this.selectedDevice)) return
+    if (this.devices.size > 0) this.selectedDevice = this.devices.keys().next().value
+  },
+
+  flashControl(control) {
+    const chip = this.el.querySelector(`[data-control="${CSS.escape(control)}"]`)
+    if (!chip) return
+    chip.classList.remove("hardware-control--active")
+    void chip.offsetWidth
+    chip.classList.add("hardware-control--active")
+  },
+
+  render() {
+    const deviceKeys = [...new Set([...this.devices.keys(), ...Object.keys(this.mappings)])]
+    const mapping = this.mappings[this.selectedDevice] || {}
+    const jumps = [...new Set(Object.values(mapping).filter((b) => b.position).map((b) => b.position))]
+    const jumpValue = this.el.querySelector("#hardware-jump-position")?.value || "1"
+
+    const status = this.devices.size === 0
+      ? "No devices"
+      : `${this.devices.size} device${this.devices.size === 1 ? "" : "s"}`
+
+    this.el.innerHTML = `
+      <div class="hardware-panel${this.isCollapsed ? " controller-panel--collapsed" : ""}">
+        <button type="button" class="controller-panel__header" id="hardware-header">
+          <span class="controller-panel__title">Hardware Controls</span>
+          <span class="hardware-status">${status}</span>
+          <svg class="controller-panel__chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="6 9 12 15 18 9"></polyline>
+          </svg>
+        </button>
+
+        <div class="controller-panel__body">
+          <div class="hardware-devices">
+            <select id="hardware-device" title="Device" ${deviceKeys.length === 0 ? "disabled" : ""}>
+              ${deviceKeys.map((key) => `
+                <option value="${escapeHtml(key)}" ${key === this.selectedDevice ? "selected" : ""}>
+                  ${escapeHtml(this.devices.get(key) || key.replace(/^\w+:/, ""))}${this.devices.has(key) ? "" : " (not connected)"}
+                </option>`).join("")}
+            </select>
+            ${this.supportsMidi && !this.midiAccess ? `<button type="button" id="hardware-midi" class="hardware-action">Connect MIDI</button>` : ""}
+          </div>
+
+          <p class="hardware-hint">${escapeHtml(this.hint())}</p>
+
+          ${this.selectedDevice ? `
+            <ul class="hardware-mappings">
+              ${Object.entries(HARDWARE_ACTIONS)
+                .filter(([action]) => action !== "jump_to_product")
+                .map(([action, { label }]) => this.renderRow(action, label, controlsFor(mapping, action)))
+                .join("")}
+              ${jumps.map((position) => this.renderRow(null, `Jump to product ${position}`, controlsFor(mapping, "jump_to_product", position))).join("")}
+              <li class="hardware-mapping">
+                <label class="hardware-mapping__label">
+                  Jump to product
+                  <input type="number" id="hardware-jump-position" min="1" value="${escapeHtml(jumpValue)}">
+                </label>
+                <span class="hardware-mapping__controls"></span>
+                ${this.learnButton("jump_to_product")}
+              </li>
+            </ul>` : ""}
+        </div>
+      </div>
+    `
+  },
+
+  renderRow(action, label, controls) {
+    return `
+      <li class="hardware-mapping">
+        <span class="hardware-mapping__label">${escapeHtml(label)}</span>
+        <span class="hardware-mapping__controls">
+          ${controls.map((control) => `
+            <span class="hardware-control" data-control="${escapeHtml(control)}">
+              ${escapeHtml(describeControl(control))}
+              <button type="button" class="hardware-control__remove" data-unmap="${escapeHtml(control)}" aria-label="Remove">✕</button>
+            </span>`).join("")}
+        </span>
+        ${action ? this.learnButton(action) : ""}
+      </li>
+    `
+  },
+
+  learnButton(action) {
+    const learning = this.learning?.action === action
+    return `<button type="button" class="hardware-action${learning ? " hardware-action--learning" : ""}" data-learn="${action}">${learning ? "Cancel" : "Learn"}</button>`
+  },
+
+  hint() {
+    if (this.learning) {
+      const { action, position } = this.learning
+      const label = action === "jump_to_product" ? `jump to product ${position}` : HARDWARE_ACTIONS[action].label.toLowerCase()
+      const what = HARDWARE_ACTIONS[action].knob ? "Turn the knob" : "Press the pad, button or pedal"
+      return `${what} to use for ${label}… (Esc to cancel)`
+    }
+    if (this.midiError) return this.midiError
+    if (this.devices.size === 0) {
+      return "Press a button on a gamepad or connect a MIDI device. Pedals that type keys are set up with ? instead."
+    }
+    return "Press Learn, then the control to use."
+  },
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
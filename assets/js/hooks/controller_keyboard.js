@@ -1,13 +1,26 @@
+import { createJumpBuffer } from "../lib/jump/jump-overlay"
+import { parseJumpProducts } from "../lib/jump/jump-preview.mjs"
+import { discardQueue, markDisconnected, markReconnected, sendCommand } from "../lib/offline/offline-queue"
+import { attachShortcuts } from "../lib/shortcuts/keyboard"
+
 /**
  * ControllerKeyboard Hook
  * Handles keyboard navigation for the product set controller view.
  *
- * Navigation:
- * - Arrow keys (←→) for previous/next product (wraps around)
- * - Type number digits (0-9) to build a product number
+ * Keys come from the shared shortcut registry (lib/shortcuts), so they match
+ * the host view and can be remapped per user; press ? to list or change them.
+ * Defaults:
+ * - Arrow keys (←→) or Space for previous/next product (wraps around)
+ * - Arrow keys (↑↓) for previous/next image
+ * - Type number digits (0-9) to build a product number; the jump overlay
+ *   previews the product (or shows "no product N") with the countdown
  * - Automatically jumps after 500ms (allows double-digit entry)
  * - Press Enter to jump immediately
  * - Press Escape to cancel pending jump
+ * - Press Backspace to go back to the previously shown product
+ *
+ * While the socket is down, navigation is queued (lib/offline) and only the
+ * final intended product is sent once it reconnects.
  *
  * Auto-scroll:
  * - Scrolls the active product into view when changed externally
@@ -15,104 +28,64 @@
  */
 export default {
   mounted() {
-    this.jumpBuffer = ""
-    this.jumpTimeout = null
     this.scrollToActiveProduct()
 
-    this.handleKeydown = (e) => {
-      // Pause keyboard control when any modal is open
-      if (document.querySelector(".preset-modal-overlay")) return
-
-      // Pause keyboard control when typing in input fields
-      const activeElement = document.activeElement
-      const isTyping =
-        activeElement &&
-        (activeElement.tagName === "INPUT" ||
-          activeElement.tagName === "TEXTAREA" ||
-          activeElement.isContentEditable)
-      if (isTyping) return
-
-      // Prevent default for navigation keys to avoid scrolling
-      const navKeys = ["ArrowLeft", "ArrowRight"]
-      if (navKeys.includes(e.code)) {
-        e.preventDefault()
-      }
-
-      switch (e.code) {
-        // Product navigation with left/right arrow keys (wraps around)
-        case "ArrowRight":
-          this.pushEvent("next_product", {})
-          break
-
-        case "ArrowLeft":
-          this.pushEvent("previous_product", {})
-          break
-
-        default:
-          // Number input for jump-to-product
-          if (e.key >= "0" && e.key <= "9") {
-            this.handleNumberInput(e.key)
-          } else if (e.code === "Enter" && this.jumpBuffer) {
-            this.executeJump()
-          } else if (e.code === "Escape" && this.jumpBuffer) {
-            this.clearJumpBuffer()
-          }
-      }
-    }
-
-    this.handleNumberInput = (digit) => {
-      this.jumpBuffer += digit
-      this.showJumpIndicator(this.jumpBuffer)
-
-      // Auto-jump after 500ms debounce (allows double-digit entry)
-      clearTimeout(this.jumpTimeout)
-      this.jumpTimeout = setTimeout(() => {
-        if (this.jumpBuffer) {
-          this.executeJump()
+    this.jump = createJumpBuffer({
+      getProductsJson: () => this.el.dataset.jumpProducts,
+      onJump: (position) => sendCommand(this, "jump_to_product", { position }),
+    })
+
+    // Handlers returning false leave the key to the browser
+    this.detachShortcuts = attachShortcuts({
+      scope: "controller",
+      userId: this.el.dataset.shortcutUser,
+      handlers: {
+        next_product: () => sendCommand(this, "next_product"),
+        previous_product: () => sendCommand(this, "previous_product"),
+        next_image: () => sendCommand(this, "next_image"),
+        previous_image: () => sendCommand(this, "previous_image"),
+        go_back: () => {
+          if (this.jump.pending()) return false
+          sendCommand(this, "go_back")
+        },
+        jump_now: () => {
+          if (!this.jump.pending()) return false
+          this.jump.commit()
+        },
+        cancel_jump: () => {
+          if (!this.jump.pending()) return false
+          this.jump.cancel()
+        },
+      },
+      // Number input for jump-to-product
+      onOtherKey: (e) => {
+        if (e.key >= "0" && e.key <= "9") {
+          this.jump.type(e.key)
         }
-      }, 500)
-    }
-
-    this.executeJump = () => {
-      this.pushEvent("jump_to_product", { position: this.jumpBuffer })
-      this.clearJumpBuffer()
-    }
-
-    this.clearJumpBuffer = () => {
-      this.jumpBuffer = ""
-      clearTimeout(this.jumpTimeout)
-      this.hideJumpIndicator()
-    }
+      },
+    })
+  },
 
-    this.showJumpIndicator = (value) => {
-      let indicator = document.getElementById("controller-jump-indicator")
-      if (!indicator) {
-        indicator = document.createElement("div")
-        indicator.id = "controller-jump-indicator"
-        indicator.className = "controller-jump-indicator"
-        document.body.appendChild(indicator)
-      }
-      indicator.textContent = value
-      indicator.classList.add("visible")
-    }
+  destroyed() {
+    this.detachShortcuts()
+    this.jump.destroy()
+    discardQueue()
+  },
 
-    this.hideJumpIndicator = () => {
-      const indicator = document.getElementById("controller-jump-indicator")
-      if (indicator) {
-        indicator.classList.remove("visible")
-      }
-    }
+  // Queue navigation from here, starting from what the view last showed
+  disconnected() {
+    const { currentPosition, positionHistory } = this.el.dataset
+    const positions = [...parseJumpProducts(this.el.dataset.jumpProducts).keys()].sort((a, b) => a - b)
 
-    window.addEventListener("keydown", this.handleKeydown)
+    markDisconnected({
+      position: currentPosition ? parseInt(currentPosition, 10) : null,
+      positions,
+      history: positionHistory ? positionHistory.split(",").map((p) => parseInt(p, 10)) : [],
+    })
   },
 
-  destroyed() {
-    window.removeEventListener("keydown", this.handleKeydown)
-    clearTimeout(this.jumpTimeout)
-    const indicator = document.getElementById("controller-jump-indicator")
-    if (indicator) {
-      indicator.remove()
-    }
+  reconnected() {
+    markReconnected(this)
   },
 
   updated() {
@@ -1,109 +1,61 @@
+import { createJumpBuffer } from '../lib/jump/jump-overlay'
+import { attachShortcuts } from '../lib/shortcuts/keyboard'
+
 /**
  * ProductSetHostKeyboard Hook
  * Handles keyboard navigation for the product set host view.
  *
+ * Keys come from the shared shortcut registry (lib/shortcuts), so they match
+ * the controller and can be remapped per user; press ? to list or change them.
+ *
  * Primary Navigation (Direct Jumps):
- * - Type number digits (0-9) to build a product number
+ * - Type number digits (0-9) to build a product number; the jump overlay
+ *   previews the product (or shows "no product N") with the countdown
  * - Automatically jumps after 500ms (allows double-digit entry)
  * - Press Enter to jump immediately (optional)
  * - Press Escape to cancel pending jump
  *
- * Convenience Navigation (Sequential):
+ * Convenience Navigation (Sequential, default keys):
  * - Arrow keys (←→) for previous/next product
  * - Arrow keys (↑↓) for previous/next image
  * - Space for next product
  */
 export default {
   mounted() {
-    this.jumpBuffer = ""
-    this.jumpTimeout = null
-
-    this.handleKeydown = (e) => {
-      // Pause keyboard control when any modal is open
-      if (document.getElementById('edit-product-modal')) return
-
-      // Pause keyboard control when typing in input fields
-      const activeElement = document.activeElement
-      const isTyping = activeElement && (
-        activeElement.tagName === 'INPUT' ||
-        activeElement.tagName === 'TEXTAREA' ||
-        activeElement.isContentEditable
-      )
-      if (isTyping) return
-
-      // Prevent default for navigation keys to avoid scrolling
-      const navKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space']
-      if (navKeys.includes(e.code)) {
-        e.preventDefault()
-      }
-
-      switch (e.code) {
-        // PRODUCT navigation (left/right arrows)
-        case 'ArrowRight':
-          this.pushEvent("next_product", {})
-          break
-
-        case 'ArrowLeft':
-          this.pushEvent("previous_product", {})
-          break
-
-        case 'Space':
-          e.preventDefault() // Prevent page scroll
-          this.pushEvent("next_product", {})
-          break
-
-        // IMAGE navigation (up/down arrows)
-        case 'ArrowDown':
-          this.pushEvent("next_image", {})
-          break
-
-        case 'ArrowUp':
-          this.pushEvent("previous_image", {})
-          break
-
-        default:
-          // PRIMARY NAVIGATION: Number input for jump-to-product
-          if (e.key >= '0' && e.key <= '9') {
-            this.handleNumberInput(e.key)
-          } else if (e.code === 'Enter' && this.jumpBuffer) {
-            this.pushEvent("jump_to_product", {position: this.jumpBuffer})
-            this.jumpBuffer = ""
-            this.updateJumpDisplay("")
-            clearTimeout(this.jumpTimeout)
-          } else if (e.code === 'Escape' && this.jumpBuffer) {
-            // Clear buffer on Escape
-            this.jumpBuffer = ""
-            this.updateJumpDisplay("")
-            clearTimeout(this.jumpTimeout)
-          }
-      }
-    }
-
-    this.handleNumberInput = (digit) => {
-      this.jumpBuffer += digit
-      this.updateJumpDisplay(this.jumpBuffer)
-
-      // Auto-jump after 500ms debounce (allows double-digit entry)
-      clearTimeout(this.jumpTimeout)
-      this.jumpTimeout = setTimeout(() => {
-        if (this.jumpBuffer) {
-          this.pushEvent("jump_to_product", {position: this.jumpBuffer})
-          this.jumpBuffer = ""
-          this.updateJumpDisplay("")
+    this.jump = createJumpBuffer({
+      getProductsJson: () => this.el.dataset.jumpProducts,
+      onJump: (position) => this.pushEvent("jump_to_product", {position})
+    })
+
+    // Handlers returning false leave the key to the browser
+    this.detachShortcuts = attachShortcuts({
+      scope: 'host',
+      userId: this.el.dataset.shortcutUser,
+      handlers: {
+        next_product: () => this.pushEvent("next_product", {}),
+        previous_product: () => this.pushEvent("previous_product", {}),
+        next_image: () => this.pushEvent("next_image", {}),
+        previous_image: () => this.pushEvent("previous_image", {}),
+        jump_now: () => {
+          if (!this.jump.pending()) return false
+          this.jump.commit()
+        },
+        cancel_jump: () => {
+          if (!this.jump.pending()) return false
+          this.jump.cancel()
         }
-      }, 500)
-    }
-
-    this.updateJumpDisplay = (_value) => {
-      // Update display (could be enhanced with a visible indicator)
-      // Parameter prefixed with _ to indicate intentionally unused (reserved for future enhancement)
-    }
-
-    window.addEventListener("keydown", this.handleKeydown)
+      },
+      // PRIMARY NAVIGATION: Number input for jump-to-product
+      onOtherKey: (e) => {
+        if (e.key >= '0' && e.key <= '9') {
+          this.jump.type(e.key)
+        }
+      }
+    })
   },
 
   destroyed() {
-    window.removeEventListener("keydown", this.handleKeydown)
-    clearTimeout(this.jumpTimeout)
+    this.detachShortcuts()
+    this.jump.destroy()
   }
 }
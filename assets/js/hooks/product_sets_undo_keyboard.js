@@ -1,7 +1,10 @@
+import { attachShortcuts } from '../lib/shortcuts/keyboard'
+
 /**
  * ProductSetsUndoKeyboard Hook
  *
- * Handles Cmd/Ctrl+Z keyboard shortcut for undo functionality on the Product Sets page.
+ * Handles the undo shortcut (Cmd/Ctrl+Z by default, remappable through the
+ * shared shortcut registry in lib/shortcuts) on the Product Sets page.
  * Only triggers when:
  * - A product set is expanded
  * - There are undo actions available
@@ -11,44 +14,26 @@
 
 const ProductSetsUndoKeyboard = {
   mounted() {
-    this.handleKeydown = this.handleKeydown.bind(this)
-    window.addEventListener('keydown', this.handleKeydown)
+    this.detachShortcuts = attachShortcuts({
+      scope: 'product_sets',
+      userId: this.el.dataset.shortcutUser,
+      handlers: { undo: () => this.undo() }
+    })
   },
 
   destroyed() {
-    window.removeEventListener('keydown', this.handleKeydown)
+    this.detachShortcuts()
   },
 
-  handleKeydown(event) {
-    // Check for Cmd+Z (Mac) or Ctrl+Z (Windows/Linux)
-    const isUndo = (event.metaKey || event.ctrlKey) && event.key === 'z' && !event.shiftKey
-
-    if (!isUndo) return
-
-    // Don't trigger if typing in input/textarea
-    const activeElement = document.activeElement
-    const isTyping = activeElement && (
-      activeElement.tagName === 'INPUT' ||
-      activeElement.tagName === 'TEXTAREA' ||
-      activeElement.contentEditable === 'true'
-    )
-
-    if (isTyping) return
-
-    // Don't trigger if a modal is open
-    const modalOpen = document.querySelector('.modal__backdrop:not([style*="display: none"])')
-    if (modalOpen) return
-
+  // Returns false (leaving the key to the browser) when there is nothing to undo
+  undo() {
     // Check if we have an expanded product set with undo actions
     // Look for the undo button directly - if it exists, we can undo
     const undoBtn = document.querySelector('.product-set-card__undo-btn')
-    if (!undoBtn) return
+    if (!undoBtn) return false
 
     const expandedProductSetId = undoBtn.getAttribute('phx-value-product-set-id')
-    if (!expandedProductSetId) return
-
-    // Prevent default browser undo behavior
-    event.preventDefault()
+    if (!expandedProductSetId) return false
 
     // Push the undo event
     this.pushEvent('undo_product_set_action', {
@@ -29,22 +29,62 @@
  *    - Includes deduplication to prevent repeated jumps
  *
  * 4. **Whisper Worker** - Transcribes audio to text in background thread
- *    - Uses OpenAI Whisper Tiny English model (~40MB, cached)
+ *    - Whisper Tiny or Base, English-only or multilingual, picked in the panel
+ *      (default Tiny English, ~40MB; Base is ~3x larger and more accurate)
+ *    - Language (English, Spanish) is passed to multilingual models
  *    - WebGPU accelerated (2-4x faster than CPU)
  *    - Automatic CPU/WASM fallback for unsupported browsers
+ *    - Audio is sent as a transferred ArrayBuffer (no copy, no GC churn)
+ *    - Requests carry ids; transcripts from before a stop/restart are dropped
+ *    - Models are served from the app's static assets when packaged with
+ *      `mix assets.fetch_models`, checked against the manifest's SHA-256 hashes
+ *      (see lib/voice/model-cache.mjs); unpackaged models come from the hub
+ *    - The panel's "Offline models" section shows what is cached, pre-downloads
+ *      and clears models, and says whether the selected model is offline-ready
  *
- * 5. **Command Extraction** - Detects "show number [N]" voice commands
- *    - Trigger phrase: "show number" followed by a number
- *    - Handles words: "show number twenty three" → 23
- *    - Handles digits: "show number 23" → 23
- *    - Works mid-sentence: "...talking about show number 5 and then..." → 5
- *    - Ignores numbers without the trigger phrase (reduces false positives)
- *    - Validates range: 1 to 99 (backend validates against actual product count)
- *    - 5-second deduplication window prevents repeated jumps
+ * 5. **Command Matching** - Matches transcripts against a command registry
+ *    (see lib/voice/voice-commands.mjs), anywhere in continuous speech.
+ *    Phrases and number words come from the selected language's grammar
+ *    (lib/voice/voice-grammars.mjs); the English phrases are:
+ *    - "show number [N]" → jump_to_product (digits or words, 1 to 99)
+ *    - "next product" / "previous product" → next_product / previous_product
+ *    - "next image" / "previous image" → next_image / previous_image
+ *    - "show the [product name]" → jump_to_product, fuzzy and phonetic matching
+ *      against titles and aliases; unclear names show a one-click list instead
+ *    - "pin message [preset]" → select_preset, once the host says "confirm"
+ *    - "go back" → go_back (the server keeps a short history of shown products)
+ *    - Jumps can be held in a confirm window (Off, 1.5s, 3s, 5s) and cancelled
+ *      with Escape or "cancel" before they are sent
+ *    - Each command has its own deduplication window (5s, 10s for presets)
+ *    - Ignores speech without a trigger phrase (reduces false positives)
  *
- * 6. **LiveView Integration** - Pushes events to trigger product navigation
- *    - Event: "jump_to_product" with {position: "23"}
- *    - Reuses existing event handler (no server changes needed)
+ * 6. **LiveView Integration** - Pushes the controller's existing events
+ *    - e.g. "jump_to_product" with {position: "23"}
+ *    - Backend validates positions and permissions
+ *
+ * 7. **Session Log** - Every transcript, the command it matched, dedupe and
+ *    confirmation decisions, the LiveView reply and worker latency
+ *    (see lib/voice/session-log.mjs)
+ *    - Reviewed in the panel's "Session log" section, filterable to problems
+ *    - Exported as JSON or CSV; kept in sessionStorage for the tab's lifetime
+ *
+ * 8. **Listening Modes** - Continuous, push-to-talk or wake word
+ *    (see lib/voice/listening-modes.mjs); Ctrl/Cmd+M cycles between them
+ *    - Push-to-talk: VAD paused until the talk key (default Right Shift, or a foot
+ *      pedal sending a key) is held; audio is transcribed while held
+ *    - Wake word: an on-device keyword spotter (lib/voice/keyword-spotter.mjs)
+ *      matches the host's recorded wake word; Whisper runs for 5s after it
+ *
+ * 9. **Tuning** - VAD threshold, silence frames, processing interval, buffer
+ *    length and repeat window (see lib/voice/vad-tuning.mjs)
+ *    - Adjusted with sliders, or proposed by a calibration that measures the
+ *      room and a sample "show number 12"
+ *    - Saved per microphone (keyed by the pavoi_voice_mic device id)
+ *
+ * 10. **Live Captions** - Opt-in ("Captions" in the panel): the new words of
+ *    each transcript are pushed as "caption" events (see lib/voice/captions.mjs)
+ *    - Shown as rolling captions on the host and controller views
+ *    - Saved with timestamps and the product on screen against the capturing stream
  *
  * ## Usage
  *
@@ -55,6 +95,8 @@
  *   phx-hook="VoiceControl"
  *   phx-update="ignore"
  *   data-total-products={@total_products}
+ *   data-products={voice_products_json(@product_set)}
+ *   data-presets={voice_presets_json(@message_presets)}
  * >
  * </div>
  * ```
@@ -68,23 +110,30 @@
  * ## Data Attributes
  *
  * - `data-total-products` (optional) - Total product count (not used for validation; backend handles range checking)
+ * - `data-products` (optional) - JSON `[{position, name, aliases}]` for "show the [product name]"
+ * - `data-presets` (optional) - JSON `[{id, text}]` for "pin message [preset]"
  *
  * ## Keyboard Shortcuts
  *
- * - **Ctrl/Cmd + M** - Toggle voice control on/off
+ * - **Ctrl/Cmd + M** - Cycle listening mode (continuous, push-to-talk, wake word)
+ * - **Talk key** (default Right Shift) - Hold to talk in push-to-talk mode
  *
  * ## Privacy & Security
  *
  * - 100% local processing (no cloud/CDN dependencies at runtime)
  * - No audio sent to external servers
- * - Models cached in IndexedDB
- * - Microphone preference saved in localStorage
+ * - Models cached in Cache Storage (pavoi-voice-models, or the hub's transformers-cache)
+ * - Microphone, model and language preferences saved in localStorage
  *
  * ## Performance
  *
  * - Memory: ~150-200MB (models + runtime)
  * - Latency: 0.5-2s per utterance (WebGPU: 0.5-1s, CPU: 1-2s)
+ *   - Shown in the panel header; hover for the prep/send/inference/reply breakdown
  * - Network: ~42MB first load (cached), 0 bytes thereafter
+ * - Tracing of stale replies, skipped audio, unmatched transcripts, duplicates
+ *   and wake-ups is off; set localStorage `pavoi_voice_debug` to "true" and
+ *   reload to see it
  *
  * ## Browser Support
  *
@@ -96,6 +145,38 @@
  * @see VOICE_CONTROL_PLAN.md - Complete implementation documentation
  */
 
+import { createCommandRegistry, dedupeKey, matchConfirmation } from '../lib/voice/voice-commands.mjs';
+import { DEFAULT_LANGUAGE, GRAMMARS, grammarFor } from '../lib/voice/voice-grammars.mjs';
+import { createSessionLog, filterEntries, summarize, toCSV, toJSON } from '../lib/voice/session-log.mjs';
+import { SAMPLE_RATE, TUNING_LIMITS, clampTuning, dedupeWindow, proposeTuning, tuningForDevice } from '../lib/voice/vad-tuning.mjs';
+import { DEFAULT_MODE, LISTENING_MODES, frameRole, idleState, isPipelineOpen, nextMode } from '../lib/voice/listening-modes.mjs';
+import { DEFAULT_TALK_KEY, keyLabel } from '../lib/shortcuts/shortcuts.mjs';
+import { ENROLLMENT_SAMPLES, createKeywordSpotter, extractFeatures, parseTemplates, serializeTemplates } from '../lib/voice/keyword-spotter.mjs';
+import { createCaptionAssembler } from '../lib/voice/captions.mjs';
+import { createWorkerRequests } from '../lib/voice/worker-requests.mjs';
+import { MODEL_CACHE_NAME, downloadModel, dtypeFor, formatBytes, loadManifest, summarizeCache } from '../lib/voice/model-cache.mjs';
+import { sendCommand } from '../lib/offline/offline-queue';
+
+// Whisper models offered in the panel. English-only (.en) models are more
+// accurate for English but cannot transcribe any other language.
+const WHISPER_MODELS = [
+  { id: 'Xenova/whisper-tiny.en', label: 'Tiny · English', size: 'tiny', englishOnly: true },
+  { id: 'Xenova/whisper-base.en', label: 'Base · English', size: 'base', englishOnly: true },
+  { id: 'Xenova/whisper-tiny', label: 'Tiny · Multilingual', size: 'tiny', englishOnly: false },
+  { id: 'Xenova/whisper-base', label: 'Base · Multilingual', size: 'base', englishOnly: false }
+];
+
+const DEFAULT_MODEL = 'Xenova/whisper-tiny.en';
+
+// The model to use for a language: `modelId` if it can transcribe it,
+// otherwise the multilingual model of the same size
+function compatibleModel(modelId, language) {
+  const model = WHISPER_MODELS.find((m) => m.id === modelId) || WHISPER_MODELS.find((m) => m.id === DEFAULT_MODEL);
+  if (language === 'en' || !model.englishOnly) return model.id;
+
+  return WHISPER_MODELS.find((m) => m.size === model.size && !m.englishOnly).id;
+}
+
 // Lazy-loaded VAD library (reduces main bundle by ~50-100KB)
 let MicVAD = null
 
@@ -106,6 +187,55 @@ async function loadVAD() {
   return MicVAD
 }
 
+// Tracing for stale replies, skipped audio and transcripts that aren't
+// commands, kept out of the console unless localStorage `pavoi_voice_debug`
+// is "true" (read once per page load)
+let debugEnabled = null;
+
+function debug(...args) {
+  if (debugEnabled === null) debugEnabled = localStorage.getItem('pavoi_voice_debug') === 'true';
+  if (debugEnabled) console.log('[VoiceControl]', ...args);
+}
+
+// Milliseconds on a clock shared with the worker (performance.now() alone is per-context)
+function clockNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+// Calibration phases: quiet room, sample command, then a pause so the VAD's
+// own end-of-speech callback for the sample passes before commands resume
+const CALIBRATION_AMBIENT_MS = 3000;
+const CALIBRATION_UTTERANCE_MS = 4000;
+const CALIBRATION_SETTLE_MS = 1000;
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Wake word mode: how much recent audio is searched, how often while the host
+// is talking, and how long Whisper listens after the wake word
+const HOTWORD_SEARCH_SAMPLES = 2 * 16000;
+const HOTWORD_CHECK_MS = 300;
+const HOTWORD_WINDOW_MS = 5000;
+const HOTWORD_MAX_SAMPLES = 2.5 * 16000;
+
+// Confirm window choices for jumps (0 sends them straight away)
+const JUMP_HOLD_OPTIONS = [0, 1500, 3000, 5000];
+
+// Push-to-talk: how long after release to wait for the worker before the
+// last stretch of audio is transcribed
+const PUSH_TO_TALK_FLUSH_MS = 3000;
+
+function isTyping(target) {
+  return target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
+
+// A Float32Array that owns its whole buffer, so the buffer can be transferred
+function transferableSamples(samples) {
+  const ownsBuffer = samples.byteOffset === 0 && samples.byteLength === samples.buffer.byteLength;
+  return ownsBuffer ? samples : samples.slice();
+}
+
 /**
  * Phoenix LiveView hook for voice-activated product navigation
  * @type {Object}
@@ -128,22 +258,80 @@ export default {
     this.isCollapsed = localStorage.getItem('pavoi_voice_collapsed') === 'true';
     this.microphonesLoaded = false; // Track if microphones have been enumerated
 
+    // VAD and processing tuning, saved per microphone (defaults: 0.5 threshold,
+    // 30 silent frames, 2.5s interval, 5s buffer, 5s repeat window)
+    this.tuningProfiles = this.loadTuningProfiles();
+    this.tuning = tuningForDevice(this.tuningProfiles, localStorage.getItem('pavoi_voice_mic'));
+    this.tuningDirty = false;           // Slider changes not yet saved
+    this.calibration = null;            // { phase, ambient, utterance } while calibrating
+    this.frameMs = 32;                  // VAD frame length, measured from frames
+
     // Ring buffer for continuous speech processing (avoids GC pressure)
-    this.bufferMaxSamples = 80000;      // ~5 seconds at 16kHz
+    this.bufferMaxSamples = this.tuning.bufferMaxSamples;
     this.audioBuffer = new Float32Array(this.bufferMaxSamples);
     this.bufferWriteIndex = 0;          // Next write position in ring buffer
     this.bufferLength = 0;              // Current number of valid samples
     this.processInterval = null;        // Timer for periodic processing
-    this.processingIntervalMs = 2500;   // Process every 2.5 seconds
+    this.processingIntervalMs = this.tuning.processingIntervalMs;
     this.speechActive = false;          // Track if speech is currently detected
-    this.speechThreshold = 0.5;         // VAD probability threshold
+    this.speechThreshold = this.tuning.speechThreshold;   // VAD probability threshold
     this.silenceFrameCount = 0;         // Count consecutive silence frames
-    this.silenceFrameThreshold = 30;    // ~1 second of silence to stop (30 frames at ~30fps)
-
-    // Number deduplication
-    this.lastDetectedNumber = null;
-    this.lastDetectionTime = 0;
-    this.deduplicationWindowMs = 5000;  // Ignore same number within 5 seconds
+    this.silenceFrameThreshold = this.tuning.silenceFrameThreshold;   // Silent frames before pausing
+
+    // Whisper model and language, persisted across sessions
+    const savedLanguage = localStorage.getItem('pavoi_voice_language');
+    this.language = GRAMMARS[savedLanguage] ? savedLanguage : DEFAULT_LANGUAGE;
+    this.modelName = compatibleModel(localStorage.getItem('pavoi_voice_model'), this.language);
+    this.modelDevice = null;            // Device the worker loaded the model on
+    this.modelSource = null;            // 'packaged' (static assets) or 'hub'
+    this.modelManifest = null;          // Models packaged with the app (see lib/voice/model-cache.mjs)
+    this.modelCache = null;             // summarizeCache() of the offline model cache
+    this.storageEstimate = null;        // { usage, quota } of browser storage
+    this.modelDownload = null;          // { modelId, percent } while pre-downloading
+
+    // Worker requests: the latest model load and one transcription at a time,
+    // matched to replies by id and timed for the latency readout
+    this.requests = createWorkerRequests();
+    this.audioTransport = localStorage.getItem('pavoi_voice_transport') === 'copy' ? 'copy' : 'transfer';
+
+    // Session log for reviewing detections after a show. Kept in sessionStorage
+    // so it survives LiveView reconnects and reloads within the tab.
+    this.sessionLog = createSessionLog({ entries: this.loadSessionLog() });
+    this.sessionLogSaveTimer = null;
+    this.sessionLogRenderPending = false;
+    this.maxRenderedLogEntries = 200;
+
+    // Live captions, sent to the LiveView when turned on
+    this.captionsEnabled = localStorage.getItem('pavoi_voice_captions') === 'true';
+    this.captions = createCaptionAssembler(); // Skips the overlap between consecutive transcripts
+    this.captionsStored = null;         // Whether the server kept the last caption (needs a capturing stream)
+
+    // Listening mode: continuous, push-to-talk or wake word
+    const savedMode = localStorage.getItem('pavoi_voice_mode');
+    this.mode = LISTENING_MODES[savedMode] ? savedMode : DEFAULT_MODE;
+    this.talkKey = localStorage.getItem('pavoi_voice_talk_key') || DEFAULT_TALK_KEY;
+    this.talkKeyHeld = false;
+    this.capturingTalkKey = false;      // Waiting for the next key press to become the talk key
+    this.hotwordTemplates = parseTemplates(localStorage.getItem('pavoi_voice_hotword')) || [];
+    this.hotwordSpotter = createKeywordSpotter(this.hotwordTemplates);
+    this.hotwordEnrollment = null;      // Templates recorded so far while enrolling
+    this.awake = false;                 // Wake word heard; Whisper is listening
+    this.awakeTimer = null;
+    this.lastSpeechAt = 0;
+    this.lastHotwordCheckAt = 0;
+
+    // Voice commands (each command sets its own dedupe window)
+    this.commands = createCommandRegistry();
+    this.recentCommands = new Map();    // dedupe key -> last detection time
+    this.pendingCommand = null;         // Command waiting for "confirm"
+    this.pendingCommandTimer = null;
+    this.confirmationTimeoutMs = 6000;
+    this.heldJump = null;               // { match, entry, timer } jump waiting out the confirm window
+    const savedJumpHold = parseInt(localStorage.getItem('pavoi_voice_jump_hold_ms'), 10);
+    this.jumpHoldMs = JUMP_HOLD_OPTIONS.includes(savedJumpHold) ? savedJumpHold : 0;
+    this.pendingChoices = null;         // Unclear match the host can pick from
+    this.choicesTimer = null;
+    this.choicesTimeoutMs = 15000;
 
     // Waveform visualization
     this.audioContext = null;
@@ -206,16 +394,37 @@ export default {
           break;
 
         case 'model_ready':
-          this.updateStatus('ready', 'Ready');
+          // A different model or language was asked for since
+          if (!this.requests.isCurrent(e.data)) break;
+
           this.modelReady = true;
+          this.modelDevice = data.device;
+          this.modelSource = data.source;
+          this.refreshModelCache();
           this.toggleBtn.disabled = false;
-          this.toggleBtn.querySelector('.text').textContent = 'Start';
           this.waveformContainer.style.display = '';
+
+          // The model can be reloaded mid-session (model/language change, worker restart)
+          if (this.isActive) {
+            this.updateStatus('listening', 'Listening...');
+          } else {
+            this.updateStatus('ready', 'Ready');
+            this.toggleBtn.querySelector('.text').textContent = 'Start';
+          }
           break;
 
         case 'transcript':
+          // Replies to requests from before a stop or worker restart are stale
+          if (!this.requests.isCurrent(e.data)) {
+            debug(`Dropping stale transcript for request ${e.data.id}`);
+            break;
+          }
+
           // Reset error counter on success
           this.consecutiveErrors = 0;
+          const timing = this.requests.finish(data.timings, clockNow());
+          this.updateLatencyReadout();
+          this.isProcessing = false;
 
           // Track transcription count for periodic worker restart
           this.transcriptionCount++;
@@ -224,13 +433,20 @@ export default {
             this.restartWorker();
           }
 
-          this.handleTranscript(data.text);
-          this.isProcessing = false;
+          this.handleTranscript(data.text, {
+            requestId: e.data.id,
+            latencyMs: timing && Math.round(timing.totalMs),
+            inferenceMs: timing && Math.round(timing.inferenceMs)
+          });
           break;
 
         case 'error':
+          if (!this.requests.isCurrent(e.data)) break;
+
           this.consecutiveErrors++;
           console.error('[VoiceControl] Worker error:', data.message);
+          this.requests.abandon();
+          this.isProcessing = false;
 
           if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
             console.warn('[VoiceControl] Too many consecutive errors, attempting recovery...');
@@ -238,7 +454,6 @@ export default {
           } else {
             this.handleError(data.message);
           }
-          this.isProcessing = false;
           break;
       }
     };
@@ -248,16 +463,52 @@ export default {
       this.handleError('Worker failed to load');
     };
 
-    // Load model with device detection
+    this.loadModel();
+  },
+
+  /**
+   * Ask the worker to load the selected model. Also used to apply a new
+   * model or language; the worker keeps the model if only the language changed.
+   */
+  loadModel() {
+    this.modelReady = false;
     this.worker.postMessage({
       type: 'load_model',
+      id: this.requests.startLoad(),
       data: {
-        model: 'Xenova/whisper-tiny.en',
-        device: this.detectDevice()
+        model: this.modelName,
+        device: this.detectDevice(),
+        language: this.language,
+        task: 'transcribe'
       }
     });
   },
 
+  /**
+   * Apply a model or language picked in the panel
+   */
+  changeModel({ modelName = this.modelName, language = this.language }) {
+    this.language = language;
+    this.modelName = compatibleModel(modelName, language);
+    localStorage.setItem('pavoi_voice_language', this.language);
+    localStorage.setItem('pavoi_voice_model', this.modelName);
+
+    // Switching to a non-English language can force a multilingual model
+    this.modelSelect.value = this.modelName;
+    this.renderModelOptions();
+    this.hintEl.textContent = grammarFor(this.language).hint;
+
+    console.log(`[VoiceControl] Loading ${this.modelName} (${this.language})`);
+    this.loadModel();
+  },
+
+  renderModelOptions() {
+    for (const option of this.modelSelect.options) {
+      const model = WHISPER_MODELS.find((m) => m.id === option.value);
+      option.disabled = model.englishOnly && this.language !== 'en';
+    }
+  },
+
   /**
    * Detect WebGPU support
    */
@@ -296,8 +547,9 @@ export default {
       <div class="voice-control-panel${this.isCollapsed ? ' controller-panel--collapsed' : ''}">
         <div class="controller-panel__header" id="voice-header">
           <span class="controller-panel__title">Voice Control</span>
-          <span class="voice-control-hint voice-control-hint--hidden">Say "show number ..." to jump to a product</span>
+          <span class="voice-control-hint voice-control-hint--hidden"></span>
           <div class="voice-control-actions">
+            <span class="voice-latency" hidden></span>
             <button type="button" id="voice-toggle" class="voice-toggle-btn" disabled>
               <span class="text">Loading model...</span>
             </button>
@@ -308,6 +560,34 @@ export default {
         </div>
 
         <div class="controller-panel__body">
+          <!-- Model and language -->
+          <div class="voice-settings">
+            <select id="voice-model" title="Speech recognition model">
+              ${WHISPER_MODELS.map((m) => `<option value="${m.id}">${m.label}</option>`).join('')}
+            </select>
+            <select id="voice-language" title="Spoken language">
+              ${Object.entries(GRAMMARS).map(([code, grammar]) => `<option value="${code}">${grammar.label}</option>`).join('')}
+            </select>
+            <select id="voice-mode" title="Listening mode (Ctrl/Cmd+M to switch)">
+              ${Object.entries(LISTENING_MODES).map(([mode, { label }]) => `<option value="${mode}">${label}</option>`).join('')}
+            </select>
+            <label class="voice-captions-toggle">
+              <input type="checkbox" id="voice-captions"> Captions
+            </label>
+          </div>
+
+          <!-- Push-to-talk key / wake word recording -->
+          <div class="voice-mode-options" hidden>
+            <div class="voice-mode-option" data-mode-option="push_to_talk" hidden>
+              <span>Hold <kbd class="voice-talk-key"></kbd> to talk</span>
+              <button type="button" class="voice-mode-action" data-mode-action="set-key">Change key</button>
+            </div>
+            <div class="voice-mode-option" data-mode-option="hotword" hidden>
+              <span class="voice-hotword-status"></span>
+              <button type="button" class="voice-mode-action" data-mode-action="enroll">Record wake word</button>
+            </div>
+          </div>
+
           <!-- Microphone Selection -->
           <div class="mic-selection">
             <select id="mic-select">
@@ -324,6 +604,85 @@ export default {
             </div>
           </div>
         </div>
+
+        <!-- Jump held in the confirm window -->
+        <div class="voice-held-jump" hidden>
+          <span class="voice-held-jump__target"></span>
+          <button type="button" class="voice-held-jump__cancel">Cancel (Esc)</button>
+          <div class="voice-held-jump__countdown"></div>
+        </div>
+
+        <!-- Disambiguation: products to pick from when a spoken name is unclear -->
+        <div class="voice-choices" hidden>
+          <span class="voice-choices__title">Did you mean</span>
+          <div class="voice-choices__list"></div>
+        </div>
+
+        <!-- Session log for reviewing detections -->
+        <details class="voice-log">
+          <summary class="voice-log__summary">
+            Session log <span class="voice-log__stats"></span>
+          </summary>
+          <div class="voice-log__toolbar">
+            <select class="voice-log__filter">
+              <option value="all">All transcripts</option>
+              <option value="commands">Commands</option>
+              <option value="problems">To review</option>
+            </select>
+            <button type="button" class="voice-log__action" data-log-action="json">Export JSON</button>
+            <button type="button" class="voice-log__action" data-log-action="csv">Export CSV</button>
+            <button type="button" class="voice-log__action" data-log-action="clear">Clear</button>
+          </div>
+          <div class="voice-log__table-wrapper">
+            <table class="voice-log__table">
+              <thead>
+                <tr><th>Time</th><th>Transcript</th><th>Command</th><th>Decision</th><th>Result</th><th>Latency</th></tr>
+              </thead>
+              <tbody></tbody>
+            </table>
+          </div>
+        </details>
+
+        <!-- VAD tuning, saved per microphone -->
+        <details class="voice-tuning">
+          <summary class="voice-tuning__summary">
+            Tuning <span class="voice-tuning__profile"></span>
+          </summary>
+          <div class="voice-tuning__sliders">
+            ${Object.entries(TUNING_LIMITS).map(([key, limit]) => `
+              <label class="voice-tuning__slider">
+                <span class="voice-tuning__label">${limit.label}</span>
+                <input type="range" data-tuning="${key}" min="${limit.min}" max="${limit.max}" step="${limit.step}">
+                <output class="voice-tuning__value" data-tuning-value="${key}"></output>
+              </label>
+            `).join('')}
+          </div>
+          <label class="voice-tuning__option">
+            <span class="voice-tuning__label">Hold jumps before sending</span>
+            <select class="voice-jump-hold">
+              ${JUMP_HOLD_OPTIONS.map((ms) => `<option value="${ms}">${ms ? `${ms / 1000}s` : 'Off'}</option>`).join('')}
+            </select>
+          </label>
+          <div class="voice-tuning__toolbar">
+            <button type="button" class="voice-tuning__action" data-tuning-action="calibrate">Calibrate</button>
+            <button type="button" class="voice-tuning__action" data-tuning-action="save">Save for this mic</button>
+            <button type="button" class="voice-tuning__action" data-tuning-action="reset">Reset</button>
+          </div>
+          <div class="voice-tuning__status"></div>
+        </details>
+
+        <!-- Offline model cache -->
+        <details class="voice-models">
+          <summary class="voice-models__summary">
+            Offline models <span class="voice-models__readiness"></span>
+          </summary>
+          <div class="voice-models__list"></div>
+          <div class="voice-models__toolbar">
+            <button type="button" class="voice-models__action" data-models-action="clear-stale">Clear old versions</button>
+            <button type="button" class="voice-models__action" data-models-action="clear-all">Clear all</button>
+          </div>
+          <div class="voice-models__status"></div>
+        </details>
       </div>
     `;
 
@@ -334,7 +693,40 @@ export default {
     this.micSelect = this.el.querySelector('#mic-select');
     this.statusEl = this.el.querySelector('#voice-status');
     this.hintEl = this.el.querySelector('.voice-control-hint');
+    this.hintEl.textContent = grammarFor(this.language).hint;
+    this.modelSelect = this.el.querySelector('#voice-model');
+    this.modelSelect.value = this.modelName;
+    this.languageSelect = this.el.querySelector('#voice-language');
+    this.languageSelect.value = this.language;
+    this.renderModelOptions();
+    this.latencyEl = this.el.querySelector('.voice-latency');
     this.waveformContainer = this.el.querySelector('.voice-waveform');
+    this.heldJumpEl = this.el.querySelector('.voice-held-jump');
+    this.heldJumpTarget = this.el.querySelector('.voice-held-jump__target');
+    this.heldJumpCountdown = this.el.querySelector('.voice-held-jump__countdown');
+    this.jumpHoldSelect = this.el.querySelector('.voice-jump-hold');
+    this.jumpHoldSelect.value = this.jumpHoldMs;
+    this.choicesEl = this.el.querySelector('.voice-choices');
+    this.choicesList = this.el.querySelector('.voice-choices__list');
+    this.logEl = this.el.querySelector('.voice-log');
+    this.logStatsEl = this.el.querySelector('.voice-log__stats');
+    this.logFilter = this.el.querySelector('.voice-log__filter');
+    this.logRows = this.el.querySelector('.voice-log__table tbody');
+    this.captionsToggle = this.el.querySelector('.voice-captions-toggle');
+    this.captionsCheckbox = this.el.querySelector('#voice-captions');
+    this.modeSelect = this.el.querySelector('#voice-mode');
+    this.modeSelect.value = this.mode;
+    this.modeOptionsEl = this.el.querySelector('.voice-mode-options');
+    this.talkKeyEl = this.el.querySelector('.voice-talk-key');
+    this.hotwordStatusEl = this.el.querySelector('.voice-hotword-status');
+    this.tuningEl = this.el.querySelector('.voice-tuning');
+    this.tuningProfileEl = this.el.querySelector('.voice-tuning__profile');
+    this.tuningStatusEl = this.el.querySelector('.voice-tuning__status');
+    this.calibrateBtn = this.el.querySelector('[data-tuning-action="calibrate"]');
+    this.modelsEl = this.el.querySelector('.voice-models');
+    this.modelsReadinessEl = this.el.querySelector('.voice-models__readiness');
+    this.modelsList = this.el.querySelector('.voice-models__list');
+    this.modelsStatusEl = this.el.querySelector('.voice-models__status');
     this.waveformCanvas = this.el.querySelector('#waveform-canvas');
     this.waveformCtx = this.waveformCanvas.getContext('2d');
     this.vadWorkletUrl = this.el.dataset.vadWorkletUrl || '/assets/vad/vad.worklet.bundle.min.js';
@@ -358,9 +750,91 @@ export default {
       this.toggleCollapse();
     });
 
+    this.el.querySelector('.voice-held-jump__cancel').addEventListener('click', () => this.cancelHeldJump());
+    this.jumpHoldSelect.addEventListener('change', () => {
+      this.jumpHoldMs = parseInt(this.jumpHoldSelect.value, 10);
+      localStorage.setItem('pavoi_voice_jump_hold_ms', this.jumpHoldMs);
+    });
+
+    this.choicesList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-choice]');
+      if (button) this.pickChoice(parseInt(button.dataset.choice, 10));
+    });
+
+    this.logEl.addEventListener('toggle', () => this.renderSessionLog());
+    this.logFilter.addEventListener('change', () => this.renderSessionLog());
+    this.el.querySelector('.voice-log__toolbar').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-log-action]')?.dataset.logAction;
+      if (action === 'clear') {
+        if (window.confirm('Clear the voice session log?')) {
+          this.sessionLog.clear();
+          this.sessionLogChanged();
+        }
+      } else if (action) {
+        this.exportSessionLog(action);
+      }
+    });
+    this.renderSessionLog();
+
+    this.tuningEl.addEventListener('input', (e) => {
+      if (!e.target.dataset.tuning) return;
+      const values = {};
+      this.tuningEl.querySelectorAll('[data-tuning]').forEach((input) => {
+        values[input.dataset.tuning] = input.value;
+      });
+      this.tuningDirty = true;
+      this.applyTuning(clampTuning(values));
+    });
+    this.el.querySelector('.voice-tuning__toolbar').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-tuning-action]')?.dataset.tuningAction;
+      if (action === 'calibrate') this.calibrate();
+      if (action === 'save') this.saveTuning();
+      if (action === 'reset') this.resetTuning();
+    });
+    this.renderTuning();
+
+    this.modelsEl.addEventListener('toggle', () => {
+      if (this.modelsEl.open) this.refreshModelCache();
+    });
+    this.modelsEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-models-action]');
+      if (!button) return;
+      const { modelsAction, model } = button.dataset;
+      if (modelsAction === 'download') this.downloadModelFiles(model);
+      if (modelsAction === 'clear') this.clearModelFiles((url) => url.includes(`/assets/models/${model}/`));
+      if (modelsAction === 'clear-stale') this.clearModelFiles((url) => this.modelCache.stale.includes(url));
+      if (modelsAction === 'clear-all' && window.confirm('Clear all offline voice models? They will download again on next use.')) {
+        this.clearModelFiles(() => true);
+      }
+    });
+
+    this.captionsCheckbox.addEventListener('change', () => this.setCaptions(this.captionsCheckbox.checked));
+    this.renderCaptionsToggle();
+
+    this.modeSelect.addEventListener('change', () => this.setMode(this.modeSelect.value));
+    this.modeOptionsEl.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-mode-action]')?.dataset.modeAction;
+      if (action === 'set-key') {
+        this.capturingTalkKey = true;
+        this.renderModeOptions();
+      } else if (action === 'enroll') {
+        this.enrollHotword();
+      }
+    });
+    this.renderModeOptions();
+
+    this.modelSelect.addEventListener('change', () => {
+      this.changeModel({ modelName: this.modelSelect.value });
+    });
+
+    this.languageSelect.addEventListener('change', () => {
+      this.changeModel({ language: this.languageSelect.value });
+    });
+
     this.micSelect.addEventListener('change', () => {
       const selectedMic = this.micSelect.value;
       localStorage.setItem('pavoi_voice_mic', selectedMic);
+      this.loadTuningForMic();
 
       // Restart if currently active
       if (this.isActive) {
@@ -368,14 +842,47 @@ export default {
       }
     });
 
-    // Keyboard shortcut: Ctrl/Cmd + M
+    // Keyboard: Ctrl/Cmd + M cycles listening modes; the talk key is held to talk
     this.keyboardHandler = (e) => {
       if ((e.ctrlKey || e.metaKey) && e.key === 'm') {
         e.preventDefault();
-        this.toggle();
+        this.setMode(nextMode(this.mode));
+        return;
+      }
+
+      if (this.capturingTalkKey) {
+        e.preventDefault();
+        this.capturingTalkKey = false;
+        if (e.code !== 'Escape') {
+          this.talkKey = e.code;
+          localStorage.setItem('pavoi_voice_talk_key', e.code);
+        }
+        this.renderModeOptions();
+        return;
+      }
+
+      if (e.code === 'Escape' && this.heldJump) {
+        e.preventDefault();
+        this.cancelHeldJump();
+        return;
+      }
+
+      if (e.code === this.talkKey && this.mode === 'push_to_talk' && this.isActive && !isTyping(e.target)) {
+        e.preventDefault();
+        if (!e.repeat) this.pressTalkKey();
       }
     };
+    this.keyupHandler = (e) => {
+      if (e.code === this.talkKey && this.talkKeyHeld) {
+        e.preventDefault();
+        this.releaseTalkKey();
+      }
+    };
+    // A key released while the window is in the background never sends keyup
+    this.blurHandler = () => this.releaseTalkKey();
     document.addEventListener('keydown', this.keyboardHandler);
+    document.addEventListener('keyup', this.keyupHandler);
+    window.addEventListener('blur', this.blurHandler);
 
     // Handle window resize for canvas
     this.resizeHandler = () => this.setupCanvas();
@@ -510,6 +1017,9 @@ export default {
       const savedMic = localStorage.getItem('pavoi_voice_mic');
       if (savedMic && audioInputs.find(d => d.deviceId === savedMic)) {
         this.micSelect.value = savedMic;
+      } else if (!this.tuningDirty) {
+        // Saved mic is gone; use the profile of the one now selected
+        this.loadTuningForMic();
       }
 
       this.microphonesLoaded = true;
@@ -604,8 +1114,11 @@ export default {
         onSpeechEnd: (audio) => {
           console.log('[VoiceControl] VAD speech end event');
           // Process the VAD-segmented audio as a backup
-          // (periodic processing should have already caught any numbers)
-          if (!this.isProcessing && audio.length > 8000) {
+          // (periodic processing should have already caught any numbers;
+          // the calibration sample is never run as a command)
+          if (this.hotwordEnrollment) {
+            this.addHotwordRecording(audio);
+          } else if (!this.isProcessing && !this.calibration && isPipelineOpen(this.mode, { talkKeyHeld: this.talkKeyHeld, awake: this.awake }) && audio.length > 8000) {
             this.processAudio(audio);
           }
         },
@@ -626,7 +1139,7 @@ export default {
       this.hintEl.classList.remove('voice-control-hint--hidden');
 
       // Update status and start waveform visualization immediately
-      this.updateStatus('listening', 'Listening...');
+      this.enterMode();
       this.startWaveformAnimation();
 
       // Request wake lock to prevent screen sleep during recording
@@ -663,19 +1176,38 @@ export default {
       this.vad = null;
     }
 
-    // Reset state
+    // Reset state (a transcript still in flight is dropped when it arrives)
     this.isActive = false;
     this.isProcessing = false;
+    this.requests.abandon();
     this.speechActive = false;
     this.silenceFrameCount = 0;
 
     // Reset ring buffer (just reset indices, no allocation)
     this.bufferWriteIndex = 0;
     this.bufferLength = 0;
+    this.captions.reset();
 
     // Reset deduplication (allow fresh detection on restart)
-    this.lastDetectedNumber = null;
-    this.lastDetectionTime = 0;
+    this.recentCommands.clear();
+    this.clearPendingCommand();
+    this.clearHeldJump();
+    this.hideChoices();
+
+    if (this.calibration) {
+      this.calibration = null;
+      this.calibrateBtn.disabled = false;
+      this.tuningStatusEl.textContent = 'Calibration cancelled';
+    }
+
+    this.talkKeyHeld = false;
+    this.awake = false;
+    clearTimeout(this.awakeTimer);
+    this.awakeTimer = null;
+    if (this.hotwordEnrollment) {
+      this.hotwordEnrollment = null;
+      this.renderModeOptions();
+    }
 
     this.toggleBtn.classList.remove('active');
     this.toggleBtn.querySelector('.text').textContent = 'Start';
@@ -710,8 +1242,10 @@ export default {
       this.worker = null;
     }
 
-    // Reset state
+    // Reset state (an in-flight request died with the old worker)
     this.modelReady = false;
+    this.requests.abandon();
+    this.isProcessing = false;
     this.transcriptionCount = 0;
     this.consecutiveErrors = 0;
 
@@ -743,19 +1277,8 @@ export default {
       return;
     }
 
-    this.isProcessing = true;
-    // Keep showing waveform during background processing (don't show "Processing...")
-
-    // Convert Float32Array to regular array for worker transfer
-    const audioArray = Array.from(audioData);
-
-    console.log(`[VoiceControl] Sending ${audioArray.length} samples to worker (VAD fallback)`);
-
-    // Send to worker for transcription
-    this.worker.postMessage({
-      type: 'transcribe',
-      data: { audio: audioArray }
-    });
+    debug(`Sending ${audioData.length} samples to worker (VAD fallback)`);
+    this.sendAudio(audioData, performance.now());
   },
 
   /**
@@ -777,9 +1300,28 @@ export default {
    * Implements continuous speech detection with rolling buffer
    */
   handleFrame(probabilities, frame) {
+    this.frameMs = frame.length / SAMPLE_RATE * 1000;
+
+    // Calibration records probabilities instead; the sample command is kept
+    // out of the buffer so it is never transcribed
+    if (this.calibration) {
+      const samples = this.calibration[this.calibration.phase];
+      if (samples) samples.push(probabilities.isSpeech);
+      return;
+    }
+
     // Always append to rolling buffer
     this.appendToBuffer(frame);
 
+    // Push-to-talk processing follows the key, not the VAD
+    const role = frameRole(this.mode, { awake: this.awake });
+    if (role === 'talk_key') return;
+
+    if (role === 'hotword') {
+      this.listenForHotword(probabilities);
+      return;
+    }
+
     const isSpeaking = probabilities.isSpeech > this.speechThreshold;
 
     if (isSpeaking) {
@@ -854,231 +1396,1003 @@ export default {
       return;
     }
 
-    // Extract samples from ring buffer in correct order
-    const audioData = new Float32Array(this.bufferLength);
-    const startIndex = (this.bufferWriteIndex - this.bufferLength + this.bufferMaxSamples) % this.bufferMaxSamples;
-
-    for (let i = 0; i < this.bufferLength; i++) {
-      audioData[i] = this.audioBuffer[(startIndex + i) % this.bufferMaxSamples];
-    }
+    const prepStartedAt = performance.now();
+    const audioData = this.readBuffer(this.bufferLength);
 
     console.log(`[VoiceControl] Processing buffer: ${audioData.length} samples (~${(audioData.length / 16000).toFixed(1)}s)`);
+    this.sendAudio(audioData, prepStartedAt);
+  },
+
+  /**
+   * The most recent `length` samples of the ring buffer, in order
+   * (at most two contiguous copies)
+   */
+  readBuffer(length) {
+    const count = Math.min(length, this.bufferLength);
+    const audioData = new Float32Array(count);
+    const startIndex = (this.bufferWriteIndex - count + this.bufferMaxSamples) % this.bufferMaxSamples;
+    const firstPart = Math.min(count, this.bufferMaxSamples - startIndex);
+
+    audioData.set(this.audioBuffer.subarray(startIndex, startIndex + firstPart));
+    audioData.set(this.audioBuffer.subarray(0, count - firstPart), firstPart);
+    return audioData;
+  },
+
+  /**
+   * Send samples to the worker as a new transcription request.
+   *
+   * The samples' ArrayBuffer is transferred rather than copied, so `audioData`
+   * is detached afterwards. Setting localStorage `pavoi_voice_transport` to
+   * "copy" switches back to sending a plain array, to compare latency.
+   *
+   * @param {Float32Array} audioData - 16kHz mono samples
+   * @param {number} prepStartedAt - performance.now() when preparing the audio began
+   */
+  sendAudio(audioData, prepStartedAt) {
+    // The model is reloading (model or language change); skip rather than queue
+    if (!this.modelReady) {
+      debug('Model not ready, skipping audio');
+      return;
+    }
 
-    this.isProcessing = true;
     // Keep showing waveform during background processing (don't show "Processing...")
+    this.isProcessing = true;
 
-    this.worker.postMessage({
-      type: 'transcribe',
-      data: { audio: Array.from(audioData) }
-    });
+    let audio;
+    let transfer = [];
+
+    if (this.audioTransport === 'copy') {
+      audio = Array.from(audioData);
+    } else {
+      audio = transferableSamples(audioData).buffer;
+      transfer = [audio];
+    }
+
+    const id = this.requests.startTranscription({ sentAt: clockNow(), prepMs: performance.now() - prepStartedAt });
+    this.worker.postMessage({ type: 'transcribe', id, data: { audio } }, transfer);
+  },
+
+  updateLatencyReadout() {
+    const latency = this.requests.latency();
+    if (!latency) {
+      this.latencyEl.hidden = true;
+      return;
+    }
+
+    const format = (timings) => ['prepMs', 'sendMs', 'inferenceMs', 'replyMs']
+      .map((key) => `${key.replace('Ms', '')} ${Math.round(timings[key])}ms`)
+      .join(' · ');
+
+    this.latencyEl.hidden = false;
+    this.latencyEl.textContent = `${Math.round(latency.average.totalMs)}ms`;
+    this.latencyEl.title = [
+      `Transcription latency (${this.audioTransport} transport)`,
+      `Last: ${Math.round(latency.last.totalMs)}ms (${format(latency.last)})`,
+      `Average of ${latency.count}: ${Math.round(latency.average.totalMs)}ms (${format(latency.average)})`
+    ].join('\n');
   },
 
   /**
    * Handle transcript from Whisper
-   * Includes deduplication to prevent repeated jumps during continuous speech
+   * Matches it against the command registry, applying each command's
+   * deduplication and confirmation rules, and records the outcome in the session log
+   * @param {string} text
+   * @param {Object} request - { requestId, latencyMs, inferenceMs } for the log
    */
-  handleTranscript(text) {
+  handleTranscript(text, request = {}) {
     console.log('[VoiceControl] Transcript:', text);
 
-    // Extract number from transcript
-    const number = this.extractNumber(text);
-
-    // Support all two-digit numbers (1-99) to match keyboard shortcuts
-    // Backend will validate against actual product count
-    if (number !== null && number >= 1 && number <= 99) {
-      // Deduplication: check if this is the same number detected recently
-      const now = Date.now();
-      const isDuplicate = (
-        number === this.lastDetectedNumber &&
-        (now - this.lastDetectionTime) < this.deduplicationWindowMs
-      );
+    // Silence transcribes to nothing; not worth a log entry
+    const entry = text && text.trim()
+      ? this.logEvent({ ...request, transcript: text.trim(), decision: 'no_match' })
+      : null;
 
-      if (isDuplicate) {
-        console.log(`[VoiceControl] Ignoring duplicate: ${number} (within ${this.deduplicationWindowMs}ms window)`);
-        // Resume listening without showing error
-        if (this.isActive && this.speechActive) {
-          this.updateStatus('listening', 'Listening...');
-        }
-        return;
+    if (this.captionsEnabled) this.sendCaption(text);
+
+    // A command waiting for "confirm" / "cancel" takes the transcript first
+    if (this.pendingCommand && this.handleConfirmation(text, entry)) return;
+    if (this.heldJump && this.handleHeldJumpReply(text, entry)) return;
+
+    const match = this.commands.match(text, this.commandContext());
+
+    if (!match) {
+      // No command detected - this is normal during continuous speech
+      // Only log, don't show error to user (too noisy during continuous mode)
+      if (text && text.trim()) {
+        debug(`No command in transcript: "${text.substring(0, 50)}..."`);
       }
+      this.resumeListening();
+      return;
+    }
 
-      // Update deduplication tracking
-      this.lastDetectedNumber = number;
-      this.lastDetectionTime = now;
+    this.updateLogEntry(entry, {
+      command: match.command.id,
+      event: match.command.event,
+      payload: match.choices ? match.choices.map((choice) => choice.payload) : match.payload,
+      decision: 'matched'
+    });
 
-      // Keep waveform showing while we send request
-      console.log(`[VoiceControl] Requesting jump to product ${number}`);
+    // Deduplication: the rolling buffer means one utterance is usually transcribed twice
+    const key = dedupeKey(match);
+    const now = Date.now();
+    const lastSeen = this.recentCommands.get(key);
 
-      // Push event to LiveView with reply callback
-      this.pushEvent("jump_to_product", { position: number.toString() }, (reply) => {
-        if (reply.success) {
-          // Briefly show success, then return to listening
-          this.updateStatus('success', `→ ${reply.position}`);
-          console.log(`[VoiceControl] Successfully jumped to product ${reply.position}`);
-        } else {
-          this.updateStatus('error', reply.error || `Product ${number} not found`);
-          console.warn(`[VoiceControl] Jump failed: ${reply.error}`);
-        }
+    const windowMs = dedupeWindow(match.command, this.tuning);
 
-        // Return to listening quickly (waveform keeps running)
-        setTimeout(() => {
-          if (this.isActive) {
-            this.updateStatus('listening', 'Listening...');
-          }
-        }, 1000);
-      });
+    if (lastSeen && (now - lastSeen) < windowMs) {
+      debug(`Ignoring duplicate: ${key} (within ${windowMs}ms window)`);
+      this.updateLogEntry(entry, { decision: 'duplicate' });
+      this.resumeListening();
+      return;
+    }
+    this.recentCommands.set(key, now);
+
+    if (match.choices) {
+      this.updateLogEntry(entry, { decision: 'choices' });
+      this.showChoices(match);
+    } else if (match.command.confirm) {
+      this.updateLogEntry(entry, { decision: 'awaiting_confirmation' });
+      this.requestConfirmation(match);
+    } else if (match.command.event === 'jump_to_product' && this.jumpHoldMs > 0) {
+      this.updateLogEntry(entry, { decision: 'held' });
+      this.holdJump(match, entry);
+    } else {
+      this.runCommand(match, entry);
+    }
+  },
+
+  /**
+   * Show a jump on the controller for the confirm window before sending it.
+   * Escape, the Cancel button or "cancel" drops it; "confirm" sends it now.
+   */
+  holdJump(match, entry) {
+    // A newer jump replaces one still waiting
+    if (this.heldJump) this.cancelHeldJump();
+
+    const product = this.parseDataAttribute('products').find((p) => String(p.position) === match.payload.position);
+    const target = product && match.command.id === 'show_number' ? `${match.label} · ${product.name}` : match.label;
+    console.log(`[VoiceControl] Holding ${target} for ${this.jumpHoldMs}ms`);
+
+    this.heldJump = { match, entry, timer: setTimeout(() => this.commitHeldJump(), this.jumpHoldMs) };
+
+    this.heldJumpTarget.textContent = target;
+    this.heldJumpEl.hidden = false;
+    // Restart the countdown bar
+    this.heldJumpCountdown.style.animation = 'none';
+    void this.heldJumpCountdown.offsetWidth;
+    this.heldJumpCountdown.style.animation = `voice-countdown ${this.jumpHoldMs}ms linear forwards`;
+
+    this.updateStatus('processing', `${target}? Esc or "${grammarFor(this.language).cancel[0]}" to stop`);
+  },
+
+  commitHeldJump() {
+    const { match, entry } = this.heldJump;
+    this.clearHeldJump();
+    this.runCommand(match, entry);
+  },
+
+  /**
+   * Drop the held jump (Escape, Cancel button, or replaced by a newer one)
+   */
+  cancelHeldJump() {
+    if (!this.heldJump) return;
+
+    const { match } = this.heldJump;
+    this.clearHeldJump();
+    this.logEvent({ command: match.command.id, event: match.command.event, payload: match.payload, decision: 'cancelled' });
+    console.log(`[VoiceControl] Held jump cancelled: ${match.label}`);
+    this.showResult('error', 'Jump cancelled');
+  },
+
+  /**
+   * "cancel" or "confirm" said while a jump is held. Returns true if it was one.
+   */
+  handleHeldJumpReply(text, entry) {
+    const reply = matchConfirmation(text, grammarFor(this.language));
+    if (!reply) return false;
+
+    const { match } = this.heldJump;
+    this.clearHeldJump();
+    this.updateLogEntry(entry, {
+      command: match.command.id,
+      event: match.command.event,
+      payload: match.payload,
+      decision: reply === 'confirm' ? 'confirmed' : 'cancelled'
+    });
 
+    // The reply stays in the rolling buffer; forget it so the next transcript
+    // can't cancel a jump said after it
+    this.bufferWriteIndex = 0;
+    this.bufferLength = 0;
+
+    if (reply === 'confirm') {
+      this.runCommand(match, entry);
     } else {
-      // No valid number detected - this is normal during continuous speech
-      // Only log, don't show error to user (too noisy during continuous mode)
-      if (text && text.trim()) {
-        console.log(`[VoiceControl] No number in transcript: "${text.substring(0, 50)}..."`);
-      }
+      console.log(`[VoiceControl] Held jump cancelled: ${match.label}`);
+      this.showResult('error', 'Jump cancelled');
+    }
+    return true;
+  },
 
-      // Resume listening state if still active
-      if (this.isActive && this.speechActive) {
-        this.updateStatus('listening', 'Listening...');
+  clearHeldJump() {
+    if (!this.heldJump) return;
+
+    clearTimeout(this.heldJump.timer);
+    this.heldJump = null;
+    this.heldJumpEl.hidden = true;
+  },
+
+  /**
+   * Hold a command until the host says "confirm" or "cancel"
+   */
+  requestConfirmation(match) {
+    this.clearPendingCommand();
+    console.log(`[VoiceControl] Waiting for confirmation: ${match.command.id}`);
+
+    this.pendingCommand = match;
+    this.pendingCommandTimer = setTimeout(() => {
+      this.clearPendingCommand();
+      this.logEvent({ command: match.command.id, event: match.command.event, payload: match.payload, decision: 'expired' });
+      if (this.isActive) {
+        this.showResult('error', 'Not confirmed');
       }
+    }, this.confirmationTimeoutMs);
+
+    this.updateStatus('processing', `${match.label}? Say "${grammarFor(this.language).confirm[0]}"`);
+  },
+
+  /**
+   * Answer a pending command. Returns true if the transcript was a reply.
+   */
+  handleConfirmation(text, entry) {
+    const reply = matchConfirmation(text, grammarFor(this.language));
+    if (!reply) return false;
+
+    const match = this.pendingCommand;
+    this.clearPendingCommand();
+    this.updateLogEntry(entry, {
+      command: match.command.id,
+      event: match.command.event,
+      payload: match.payload,
+      decision: reply === 'confirm' ? 'confirmed' : 'cancelled'
+    });
+
+    if (reply === 'confirm') {
+      this.runCommand(match, entry);
+    } else {
+      console.log(`[VoiceControl] Cancelled: ${match.command.id}`);
+      this.showResult('error', 'Cancelled');
     }
+    return true;
+  },
+
+  clearPendingCommand() {
+    clearTimeout(this.pendingCommandTimer);
+    this.pendingCommand = null;
+    this.pendingCommandTimer = null;
   },
 
   /**
-   * Extract product number from "show number [N]" command in transcript
-   *
-   * Only triggers on the specific phrase "show number" followed by a number.
-   * This allows the command to be embedded in continuous speech without
-   * false positives from numbers spoken in other contexts.
-   *
-   * Handles:
-   * - "show number 5" → 5
-   * - "show number twenty three" → 23
-   * - "...talking about something show number 12 and then more talking..." → 12
-   * - "show number five" → 5
-   *
-   * Does NOT trigger on:
-   * - "the price is 5 dollars" (no "show number" prefix)
-   * - "I have 23 items" (no "show number" prefix)
-   * - "show me the product" (no number following)
+   * Offer the candidates of an unclear match as buttons; one click runs it
    */
-  extractNumber(text) {
-    if (!text) return null;
-
-    // Normalize the text for pattern matching
-    const normalized = text.toLowerCase()
-      .replace(/[.,!?;:]+/g, ' ')  // Replace punctuation with spaces
-      .replace(/\s+/g, ' ')        // Normalize whitespace
-      .trim();
-
-    // Pattern: "show number" followed by digits or number words
-    // The (?:^|\\s) ensures we match "show" as a word boundary
-    // Looking for: "show number 5" or "show number five" or "show number twenty three"
-
-    // First, try to find "show number" followed by digits
-    const digitPattern = /(?:^|\s)show\s+number\s+(\d+)/i;
-    const digitMatch = normalized.match(digitPattern);
-    if (digitMatch) {
-      const num = parseInt(digitMatch[1]);
-      if (num > 0) {
-        console.log(`[VoiceControl] Matched "show number ${num}" (digit)`);
-        return num;
+  showChoices(match) {
+    clearTimeout(this.choicesTimer);
+    console.log(`[VoiceControl] Ambiguous ${match.command.id}:`, match.choices.map((choice) => choice.label));
+
+    this.pendingChoices = match;
+    this.choicesList.replaceChildren(...match.choices.map((choice, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'voice-choices__item';
+      button.dataset.choice = index;
+      button.textContent = choice.label;
+      return button;
+    }));
+    this.choicesEl.hidden = false;
+
+    // Stale choices would be confusing once the host has moved on
+    this.choicesTimer = setTimeout(() => this.hideChoices(), this.choicesTimeoutMs);
+    this.showResult('processing', match.label);
+  },
+
+  pickChoice(index) {
+    const match = this.pendingChoices;
+    const choice = match && match.choices[index];
+    if (!choice) return;
+
+    this.hideChoices();
+    this.recentCommands.set(dedupeKey({ command: match.command, key: choice.key }), Date.now());
+
+    const entry = this.logEvent({ command: match.command.id, event: match.command.event, payload: choice.payload, decision: 'picked' });
+    this.runCommand({ command: match.command, ...choice }, entry);
+  },
+
+  hideChoices() {
+    clearTimeout(this.choicesTimer);
+    this.pendingChoices = null;
+    this.choicesEl.hidden = true;
+    this.choicesList.replaceChildren();
+  },
+
+  /**
+   * Push a matched command's event to LiveView
+   * @param {Object} match - Registry match
+   * @param {Object|null} entry - Session log entry to record the reply on
+   */
+  runCommand(match, entry = null) {
+    const { command, payload, label } = match;
+    console.log(`[VoiceControl] Running ${command.id}:`, payload);
+
+    const sent = sendCommand(this, command.event, payload, (reply) => {
+      // Only some events reply (jump_to_product); no reply means it was accepted
+      const failed = Boolean(reply && reply.success === false);
+      this.updateLogEntry(entry, { result: failed ? 'error' : 'success', reply: reply || null });
+
+      if (failed) {
+        this.showResult('error', reply.error || `${label} failed`);
+        console.warn(`[VoiceControl] ${command.id} failed: ${reply.error}`);
+      } else {
+        this.showResult('success', reply && reply.position ? `→ ${reply.position}` : label);
       }
+    });
+
+    // Disconnected: navigation waits for the reconnect, anything else is lost
+    if (sent === 'queued') {
+      this.updateLogEntry(entry, { result: 'queued' });
+      this.showResult('processing', `${label} (queued until reconnected)`);
+    } else if (sent === 'dropped') {
+      this.updateLogEntry(entry, { result: 'error', reply: { error: 'Disconnected' } });
+      this.showResult('error', `${label} failed: disconnected`);
+    }
+  },
+
+  /**
+   * Add a session log entry
+   * @returns {Object} The entry, to fill in as the command progresses
+   */
+  logEvent(fields) {
+    const entry = this.sessionLog.add(fields);
+    this.sessionLogChanged();
+    return entry;
+  },
+
+  updateLogEntry(entry, fields) {
+    if (!entry) return;
+    Object.assign(entry, fields);
+    this.sessionLogChanged();
+  },
+
+  sessionLogChanged() {
+    // Saving serializes the whole log; batch it
+    if (!this.sessionLogSaveTimer) {
+      this.sessionLogSaveTimer = setTimeout(() => this.saveSessionLog(), 5000);
     }
 
-    // Next, try to find "show number" followed by word numbers
-    // We need to extract the text after "show number" and parse it
-    const wordPattern = /(?:^|\s)show\s+number\s+([a-z][a-z\s]*)/i;
-    const wordMatch = normalized.match(wordPattern);
-    if (wordMatch) {
-      // Extract just the number words (stop at non-number words)
-      const afterShowNumber = wordMatch[1].trim();
-      const numberWords = this.extractNumberWords(afterShowNumber);
-
-      if (numberWords) {
-        const num = this.wordsToNumber(numberWords);
-        if (num !== null && num > 0) {
-          console.log(`[VoiceControl] Matched "show number ${numberWords}" → ${num}`);
-          return num;
-        }
-      }
+    if (!this.sessionLogRenderPending) {
+      this.sessionLogRenderPending = true;
+      requestAnimationFrame(() => {
+        this.sessionLogRenderPending = false;
+        this.renderSessionLog();
+      });
+    }
+  },
+
+  loadSessionLog() {
+    try {
+      return JSON.parse(sessionStorage.getItem('pavoi_voice_session_log') || '[]');
+    } catch (error) {
+      console.warn('[VoiceControl] Discarding unreadable session log:', error);
+      return [];
     }
+  },
+
+  saveSessionLog() {
+    clearTimeout(this.sessionLogSaveTimer);
+    this.sessionLogSaveTimer = null;
 
-    return null;
+    try {
+      sessionStorage.setItem('pavoi_voice_session_log', JSON.stringify(this.sessionLog.entries()));
+    } catch (error) {
+      console.warn('[VoiceControl] Failed to save session log:', error);
+    }
   },
 
   /**
-   * Extract number words from the beginning of a string
-   * Stops when encountering non-number words
-   *
-   * "twenty three and then" → "twenty three"
-   * "five more things" → "five"
-   * "hello world" → null
+   * Update the log summary, and the entry table if the log is expanded
+   * (newest first, capped so a four-hour log stays cheap to render)
    */
-  extractNumberWords(text) {
-    const numberWordSet = new Set([
-      'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
-      'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
-      'seventeen', 'eighteen', 'nineteen',
-      'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety',
-      'hundred'
-    ]);
-
-    const words = text.split(/\s+/);
-    const numberWords = [];
-
-    for (const word of words) {
-      if (numberWordSet.has(word)) {
-        numberWords.push(word);
-      } else {
-        // Stop at first non-number word
-        break;
+  renderSessionLog() {
+    const entries = this.sessionLog.entries();
+    const stats = summarize(entries);
+    this.logStatsEl.textContent = [
+      `${stats.transcripts} transcripts`,
+      `${stats.commands} commands`,
+      `${stats.problems} to review`,
+      stats.avgLatencyMs !== null ? `avg ${stats.avgLatencyMs}ms` : null
+    ].filter(Boolean).join(' · ');
+
+    if (!this.logEl.open) return;
+
+    const visible = filterEntries(entries, this.logFilter.value).slice(-this.maxRenderedLogEntries).reverse();
+    this.logRows.replaceChildren(...visible.map((entry) => {
+      const row = document.createElement('tr');
+      row.className = `voice-log__row voice-log__row--${entry.result || entry.decision}`;
+
+      const cells = [
+        new Date(entry.time).toLocaleTimeString(),
+        entry.transcript || '(panel)',
+        entry.command ? `${entry.command} ${entry.payload ? JSON.stringify(entry.payload) : ''}` : '',
+        entry.decision,
+        entry.result ? `${entry.result}${entry.reply && entry.reply.error ? `: ${entry.reply.error}` : ''}` : '',
+        entry.latencyMs != null ? `${entry.latencyMs}ms` : ''
+      ];
+      for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
       }
+      return row;
+    }));
+  },
+
+  exportSessionLog(format) {
+    const entries = this.sessionLog.entries();
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+    if (format === 'csv') {
+      // UTF-8 BOM for Excel compatibility
+      this.downloadFile('\uFEFF' + toCSV(entries), `voice-session-${stamp}.csv`, 'text/csv;charset=utf-8;');
+    } else {
+      this.downloadFile(toJSON(entries), `voice-session-${stamp}.json`, 'application/json');
     }
+  },
 
-    return numberWords.length > 0 ? numberWords.join(' ') : null;
+  downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
   },
 
   /**
-   * Simple word-to-number conversion for common spoken numbers
-   * Handles numbers 1-999
+   * Briefly show a command result, then return to listening
    */
-  wordsToNumber(text) {
-    const ones = {
-      'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4,
-      'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9,
-      'ten': 10, 'eleven': 11, 'twelve': 12, 'thirteen': 13,
-      'fourteen': 14, 'fifteen': 15, 'sixteen': 16, 'seventeen': 17,
-      'eighteen': 18, 'nineteen': 19
-    };
+  showResult(state, message) {
+    this.updateStatus(state, message);
+
+    // Return to listening quickly (waveform keeps running)
+    setTimeout(() => {
+      if (this.isActive && !this.pendingCommand && !this.heldJump) {
+        this.updateStatus('listening', 'Listening...');
+      }
+    }, 1000);
+  },
+
+  resumeListening() {
+    if (this.isActive && this.speechActive && !this.pendingCommand && !this.heldJump) {
+      this.updateStatus('listening', 'Listening...');
+    }
+  },
 
-    const tens = {
-      'twenty': 20, 'thirty': 30, 'forty': 40, 'fifty': 50,
-      'sixty': 60, 'seventy': 70, 'eighty': 80, 'ninety': 90
+  /**
+   * Grammar for the selected language, plus product names and message presets
+   * for the name-based commands, read from data attributes on every match so
+   * they follow product set edits
+   */
+  commandContext() {
+    return {
+      grammar: grammarFor(this.language),
+      products: this.parseDataAttribute('products'),
+      presets: this.parseDataAttribute('presets')
     };
+  },
+
+  parseDataAttribute(name) {
+    try {
+      return JSON.parse(this.el.dataset[name] || '[]');
+    } catch (error) {
+      console.warn(`[VoiceControl] Invalid data-${name}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Switch listening mode, live if voice control is running
+   */
+  setMode(mode) {
+    if (mode === this.mode) return;
+
+    console.log(`[VoiceControl] Listening mode: ${mode}`);
+    this.mode = mode;
+    this.modeSelect.value = mode;
+    this.hotwordEnrollment = null;
+    localStorage.setItem('pavoi_voice_mode', mode);
+    this.renderModeOptions();
+
+    if (this.isActive) {
+      this.releaseTalkKey();
+      this.sleep();
+      this.stopPeriodicProcessing();
+      this.speechActive = false;
+      this.silenceFrameCount = 0;
+      this.enterMode();
+    }
+  },
+
+  /**
+   * Put a running session into the current mode's idle state. Push-to-talk
+   * pauses the VAD too, so nothing runs until the key is pressed.
+   */
+  enterMode() {
+    const idle = this.idleState();
+    if (idle.vad) {
+      this.vad.start();
+    } else {
+      this.vad.pause();
+    }
+    this.updateStatus(idle.status, idle.message);
+  },
+
+  idleState() {
+    return idleState(this.mode, { talkKey: this.talkKey, hotwordReady: !!this.hotwordSpotter });
+  },
+
+  renderModeOptions() {
+    this.modeOptionsEl.hidden = this.mode === 'continuous';
+    this.modeOptionsEl.querySelectorAll('[data-mode-option]').forEach((option) => {
+      option.hidden = option.dataset.modeOption !== this.mode;
+    });
+
+    this.talkKeyEl.textContent = this.capturingTalkKey ? 'press a key...' : keyLabel(this.talkKey);
+
+    if (this.hotwordEnrollment) {
+      const recorded = this.hotwordEnrollment.length;
+      this.hotwordStatusEl.textContent = `Say your wake word (${recorded + 1} of ${ENROLLMENT_SAMPLES})...`;
+    } else {
+      this.hotwordStatusEl.textContent = this.hotwordSpotter ? 'Wake word recorded' : 'No wake word recorded';
+    }
+  },
+
+  pressTalkKey() {
+    if (this.talkKeyHeld) return;
+
+    this.talkKeyHeld = true;
+    this.bufferWriteIndex = 0;
+    this.bufferLength = 0;
+    this.vad.start();
+    this.speechActive = true;
+    this.updateStatus('listening', 'Listening...');
+    this.startPeriodicProcessing();
+  },
+
+  releaseTalkKey() {
+    if (!this.talkKeyHeld) return;
+
+    this.talkKeyHeld = false;
+    this.speechActive = false;
+    this.stopPeriodicProcessing();
+    this.vad.pause();
+    this.flushTalkAudio(Date.now() + PUSH_TO_TALK_FLUSH_MS);
+  },
+
+  /**
+   * Transcribe what was said since the last periodic pass, once the worker is free
+   */
+  flushTalkAudio(deadline) {
+    if (this.talkKeyHeld || !this.isActive) return;
+
+    if (this.isProcessing && Date.now() < deadline) {
+      setTimeout(() => this.flushTalkAudio(deadline), 100);
+      return;
+    }
+
+    if (this.bufferLength > 8000) {
+      this.processBufferedAudio();
+    }
+    const idle = this.idleState();
+    this.updateStatus(idle.status, idle.message);
+  },
+
+  /**
+   * While asleep in wake word mode, search the last couple of seconds for the
+   * wake word, during speech and just after it (the word may end an utterance)
+   */
+  listenForHotword(probabilities) {
+    const now = Date.now();
+    if (probabilities.isSpeech > this.speechThreshold) {
+      this.lastSpeechAt = now;
+    }
+
+    if (!this.hotwordSpotter || this.hotwordEnrollment) return;
+    if (now - this.lastSpeechAt > 1000 || now - this.lastHotwordCheckAt < HOTWORD_CHECK_MS) return;
+
+    this.lastHotwordCheckAt = now;
+    if (this.hotwordSpotter.detect(this.readBuffer(HOTWORD_SEARCH_SAMPLES))) {
+      this.wake();
+    }
+  },
+
+  wake() {
+    debug('Wake word detected');
+    this.awake = true;
+    this.awakeTimer = setTimeout(() => this.sleep(), HOTWORD_WINDOW_MS);
 
-    // Check direct match first
-    if (ones[text] !== undefined) return ones[text];
-    if (tens[text] !== undefined) return tens[text];
+    // The command may already be in the buffer, right after the wake word
+    this.speechActive = true;
+    this.silenceFrameCount = 0;
+    this.updateStatus('listening', 'Listening for a command...');
+    this.startPeriodicProcessing();
+  },
+
+  sleep() {
+    clearTimeout(this.awakeTimer);
+    this.awakeTimer = null;
+    if (!this.awake) return;
+
+    this.awake = false;
+    this.speechActive = false;
+    this.stopPeriodicProcessing();
+
+    // Catch a command said at the very end of the window, then forget the
+    // audio so the same wake word isn't spotted again
+    if (this.bufferLength > 8000) {
+      this.processBufferedAudio();
+    }
+    this.bufferWriteIndex = 0;
+    this.bufferLength = 0;
+
+    if (this.isActive && this.mode === 'hotword') {
+      const idle = this.idleState();
+      this.updateStatus(idle.status, idle.message);
+    }
+  },
+
+  /**
+   * Record the wake word ENROLLMENT_SAMPLES times, from VAD speech segments
+   */
+  async enrollHotword() {
+    if (this.hotwordEnrollment) return;
+    if (!this.isActive) {
+      await this.start();
+      if (!this.isActive) return;
+    }
+
+    this.sleep();
+    this.hotwordEnrollment = [];
+    this.updateStatus('loading', 'Recording wake word...');
+    this.renderModeOptions();
+  },
+
+  addHotwordRecording(audio) {
+    if (audio.length > HOTWORD_MAX_SAMPLES) {
+      this.hotwordStatusEl.textContent = 'Too long. Say just the wake word, then pause.';
+      return;
+    }
+
+    const template = extractFeatures(audio, { trim: true });
+    // Under ~0.2s is a cough or a click, not a word
+    if (template.length < 20) return;
+
+    this.hotwordEnrollment.push(template);
+    if (this.hotwordEnrollment.length < ENROLLMENT_SAMPLES) {
+      this.renderModeOptions();
+      return;
+    }
 
-    // Parse compound numbers like "twenty three" or "one hundred five"
-    const words = text.split(/\s+/);
-    let total = 0;
-    let current = 0;
+    this.hotwordTemplates = this.hotwordEnrollment;
+    this.hotwordEnrollment = null;
+    this.hotwordSpotter = createKeywordSpotter(this.hotwordTemplates);
+    localStorage.setItem('pavoi_voice_hotword', serializeTemplates(this.hotwordTemplates));
+    console.log(`[VoiceControl] Wake word recorded (threshold ${this.hotwordSpotter.threshold.toFixed(2)})`);
 
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i];
+    this.renderModeOptions();
+    this.enterMode();
+  },
+
+  loadTuningProfiles() {
+    try {
+      return JSON.parse(localStorage.getItem('pavoi_voice_tuning') || '{}');
+    } catch (error) {
+      console.warn('[VoiceControl] Discarding unreadable tuning profiles:', error);
+      return {};
+    }
+  },
+
+  currentMicId() {
+    return this.micSelect.value || localStorage.getItem('pavoi_voice_mic') || 'default';
+  },
+
+  loadTuningForMic() {
+    this.tuningDirty = false;
+    this.applyTuning(tuningForDevice(this.tuningProfiles, this.currentMicId()));
+  },
+
+  /**
+   * Apply tuning to the running pipeline. A new buffer length reallocates the
+   * ring buffer (dropping the audio it held); a new interval restarts the timer.
+   */
+  applyTuning(tuning) {
+    this.tuning = tuning;
+    this.speechThreshold = tuning.speechThreshold;
+    this.silenceFrameThreshold = tuning.silenceFrameThreshold;
+
+    if (tuning.bufferMaxSamples !== this.bufferMaxSamples) {
+      this.bufferMaxSamples = tuning.bufferMaxSamples;
+      this.audioBuffer = new Float32Array(this.bufferMaxSamples);
+      this.bufferWriteIndex = 0;
+      this.bufferLength = 0;
+    }
 
-      if (ones[word] !== undefined) {
-        current += ones[word];
-      } else if (tens[word] !== undefined) {
-        current += tens[word];
-      } else if (word === 'hundred' && current > 0) {
-        current *= 100;
+    if (tuning.processingIntervalMs !== this.processingIntervalMs) {
+      this.processingIntervalMs = tuning.processingIntervalMs;
+      if (this.processInterval) {
+        this.stopPeriodicProcessing();
+        this.startPeriodicProcessing();
       }
     }
 
-    total += current;
+    this.renderTuning();
+  },
+
+  saveTuning() {
+    this.tuningProfiles[this.currentMicId()] = this.tuning;
+    localStorage.setItem('pavoi_voice_tuning', JSON.stringify(this.tuningProfiles));
+    this.tuningDirty = false;
+    this.tuningStatusEl.textContent = 'Saved for this microphone';
+    this.renderTuning();
+  },
+
+  resetTuning() {
+    delete this.tuningProfiles[this.currentMicId()];
+    localStorage.setItem('pavoi_voice_tuning', JSON.stringify(this.tuningProfiles));
+    this.tuningStatusEl.textContent = 'Back to defaults';
+    this.loadTuningForMic();
+  },
+
+  renderTuning() {
+    for (const [key, value] of Object.entries(this.tuning)) {
+      this.tuningEl.querySelector(`[data-tuning="${key}"]`).value = value;
+      this.tuningEl.querySelector(`[data-tuning-value="${key}"]`).textContent = this.formatTuningValue(key, value);
+    }
+
+    const saved = Boolean(this.tuningProfiles[this.currentMicId()]);
+    this.tuningProfileEl.textContent = this.tuningDirty ? '(unsaved)' : saved ? '(saved for this mic)' : '(defaults)';
+  },
+
+  formatTuningValue(key, value) {
+    switch (key) {
+      case 'speechThreshold':
+        return value.toFixed(2);
+      case 'silenceFrameThreshold':
+        return `${value} (~${(value * this.frameMs / 1000).toFixed(1)}s)`;
+      case 'bufferMaxSamples':
+        return `${value / SAMPLE_RATE}s`;
+      default:
+        return `${value / 1000}s`;
+    }
+  },
+
+  /**
+   * Calibration wizard: record VAD speech probabilities through a few seconds
+   * of quiet, then while the host says a sample command, and propose tuning
+   * from the two. The proposal is applied live; saving keeps it for this mic.
+   */
+  async calibrate() {
+    if (this.calibration) return;
+    if (!this.isActive) {
+      await this.start();
+      if (!this.isActive) return;
+    }
+
+    const run = { phase: 'ambient', ambient: [], utterance: [] };
+    this.calibration = run;
+    this.calibrateBtn.disabled = true;
+
+    // Commands pause while calibrating (push-to-talk pauses the VAD itself)
+    this.speechActive = false;
+    this.stopPeriodicProcessing();
+    this.sleep();
+    this.vad.start();
+    this.updateStatus('loading', 'Calibrating...');
+
+    this.tuningStatusEl.textContent = `Stay quiet for ${CALIBRATION_AMBIENT_MS / 1000} seconds...`;
+    await wait(CALIBRATION_AMBIENT_MS);
+    if (this.calibration !== run) return;
+
+    run.phase = 'utterance';
+    this.tuningStatusEl.textContent = `Now say "${grammarFor(this.language).calibrationPhrase}"`;
+    await wait(CALIBRATION_UTTERANCE_MS);
+    if (this.calibration !== run) return;
+
+    run.phase = 'settling';
+    this.tuningStatusEl.textContent = 'Working out settings...';
+    await wait(CALIBRATION_SETTLE_MS);
+    if (this.calibration !== run) return;
+
+    this.calibration = null;
+    this.calibrateBtn.disabled = false;
+    this.enterMode();
+
+    const proposal = proposeTuning({ ambient: run.ambient, utterance: run.utterance, frameMs: this.frameMs });
+    if (!proposal) {
+      this.tuningStatusEl.textContent = "Couldn't tell your voice from the room. Move closer to the mic and try again.";
+      return;
+    }
+
+    const { noiseCeiling, speechLevel, utteranceMs } = proposal.measurements;
+    console.log('[VoiceControl] Calibration:', proposal.measurements, proposal.tuning);
+    this.tuningDirty = true;
+    this.applyTuning(proposal.tuning);
+    this.tuningStatusEl.textContent =
+      `Room ${noiseCeiling.toFixed(2)}, voice ${speechLevel.toFixed(2)}, command ${(utteranceMs / 1000).toFixed(1)}s. ` +
+      'Save to keep these for this mic.';
+  },
+
+  setCaptions(enabled) {
+    this.captionsEnabled = enabled;
+    this.captions.reset();
+    this.captionsStored = null;
+    localStorage.setItem('pavoi_voice_captions', enabled);
+    this.renderCaptionsToggle();
+  },
+
+  renderCaptionsToggle() {
+    this.captionsCheckbox.checked = this.captionsEnabled;
+    this.captionsToggle.title = !this.captionsEnabled
+      ? 'Show live captions on the host view and save them with the stream'
+      : this.captionsStored === false
+        ? 'Captions are shown live but not saved: no stream is being captured'
+        : 'Captions on';
+  },
+
+  /**
+   * Send the words of a transcript that the previous one didn't already have
+   * (see lib/voice/captions.mjs) to the LiveView, which shows them on the host
+   * view and saves them against the stream being captured.
+   */
+  sendCaption(text) {
+    const caption = this.captions.push(text);
+    if (!caption) return;
+
+    this.pushEvent('caption', { text: caption, language: this.language }, (reply) => {
+      if (reply.stored === this.captionsStored) return;
+      this.captionsStored = reply.stored;
+      this.renderCaptionsToggle();
+    });
+  },
+
+  /**
+   * Re-read the offline model cache: the manifest of models packaged with the
+   * app, what is cached of each, and browser storage use
+   */
+  async refreshModelCache() {
+    if (typeof caches === 'undefined') {
+      this.modelsStatusEl.textContent = 'Offline models need a secure (https) connection.';
+      return;
+    }
+
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    this.modelManifest = await loadManifest(cache);
+    const keys = await cache.keys();
+    this.modelCache = summarizeCache(this.modelManifest, keys.map((request) => request.url));
+
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      this.storageEstimate = { usage, quota };
+    }
+
+    this.renderModelCache();
+  },
+
+  /**
+   * Offline-ready when the selected model is packaged and fully cached at the
+   * precision of this device, along with the manifest to check it against
+   */
+  offlineReadiness() {
+    const device = this.modelDevice || this.detectDevice();
+    const dtype = dtypeFor(device);
+    const label = WHISPER_MODELS.find((m) => m.id === this.modelName).label;
+    const cached = this.modelCache && this.modelCache.models.find((model) => model.id === this.modelName);
+
+    if (!this.modelManifest) return { ready: false, message: 'No models packaged with this app; downloading from Hugging Face' };
+    if (!cached) return { ready: false, message: `${label} isn't packaged; downloading from Hugging Face` };
+    if (!cached.ready[dtype] || !this.modelCache.manifestCached) {
+      return { ready: false, message: `Not offline-ready: download ${label} (${formatBytes(cached.size[dtype])})` };
+    }
+    return { ready: true, message: `Offline-ready: ${label}, ${device === 'webgpu' ? 'GPU' : 'CPU'}` };
+  },
+
+  renderModelCache() {
+    const dtype = dtypeFor(this.modelDevice || this.detectDevice());
+    const readiness = this.offlineReadiness();
+    this.modelsReadinessEl.textContent = readiness.ready ? '(offline-ready)' : '(not offline-ready)';
+    this.modelsReadinessEl.classList.toggle('voice-models__readiness--ready', readiness.ready);
+
+    const downloading = Boolean(this.modelDownload);
+    this.modelsList.innerHTML = WHISPER_MODELS.map((m) => {
+      const cached = this.modelCache && this.modelCache.models.find((model) => model.id === m.id);
+      const progress = this.modelDownload && this.modelDownload.modelId === m.id ? ` · ${this.modelDownload.percent}%` : '';
+      const size = !cached
+        ? 'Not packaged'
+        : `${formatBytes(cached.cachedBytes)} of ${formatBytes(cached.size[dtype])}${progress}`;
+
+      return `
+        <div class="voice-models__row${cached && cached.ready[dtype] ? ' voice-models__row--ready' : ''}">
+          <span class="voice-models__name">${m.label}</span>
+          <span class="voice-models__size">${size}</span>
+          <span class="voice-models__actions">
+            <button type="button" class="voice-models__action" data-models-action="download" data-model="${m.id}"
+              ${!cached || cached.ready[dtype] || downloading ? 'disabled' : ''}>Download</button>
+            <button type="button" class="voice-models__action" data-models-action="clear" data-model="${m.id}"
+              ${!cached || !cached.cachedBytes || downloading ? 'disabled' : ''}>Clear</button>
+          </span>
+        </div>
+      `;
+    }).join('');
+
+    const stale = this.modelCache ? this.modelCache.stale.length : 0;
+    this.el.querySelector('[data-models-action="clear-stale"]').disabled = !stale || downloading;
+    this.el.querySelector('[data-models-action="clear-all"]').disabled = downloading;
+
+    if (!downloading) {
+      const usage = this.storageEstimate
+        ? ` Browser storage: ${formatBytes(this.storageEstimate.usage)} of ${formatBytes(this.storageEstimate.quota)}.`
+        : '';
+      this.modelsStatusEl.textContent = readiness.message + '.' + usage;
+    }
+  },
+
+  /**
+   * Pre-download a packaged model at this device's precision, verifying each
+   * file against the manifest, so the show doesn't depend on the venue network
+   */
+  async downloadModelFiles(modelId) {
+    if (this.modelDownload || !this.modelManifest) return;
+
+    this.modelDownload = { modelId, percent: 0 };
+    this.renderModelCache();
+
+    try {
+      // Ask the browser not to evict the models under storage pressure
+      if (navigator.storage && navigator.storage.persist) await navigator.storage.persist();
+
+      await downloadModel({
+        manifest: this.modelManifest,
+        modelId,
+        dtype: dtypeFor(this.modelDevice || this.detectDevice()),
+        cache: await caches.open(MODEL_CACHE_NAME),
+        onProgress: ({ loaded, total }) => {
+          this.modelDownload.percent = Math.round((loaded / total) * 100);
+          this.modelsStatusEl.textContent = `Downloading ${formatBytes(loaded)} of ${formatBytes(total)}...`;
+          this.renderModelCache();
+        }
+      });
+      this.modelDownload = null;
+    } catch (error) {
+      console.error('[VoiceControl] Model download failed:', error);
+      this.modelDownload = null;
+      await this.refreshModelCache();
+      this.modelsStatusEl.textContent = `Download failed: ${error.message}`;
+      return;
+    }
+
+    await this.refreshModelCache();
+  },
 
-    return total > 0 ? total : null;
+  /**
+   * Delete cached model files whose URL passes `filter`. A model already loaded
+   * keeps running; it downloads again next time it loads.
+   */
+  async clearModelFiles(filter) {
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    const keys = await cache.keys();
+    await Promise.all(keys.filter((request) => filter(request.url)).map((request) => cache.delete(request)));
+    await this.refreshModelCache();
   },
 
   /**
@@ -1329,6 +2643,9 @@ export default {
     // Stop VAD and waveform
     this.stop();
 
+    // Flush the pending session log save
+    this.saveSessionLog();
+
     // Terminate worker
     if (this.worker) {
       this.worker.terminate();
@@ -1340,6 +2657,8 @@ export default {
     // Remove event listeners
     if (this.keyboardHandler) {
       document.removeEventListener('keydown', this.keyboardHandler);
+      document.removeEventListener('keyup', this.keyupHandler);
+      window.removeEventListener('blur', this.blurHandler);
     }
     if (this.resizeHandler) {
       window.removeEventListener('resize', this.resizeHandler);
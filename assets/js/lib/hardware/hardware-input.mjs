@@ -0,0 +1,219 @@
+/**
+ * Hardware controls for the product set controller: MIDI pads, knobs and
+ * pedals (Web MIDI) and gamepad buttons and sticks (Gamepad API).
+ *
+ * Every input is reduced to `{ control, value, pressed }`, where `control`
+ * names the physical control on its device (`momentary` marks inputs with no
+ * release):
+ * - `note:<channel>:<note>` - MIDI pads and keys (pressed while the note is on)
+ * - `cc:<channel>:<number>` - MIDI knobs, faders and most pedals (value 0-127)
+ * - `pc:<channel>:<program>` - MIDI program change, sent by some pedal boards
+ * - `button:<index>` - gamepad buttons
+ * - `axis:<index>:+` / `axis:<index>:-` - a gamepad stick pushed one way
+ *
+ * Mappings are saved per device (MIDI input name or gamepad id) and bind a
+ * control to a controller event. Pedals that type keys instead are remapped in
+ * the keyboard shortcut overlay (lib/shortcuts).
+ */
+
+export const HARDWARE_ACTIONS = {
+  next_product: { label: 'Next product' },
+  previous_product: { label: 'Previous product' },
+  next_image: { label: 'Next image' },
+  previous_image: { label: 'Previous image' },
+  go_back: { label: 'Back to the previous product' },
+  jump_to_product: { label: 'Jump to product', position: true },
+  scroll_products: { label: 'Scroll products', knob: true }
+}
+
+// Presses of the same control closer than this are switch bounce (pedals especially)
+export const DEBOUNCE_MS = 150
+// Knob travel (of 0-127) per product when scrolling
+export const KNOB_STEP = 8
+// How far a gamepad stick has to move to count as pressed
+const AXIS_THRESHOLD = 0.6
+// CC values from 64 up count as pressed when a knob or pedal is mapped to a button action
+const CC_PRESSED = 64
+
+/**
+ * The input for a MIDI message, or null for messages that aren't controls
+ * (clock, sysex, aftertouch).
+ */
+export function parseMidiMessage(data) {
+  const [status, data1, data2 = 0] = data
+  const type = status & 0xf0
+  const channel = (status & 0x0f) + 1
+
+  switch (type) {
+    case 0x90:
+      return { control: `note:${channel}:${data1}`, value: data2, pressed: data2 > 0 }
+    case 0x80:
+      return { control: `note:${channel}:${data1}`, value: 0, pressed: false }
+    case 0xb0:
+      return { control: `cc:${channel}:${data1}`, value: data2, pressed: data2 >= CC_PRESSED }
+    case 0xc0:
+      // No release follows a program change
+      return { control: `pc:${channel}:${data1}`, value: 127, pressed: true, momentary: true }
+    default:
+      return null
+  }
+}
+
+/**
+ * The plain state of a Gamepad: pressed buttons and axis positions.
+ */
+export function gamepadSnapshot(gamepad) {
+  return {
+    buttons: gamepad.buttons.map((button) => button.pressed),
+    axes: [...gamepad.axes]
+  }
+}
+
+/**
+ * Inputs for what changed between two snapshots of the same gamepad.
+ */
+export function gamepadInputs(previous, next) {
+  const inputs = []
+
+  next.buttons.forEach((pressed, index) => {
+    if (pressed !== (previous?.buttons[index] || false)) {
+      inputs.push({ control: `button:${index}`, value: pressed ? 127 : 0, pressed })
+    }
+  })
+
+  next.axes.forEach((value, index) => {
+    const before = previous?.axes[index] || 0
+    for (const [sign, direction] of [[1, '+'], [-1, '-']]) {
+      const was = before * sign >= AXIS_THRESHOLD
+      const is = value * sign >= AXIS_THRESHOLD
+      if (was !== is) inputs.push({ control: `axis:${index}:${direction}`, value: is ? 127 : 0, pressed: is })
+    }
+  })
+
+  return inputs
+}
+
+/**
+ * The LiveView event for an input under a device's mapping, as
+ * `{ event, params }`, or null. `memory` is kept by the caller between inputs
+ * (per device) for debouncing and knob positions.
+ */
+export function eventForInput(mapping, input, memory, now) {
+  const binding = mapping[input.control]
+  if (!binding) return null
+
+  if (HARDWARE_ACTIONS[binding.action]?.knob) {
+    return knobEvent(input, memory)
+  }
+
+  // Only the moment a control goes down counts, so a pedal held (or a knob
+  // turned past halfway) doesn't repeat
+  const down = `${input.control}:down`
+  const wasDown = memory.get(down) || false
+  if (!input.momentary) memory.set(down, input.pressed)
+  if (!input.pressed || wasDown) return null
+
+  const last = memory.get(input.control)
+  memory.set(input.control, now)
+  if (last !== undefined && now - last < DEBOUNCE_MS) return null
+
+  return binding.action === 'jump_to_product'
+    ? { event: 'jump_to_product', params: { position: String(binding.position) } }
+    : { event: binding.action, params: {} }
+}
+
+// A knob moves a product every KNOB_STEP of travel from where it last moved one
+function knobEvent({ control, value }, memory) {
+  const anchor = memory.get(control)
+  if (anchor === undefined) {
+    memory.set(control, value)
+    return null
+  }
+
+  const steps = Math.trunc((value - anchor) / KNOB_STEP)
+  if (steps === 0) return null
+
+  memory.set(control, anchor + steps * KNOB_STEP)
+  return { event: steps > 0 ? 'next_product' : 'previous_product', params: {} }
+}
+
+/**
+ * Whether an input should be learned for an action: a press for buttons, any
+ * movement of a MIDI knob for knob actions.
+ */
+export function learnable(action, input) {
+  return HARDWARE_ACTIONS[action]?.knob ? input.control.startsWith('cc:') : input.pressed
+}
+
+/**
+ * New mappings with `control` on `device` bound to `binding`
+ * (`{ action, position? }`), or unbound when `binding` is null.
+ */
+export function assignControl(mappings, device, control, binding) {
+  const { [control]: _previous, ...rest } = mappings[device] || {}
+  const mapping = binding ? { ...rest, [control]: binding } : rest
+  return { ...mappings, [device]: mapping }
+}
+
+/**
+ * Controls on a device bound to an action (and position, for jumps).
+ */
+export function controlsFor(mapping, action, position) {
+  return Object.keys(mapping).filter((control) => {
+    const binding = mapping[control]
+    return binding.action === action && (action !== 'jump_to_product' || binding.position === position)
+  })
+}
+
+/**
+ * Saved mappings, keeping only bindings to known actions.
+ */
+export function parseMappings(json) {
+  let saved
+  try {
+    saved = JSON.parse(json)
+  } catch {
+    return {}
+  }
+  if (!saved || saved.version !== 1 || typeof saved.devices !== 'object') return {}
+
+  const mappings = {}
+  for (const [device, mapping] of Object.entries(saved.devices || {})) {
+    mappings[device] = {}
+    for (const [control, binding] of Object.entries(mapping || {})) {
+      if (validBinding(binding)) mappings[device][control] = binding
+    }
+  }
+  return mappings
+}
+
+export function serializeMappings(mappings) {
+  return JSON.stringify({ version: 1, devices: mappings })
+}
+
+function validBinding(binding) {
+  if (!binding || !HARDWARE_ACTIONS[binding.action]) return false
+  return binding.action !== 'jump_to_product' || (Number.isInteger(binding.position) && binding.position > 0)
+}
+
+/**
+ * A readable control name: "Pad 36 (ch 10)", "Knob 7 (ch 1)", "Button 3".
+ */
+export function describeControl(control) {
+  const [kind, a, b] = control.split(':')
+
+  switch (kind) {
+    case 'note':
+      return `Pad ${b} (ch ${a})`
+    case 'cc':
+      return `Knob ${b} (ch ${a})`
+    case 'pc':
+      return `Program ${b} (ch ${a})`
+    case 'button':
+      return `Button ${a}`
+    case 'axis':
+      return `Stick ${a}${b}`
+    default:
+      return control
+  }
+}
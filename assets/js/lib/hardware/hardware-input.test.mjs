@@ -0,0 +1,91 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DEBOUNCE_MS, assignControl, controlsFor, describeControl, eventForInput, gamepadInputs, learnable,
+  parseMappings, parseMidiMessage, serializeMappings
+} from './hardware-input.mjs'
+
+test('parses MIDI pads, knobs and program changes', () => {
+  assert.deepEqual(parseMidiMessage([0x99, 36, 100]), { control: 'note:10:36', value: 100, pressed: true })
+  // Note on with zero velocity is a release
+  assert.equal(parseMidiMessage([0x99, 36, 0]).pressed, false)
+  assert.equal(parseMidiMessage([0x89, 36, 64]).pressed, false)
+  assert.deepEqual(parseMidiMessage([0xb0, 7, 20]), { control: 'cc:1:7', value: 20, pressed: false })
+  assert.equal(parseMidiMessage([0xc0, 3]).momentary, true)
+  // Timing clock
+  assert.equal(parseMidiMessage([0xf8]), null)
+})
+
+test('reports gamepad buttons and sticks as they change', () => {
+  const idle = { buttons: [false, false], axes: [0, 0] }
+  const pushed = { buttons: [false, true], axes: [-0.9, 0.2] }
+
+  assert.deepEqual(gamepadInputs(idle, pushed), [
+    { control: 'button:1', value: 127, pressed: true },
+    { control: 'axis:0:-', value: 127, pressed: true }
+  ])
+  assert.deepEqual(gamepadInputs(pushed, pushed), [])
+  assert.deepEqual(gamepadInputs(pushed, idle).map((input) => [input.control, input.pressed]), [
+    ['button:1', false],
+    ['axis:0:-', false]
+  ])
+})
+
+test('fires mapped controls once per press, ignoring bounce', () => {
+  const mapping = { 'cc:1:64': { action: 'next_product' }, 'note:10:36': { action: 'jump_to_product', position: 12 } }
+  const memory = new Map()
+  const pedal = (value, now) => eventForInput(mapping, parseMidiMessage([0xb0, 64, value]), memory, now)
+
+  assert.deepEqual(pedal(127, 0), { event: 'next_product', params: {} })
+  // Held down
+  assert.equal(pedal(127, 500), null)
+  assert.equal(pedal(0, 600), null)
+  // Bounced back down straight after release
+  assert.deepEqual(pedal(127, 1000), { event: 'next_product', params: {} })
+  assert.equal(pedal(0, 1010), null)
+  assert.equal(pedal(127, 1000 + DEBOUNCE_MS - 1), null)
+
+  assert.deepEqual(eventForInput(mapping, parseMidiMessage([0x99, 36, 90]), memory, 0), {
+    event: 'jump_to_product',
+    params: { position: '12' }
+  })
+  assert.equal(eventForInput(mapping, parseMidiMessage([0x99, 37, 90]), memory, 0), null)
+})
+
+test('scrolls products with a knob', () => {
+  const mapping = { 'cc:1:7': { action: 'scroll_products' } }
+  const memory = new Map()
+  const knob = (value) => eventForInput(mapping, parseMidiMessage([0xb0, 7, value]), memory, 0)?.event
+
+  assert.equal(knob(60), undefined)
+  assert.equal(knob(65), undefined)
+  assert.equal(knob(68), 'next_product')
+  assert.equal(knob(72), undefined)
+  assert.equal(knob(59), 'previous_product')
+})
+
+test('learns presses for buttons and knob movement for scrolling', () => {
+  assert.equal(learnable('next_product', parseMidiMessage([0x99, 36, 0])), false)
+  assert.equal(learnable('next_product', parseMidiMessage([0x99, 36, 90])), true)
+  assert.equal(learnable('scroll_products', parseMidiMessage([0xb0, 7, 12])), true)
+  assert.equal(learnable('scroll_products', { control: 'button:1', value: 127, pressed: true }), false)
+})
+
+test('saves mappings per device', () => {
+  let mappings = assignControl({}, 'midi:nanoPAD2', 'note:10:36', { action: 'next_product' })
+  mappings = assignControl(mappings, 'midi:nanoPAD2', 'note:10:37', { action: 'jump_to_product', position: 3 })
+  mappings = assignControl(mappings, 'gamepad:Xbox', 'button:0', { action: 'next_product' })
+
+  assert.deepEqual(controlsFor(mappings['midi:nanoPAD2'], 'jump_to_product', 3), ['note:10:37'])
+  assert.deepEqual(controlsFor(mappings['gamepad:Xbox'], 'next_product'), ['button:0'])
+
+  mappings = assignControl(mappings, 'midi:nanoPAD2', 'note:10:36', null)
+  assert.deepEqual(parseMappings(serializeMappings(mappings)), mappings)
+  assert.deepEqual(parseMappings('{"version":1,"devices":{"x":{"button:0":{"action":"explode"}}}}'), { x: {} })
+  assert.deepEqual(parseMappings('nope'), {})
+})
+
+test('names controls', () => {
+  assert.equal(describeControl('note:10:36'), 'Pad 36 (ch 10)')
+  assert.equal(describeControl('axis:1:+'), 'Stick 1+')
+})
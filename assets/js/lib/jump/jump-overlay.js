@@ -0,0 +1,118 @@
+/**
+ * The jump overlay shared by the host and controller keyboard hooks: the
+ * number being typed, a preview of the product it points at (thumbnail, title
+ * and price) and the auto-jump countdown. A number the set has no product for
+ * shows "No product N" and is never sent.
+ */
+
+import { INVALID_HOLD_MS, JUMP_DELAY_MS, jumpPreview, parseJumpProducts } from './jump-preview.mjs'
+
+/**
+ * A typed-number buffer for a hook. `getProductsJson()` returns the view's
+ * `data-jump-products` (read on every digit, so it follows changes to the
+ * set) and `onJump(position)` pushes the jump.
+ *
+ * Returns { type(digit), commit(), cancel(), pending(), destroy() }.
+ */
+export function createJumpBuffer({ getProductsJson, onJump }) {
+  let buffer = ''
+  let timer = null
+  let productsJson = null
+  let products = new Map()
+  let overlay = null
+
+  const preview = () => {
+    const json = getProductsJson()
+    if (json !== productsJson) {
+      productsJson = json
+      products = parseJumpProducts(json)
+    }
+    return jumpPreview(products, buffer)
+  }
+
+  const type = (digit) => {
+    buffer += digit
+    clearTimeout(timer)
+    render(preview(), { countdown: true })
+    timer = setTimeout(commit, JUMP_DELAY_MS)
+  }
+
+  const commit = () => {
+    clearTimeout(timer)
+    if (!buffer) return
+
+    const target = preview()
+    if (target.valid) {
+      onJump(buffer)
+      cancel()
+    } else {
+      // Leave "no product N" up for a moment; typing again starts a new number
+      buffer = ''
+      render(target, { countdown: false })
+      timer = setTimeout(cancel, INVALID_HOLD_MS)
+    }
+  }
+
+  const cancel = () => {
+    buffer = ''
+    clearTimeout(timer)
+    overlay?.classList.remove('jump-overlay--visible')
+  }
+
+  const render = ({ position, product, valid }, { countdown }) => {
+    if (!overlay) {
+      overlay = el('div', 'jump-overlay')
+      overlay.setAttribute('role', 'status')
+      overlay.setAttribute('aria-live', 'polite')
+      document.body.appendChild(overlay)
+    }
+
+    const children = [el('div', 'jump-overlay__number', buffer || String(position))]
+
+    if (valid) {
+      const image = product.image ? el('img', 'jump-overlay__image') : el('div', 'jump-overlay__image jump-overlay__image--empty')
+      if (product.image) {
+        image.src = product.image
+        image.alt = ''
+      }
+      const details = el('div', 'jump-overlay__details')
+      details.append(el('span', 'jump-overlay__name', product.name))
+      if (product.price) details.append(el('span', 'jump-overlay__price', product.price))
+
+      const previewEl = el('div', 'jump-overlay__preview')
+      previewEl.append(image, details)
+      children.push(previewEl)
+    } else {
+      children.push(el('div', 'jump-overlay__invalid', `No product ${position}`))
+    }
+
+    if (countdown) {
+      const bar = el('div', 'jump-overlay__countdown')
+      bar.style.animationDuration = `${JUMP_DELAY_MS}ms`
+      children.push(bar)
+    }
+
+    overlay.replaceChildren(...children)
+    overlay.classList.toggle('jump-overlay--invalid', !valid)
+    overlay.classList.add('jump-overlay--visible')
+  }
+
+  return {
+    type,
+    commit,
+    cancel,
+    pending: () => buffer !== '',
+    destroy: () => {
+      clearTimeout(timer)
+      overlay?.remove()
+      overlay = null
+    }
+  }
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
@@ -0,0 +1,39 @@
+/**
+ * Typed product numbers in the host and controller views: which product a
+ * number would jump to, for the jump overlay's preview (see jump-overlay.js).
+ *
+ * Products come from the view's `data-jump-products` attribute
+ * (HostViewComponents.jump_products_json/1): position, name, price and
+ * thumbnail for every product in the set.
+ */
+
+// Auto-jump after this long without another digit (allows double-digit entry)
+export const JUMP_DELAY_MS = 500
+// How long "no product N" stays up after its countdown
+export const INVALID_HOLD_MS = 1200
+
+/**
+ * Products by position, from the JSON in `data-jump-products`.
+ */
+export function parseJumpProducts(json) {
+  let products
+  try {
+    products = JSON.parse(json)
+  } catch {
+    return new Map()
+  }
+  if (!Array.isArray(products)) return new Map()
+
+  return new Map(products.filter((product) => Number.isInteger(product?.position)).map((product) => [product.position, product]))
+}
+
+/**
+ * What a typed number points at: `{ position, product, valid }`, with
+ * `product` null (and `valid` false) when the set has no such product.
+ */
+export function jumpPreview(products, buffer) {
+  const position = parseInt(buffer, 10)
+  const product = products.get(position) || null
+  return { position, product, valid: product !== null }
+}
+
@@ -0,0 +1,30 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { jumpPreview, parseJumpProducts } from './jump-preview.mjs'
+
+const products = parseJumpProducts(JSON.stringify([
+  { position: 1, name: 'Glow Serum', price: '$24.00', image: '/uploads/serum.jpg' },
+  { position: 2, name: 'Night Cream', price: '$31.50', image: null },
+  { position: 12, name: 'Lip Oil', price: '$14.00', image: null }
+]))
+
+test('previews the product at the typed position', () => {
+  assert.deepEqual(jumpPreview(products, '12'), {
+    position: 12,
+    product: { position: 12, name: 'Lip Oil', price: '$14.00', image: null },
+    valid: true
+  })
+  // Leading zeros are the same position
+  assert.equal(jumpPreview(products, '01').product.name, 'Glow Serum')
+})
+
+test('flags positions the set does not have', () => {
+  assert.deepEqual(jumpPreview(products, '7'), { position: 7, product: null, valid: false })
+  assert.equal(jumpPreview(products, '0').valid, false)
+})
+
+test('ignores malformed product data', () => {
+  assert.equal(parseJumpProducts('not json').size, 0)
+  assert.equal(parseJumpProducts('{"position":1}').size, 0)
+  assert.deepEqual([...parseJumpProducts('[{"position":"3"},{"position":4}]').keys()], [4])
+})
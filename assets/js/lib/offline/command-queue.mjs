@@ -0,0 +1,89 @@
+/**
+ * Controller navigation while the LiveView is disconnected.
+ *
+ * Presses made while offline are kept as intents, then folded into where the
+ * producer meant to end up: one jump to the final product (plus any image
+ * steps taken there) is replayed on reconnect, instead of every keypress.
+ * The fold follows the controller LiveView's own rules: next/previous wrap
+ * around the set, jumps to positions the set lacks are ignored, and "go
+ * back" returns to the last product left without remembering the one it
+ * leaves.
+ */
+
+export const NAVIGATION_EVENTS = ['next_product', 'previous_product', 'jump_to_product', 'go_back', 'next_image', 'previous_image']
+
+/**
+ * Where queued intents end up, from the state the view last had before the
+ * disconnect: `{ position, positions, history }` with `positions` the set's
+ * positions in order and `history` the positions left, most recent first.
+ *
+ * Returns `{ position, imageSteps }`: the final product position (null when no
+ * product move was queued) and the net images moved after arriving there.
+ */
+export function foldIntents(intents, { position = null, positions = [], history = [] }) {
+  let current = position
+  let past = [...history]
+  let moved = false
+  let imageSteps = 0
+
+  const moveTo = (next, { remember = true } = {}) => {
+    if (remember && current !== null && current !== next) past = [current, ...past]
+    current = next
+    moved = true
+    imageSteps = 0
+  }
+
+  for (const { event, params = {} } of intents) {
+    const index = positions.indexOf(current)
+
+    switch (event) {
+      case 'next_product':
+        if (positions.length > 0) moveTo(positions[(index + 1) % positions.length])
+        break
+
+      case 'previous_product':
+        if (positions.length > 0) moveTo(positions[index <= 0 ? positions.length - 1 : index - 1])
+        break
+
+      case 'jump_to_product': {
+        const target = parseInt(params.position, 10)
+        if (positions.includes(target)) moveTo(target)
+        break
+      }
+
+      case 'go_back': {
+        const [target, ...rest] = past.filter((p) => p !== current && positions.includes(p))
+        if (target !== undefined) {
+          past = rest
+          moveTo(target, { remember: false })
+        }
+        break
+      }
+
+      case 'next_image':
+        imageSteps++
+        break
+
+      case 'previous_image':
+        imageSteps--
+        break
+    }
+  }
+
+  return { position: moved ? current : null, imageSteps }
+}
+
+/**
+ * The events to push on reconnect for the queued intents.
+ */
+export function replayEvents(intents, state) {
+  const { position, imageSteps } = foldIntents(intents, state)
+  const events = []
+
+  if (position !== null) events.push({ event: 'jump_to_product', params: { position: String(position) } })
+
+  const imageEvent = imageSteps > 0 ? 'next_image' : 'previous_image'
+  for (let i = 0; i < Math.abs(imageSteps); i++) events.push({ event: imageEvent, params: {} })
+
+  return events
+}
@@ -0,0 +1,37 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { foldIntents, replayEvents } from './command-queue.mjs'
+
+const state = { position: 2, positions: [1, 2, 3, 5], history: [1] }
+const intents = (...events) => events.map((event) => (typeof event === 'string' ? { event } : event))
+
+test('folds next and previous presses into one jump, wrapping around the set', () => {
+  assert.deepEqual(replayEvents(intents('next_product', 'next_product', 'next_product'), state), [
+    { event: 'jump_to_product', params: { position: '1' } }
+  ])
+  assert.equal(foldIntents(intents('previous_product', 'previous_product'), state).position, 5)
+  assert.equal(foldIntents(intents('next_product', 'previous_product'), state).position, 2)
+  assert.deepEqual(replayEvents([], state), [])
+})
+
+test('ignores jumps to products the set lacks and follows go back', () => {
+  const jump = (position) => ({ event: 'jump_to_product', params: { position } })
+
+  assert.equal(foldIntents([jump('4')], state).position, null)
+  assert.equal(foldIntents([jump('5'), jump('4')], state).position, 5)
+  // Back from 5 returns to 2, then further back to 1 rather than bouncing to 5
+  assert.equal(foldIntents(intents(jump('5'), 'go_back'), state).position, 2)
+  assert.equal(foldIntents(intents(jump('5'), 'go_back', 'go_back'), state).position, 1)
+  assert.equal(foldIntents(intents('go_back', 'go_back'), { ...state, history: [] }).position, null)
+})
+
+test('keeps only the image steps taken on the final product', () => {
+  assert.deepEqual(replayEvents(intents('next_image', 'next_product', 'next_image', 'next_image', 'previous_image'), state), [
+    { event: 'jump_to_product', params: { position: '3' } },
+    { event: 'next_image', params: {} }
+  ])
+  assert.deepEqual(replayEvents(intents('previous_image', 'previous_image'), state), [
+    { event: 'previous_image', params: {} },
+    { event: 'previous_image', params: {} }
+  ])
+})
@@ -0,0 +1,103 @@
+/**
+ * Controller commands while the LiveView is disconnected. `pushEvent` drops
+ * events while the socket is down, so the controller hooks send through here:
+ * navigation is held (with a "reconnecting — N actions pending" banner) and
+ * replayed as the single intended position once the socket is back (see
+ * command-queue.mjs). Other commands can't be deferred sensibly and are
+ * dropped, as before.
+ *
+ * ControllerKeyboard drives the state from its disconnected()/reconnected()
+ * callbacks; the keyboard, hardware and voice hooks all share the one queue.
+ */
+
+import { NAVIGATION_EVENTS, replayEvents } from './command-queue.mjs'
+
+// How long "back online" stays up after replaying
+const CAUGHT_UP_MS = 2500
+
+let offline = false
+let context = null
+let intents = []
+let banner = null
+let bannerTimer = null
+
+/**
+ * Push `event` through `hook`, or queue it while disconnected.
+ * Returns 'sent', 'queued' (navigation held for the reconnect) or 'dropped'.
+ */
+export function sendCommand(hook, event, params = {}, onReply) {
+  if (!offline) {
+    hook.pushEvent(event, params, onReply)
+    return 'sent'
+  }
+
+  if (!NAVIGATION_EVENTS.includes(event)) return 'dropped'
+
+  intents.push({ event, params })
+  renderBanner(`Reconnecting — ${intents.length} ${intents.length === 1 ? 'action' : 'actions'} pending`)
+  return 'queued'
+}
+
+/**
+ * Start queueing. `state` is what the view showed when the socket dropped:
+ * `{ position, positions, history }` (see foldIntents).
+ */
+export function markDisconnected(state) {
+  if (offline) return
+  offline = true
+  context = state
+  intents = []
+}
+
+/**
+ * Stop queueing and replay the net result of what was queued through `hook`.
+ */
+export function markReconnected(hook) {
+  if (!offline) return
+  offline = false
+
+  const events = replayEvents(intents, context)
+  const jump = events.find(({ event }) => event === 'jump_to_product')
+  intents = []
+  context = null
+
+  events.forEach(({ event, params }) => hook.pushEvent(event, params))
+
+  if (events.length === 0) {
+    hideBanner()
+  } else {
+    renderBanner(jump ? `Back online — caught up to product ${jump.params.position}` : 'Back online — caught up')
+    bannerTimer = setTimeout(hideBanner, CAUGHT_UP_MS)
+  }
+}
+
+/**
+ * Forget anything queued (the view holding the queue went away).
+ */
+export function discardQueue() {
+  offline = false
+  context = null
+  intents = []
+  hideBanner()
+  banner?.remove()
+  banner = null
+}
+
+function renderBanner(text) {
+  clearTimeout(bannerTimer)
+  if (!banner) {
+    banner = document.createElement('div')
+    banner.className = 'offline-banner'
+    banner.setAttribute('role', 'status')
+    banner.setAttribute('aria-live', 'polite')
+    document.body.appendChild(banner)
+  }
+  banner.textContent = text
+  banner.classList.toggle('offline-banner--online', !offline)
+  banner.classList.add('offline-banner--visible')
+}
+
+function hideBanner() {
+  clearTimeout(bannerTimer)
+  banner?.classList.remove('offline-banner--visible')
+}
@@ -0,0 +1,259 @@
+/**
+ * Keyboard shortcuts for LiveView hooks, using the registry in shortcuts.mjs.
+ *
+ * - attachShortcuts() listens for the scope's bindings and calls the hook's
+ *   handlers, paused while typing or while a modal is open
+ * - "?" opens an overlay listing the active bindings, where each action can be
+ *   remapped by pressing the new key; conflicts are listed below
+ * - Profiles are saved in localStorage per user (`pavoi_shortcuts_<user id>`)
+ *   and shared by every view, so a remapped key works in host and controller;
+ *   each tab reads its profile once and picks up saves from other tabs
+ */
+
+import {
+  ACTIONS, DEFAULT_TALK_KEY, DIGIT_KEYS, SCOPES, actionForCombo, comboFromEvent, findConflicts, formatCombo,
+  parseProfile, rebind, resolveBindings, serializeProfile
+} from './shortcuts.mjs'
+
+const MODAL_SELECTOR = [
+  '.preset-modal-overlay',
+  '#edit-product-modal',
+  '.modal:not(.modal--hidden)',
+  '.shortcut-overlay'
+].join(', ')
+
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.userAgent)
+
+/**
+ * Whether shortcuts should be ignored: a modal is open or the user is typing.
+ */
+export function shortcutsPaused() {
+  if (document.querySelector(MODAL_SELECTOR)) return true
+
+  const el = document.activeElement
+  return !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable)
+}
+
+// Parsed profiles by storage key, so keydowns don't re-read localStorage
+const profiles = new Map()
+
+export function loadProfile(userId) {
+  const key = storageKey(userId)
+  if (!profiles.has(key)) profiles.set(key, parseProfile(localStorage.getItem(key)))
+  return profiles.get(key)
+}
+
+export function saveProfile(userId, profile) {
+  localStorage.setItem(storageKey(userId), serializeProfile(profile))
+  profiles.set(storageKey(userId), profile)
+}
+
+// A profile saved in another tab (storage events only reach the other tabs)
+window.addEventListener('storage', (event) => {
+  if (event.key === null) {
+    profiles.clear()
+  } else {
+    profiles.delete(event.key)
+  }
+})
+
+function storageKey(userId) {
+  return `pavoi_shortcuts_${userId || 'default'}`
+}
+
+// Keys taken by voice control (see lib/voice/listening-modes.mjs)
+function appReserved() {
+  const talkKey = localStorage.getItem('pavoi_voice_talk_key') || DEFAULT_TALK_KEY
+  return { [talkKey]: 'Voice control push to talk' }
+}
+
+/**
+ * Calls `handlers[action](event)` for the scope's bound keys. A handler
+ * returning false leaves the key to the browser (e.g. Enter with nothing
+ * typed); keys bound to nothing go to `onOtherKey`. Returns a function that
+ * removes the listener.
+ */
+export function attachShortcuts({ scope, userId, handlers, onOtherKey }) {
+  const onKeydown = (event) => {
+    if (shortcutsPaused()) return
+
+    const combo = comboFromEvent(event)
+    if (!combo) return
+
+    const action = actionForCombo(resolveBindings(scope, loadProfile(userId)), combo)
+
+    if (action === 'show_shortcuts') {
+      event.preventDefault()
+      openShortcutOverlay({ scope, userId })
+    } else if (action && handlers[action]) {
+      if (handlers[action](event) !== false) event.preventDefault()
+    } else if (onOtherKey) {
+      onOtherKey(event)
+    }
+  }
+
+  window.addEventListener('keydown', onKeydown)
+
+  return () => {
+    window.removeEventListener('keydown', onKeydown)
+    closeShortcutOverlay()
+  }
+}
+
+let overlay = null
+
+/**
+ * Opens the "?" overlay for a scope: its bindings, a Change button per action
+ * and the profile's conflicts.
+ */
+export function openShortcutOverlay({ scope, userId }) {
+  closeShortcutOverlay()
+
+  const state = { scope, userId, capturing: null, error: null }
+  const root = el('div', 'shortcut-overlay')
+  root.setAttribute('role', 'dialog')
+  root.setAttribute('aria-modal', 'true')
+  root.setAttribute('aria-labelledby', 'shortcut-overlay-title')
+
+  root.addEventListener('click', (event) => {
+    if (event.target === root) return closeShortcutOverlay()
+
+    const button = event.target.closest('button')
+    if (!button) return
+
+    if (button.dataset.close !== undefined) {
+      closeShortcutOverlay()
+    } else if (button.dataset.reset !== undefined) {
+      saveProfile(userId, {})
+      state.capturing = null
+      state.error = null
+      render(state)
+    } else if (button.dataset.action) {
+      state.capturing = state.capturing === button.dataset.action ? null : button.dataset.action
+      state.error = null
+      render(state)
+    }
+  })
+
+  // Capture phase, so a key pressed to remap never reaches the page's own listeners
+  const onKeydown = (event) => {
+    event.stopPropagation()
+
+    if (state.capturing) {
+      const combo = comboFromEvent(event)
+      if (!combo) return
+      event.preventDefault()
+
+      if (combo === 'Escape') {
+        state.capturing = null
+      } else if (DIGIT_KEYS.test(combo) && scope !== 'product_sets') {
+        state.error = 'Digits always type a product number'
+      } else {
+        saveProfile(userId, rebind(loadProfile(userId), state.capturing, [combo]))
+        state.capturing = null
+        state.error = null
+      }
+      render(state)
+    } else if (event.key === 'Escape' || event.key === '?') {
+      event.preventDefault()
+      closeShortcutOverlay()
+    }
+  }
+  window.addEventListener('keydown', onKeydown, true)
+
+  overlay = { root, onKeydown }
+  document.body.appendChild(root)
+  render(state)
+}
+
+export function closeShortcutOverlay() {
+  if (!overlay) return
+  window.removeEventListener('keydown', overlay.onKeydown, true)
+  overlay.root.remove()
+  overlay = null
+}
+
+function render({ scope, userId, capturing, error }) {
+  const profile = loadProfile(userId)
+  const bindings = resolveBindings(scope, profile)
+  const box = el('div', 'shortcut-overlay__box')
+
+  const header = el('div', 'shortcut-overlay__header')
+  const title = el('h2', 'shortcut-overlay__title', `Keyboard shortcuts · ${SCOPES[scope]}`)
+  title.id = 'shortcut-overlay-title'
+  const close = el('button', 'shortcut-overlay__close', '✕')
+  close.type = 'button'
+  close.dataset.close = ''
+  close.setAttribute('aria-label', 'Close')
+  header.append(title, close)
+
+  const list = el('ul', 'shortcut-overlay__list')
+  if (scope !== 'product_sets') {
+    list.append(row('Type a product number', keys(['0', '9'], '–')))
+  }
+  for (const [id, combos] of Object.entries(bindings)) {
+    const change = el('button', 'shortcut-overlay__change', capturing === id ? 'Cancel' : 'Change')
+    change.type = 'button'
+    change.dataset.action = id
+
+    const current = capturing === id
+      ? el('span', 'shortcut-overlay__capture', 'Press a key… (Esc to cancel)')
+      : keys(combos.map((combo) => formatCombo(combo, { mac: IS_MAC })), 'or')
+    list.append(row(ACTIONS[id].label, current, change, id in profile))
+  }
+
+  box.append(header, list)
+
+  const problems = findConflicts(profile, appReserved()).map(describeConflict)
+  if (error) problems.unshift(error)
+  if (problems.length > 0) {
+    const conflicts = el('ul', 'shortcut-overlay__conflicts')
+    conflicts.append(...problems.map((problem) => el('li', null, problem)))
+    box.append(conflicts)
+  }
+
+  const footer = el('div', 'shortcut-overlay__footer')
+  footer.append(el('span', 'shortcut-overlay__hint', 'Changes are saved for you on this browser and apply to every view'))
+  if (Object.keys(profile).length > 0) {
+    const reset = el('button', 'shortcut-overlay__reset', 'Reset to defaults')
+    reset.type = 'button'
+    reset.dataset.reset = ''
+    footer.append(reset)
+  }
+  box.append(footer)
+
+  overlay.root.replaceChildren(box)
+  close.focus()
+}
+
+function describeConflict({ combo, actions, reason, reserved }) {
+  const key = formatCombo(combo, { mac: IS_MAC })
+  const labels = actions.map((id) => ACTIONS[id].label).join(' and ')
+
+  if (reason === 'duplicate') return `${key} is bound to both ${labels}`
+  if (reason === 'digits') return `${key} (${labels}) also types a product number`
+  return `${key} (${labels}) is used by ${reserved} and may not reach the page`
+}
+
+function row(label, current, button, remapped = false) {
+  const item = el('li', remapped ? 'shortcut-overlay__row shortcut-overlay__row--remapped' : 'shortcut-overlay__row')
+  item.append(el('span', 'shortcut-overlay__label', label), current)
+  if (button) item.append(button)
+  return item
+}
+
+function keys(labels, separator) {
+  const span = el('span', 'shortcut-overlay__keys')
+  labels.forEach((label, i) => {
+    if (i > 0) span.append(el('span', 'shortcut-overlay__separator', separator))
+    span.append(el('kbd', 'shortcut-overlay__key', label))
+  })
+  return span
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
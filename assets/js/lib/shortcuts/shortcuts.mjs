@@ -0,0 +1,232 @@
+/**
+ * Keyboard shortcut registry shared by the host, controller and product sets
+ * keyboard hooks.
+ *
+ * A binding is a combo string: optional modifiers then a key named the way
+ * KeyboardEvent.code names it, joined with "+" ("ArrowRight", "Shift+Slash",
+ * "Mod+KeyZ"). "Mod" is Ctrl or Cmd, so one profile works on every platform.
+ * Letters and punctuation are matched by the character they type, so Mod+KeyZ
+ * is the key labelled Z on AZERTY too; keys that mean the same on every layout
+ * (arrows, Space, digits, ...) are matched by position.
+ *
+ * Actions are bound the same way in every view they appear in, so a producer
+ * moving between host and controller keeps the same keys. A user's profile
+ * only stores the actions they remapped; everything else follows the defaults.
+ */
+
+export const SCOPES = {
+  host: 'Host view',
+  controller: 'Controller',
+  product_sets: 'Product sets'
+}
+
+const VIEWS = ['host', 'controller']
+
+export const ACTIONS = {
+  next_product: { label: 'Next product', scopes: VIEWS, keys: ['ArrowRight', 'Space'] },
+  previous_product: { label: 'Previous product', scopes: VIEWS, keys: ['ArrowLeft'] },
+  next_image: { label: 'Next image', scopes: VIEWS, keys: ['ArrowDown'] },
+  previous_image: { label: 'Previous image', scopes: VIEWS, keys: ['ArrowUp'] },
+  go_back: { label: 'Back to the previous product', scopes: ['controller'], keys: ['Backspace'] },
+  jump_now: { label: 'Jump to the typed number now', scopes: VIEWS, keys: ['Enter'] },
+  cancel_jump: { label: 'Cancel the typed number', scopes: VIEWS, keys: ['Escape'] },
+  undo: { label: 'Undo', scopes: ['product_sets'], keys: ['Mod+KeyZ'] },
+  show_shortcuts: { label: 'Show keyboard shortcuts', scopes: Object.keys(SCOPES), keys: ['Shift+Slash'] }
+}
+
+// Typing digits builds a product number in the host and controller; not rebindable
+export const DIGIT_KEYS = /^(Digit|Numpad)\d$/
+
+// Voice control's push-to-talk key, kept out of the views' shortcuts. Space and
+// the arrows already navigate products in the host and controller views.
+export const DEFAULT_TALK_KEY = 'ShiftRight'
+
+// Combos the browser or OS acts on before (or instead of) the page
+export const RESERVED = {
+  'Mod+KeyW': 'Close tab',
+  'Mod+KeyT': 'New tab',
+  'Mod+Shift+KeyT': 'Reopen closed tab',
+  'Mod+KeyN': 'New window',
+  'Mod+KeyQ': 'Quit browser (macOS)',
+  'Mod+KeyR': 'Reload',
+  'Mod+Shift+KeyR': 'Hard reload',
+  'Mod+KeyL': 'Address bar',
+  'Mod+KeyF': 'Find in page',
+  'Mod+KeyP': 'Print',
+  'Mod+KeyS': 'Save page',
+  'Mod+KeyD': 'Bookmark page',
+  'Mod+KeyH': 'Hide window (macOS)',
+  'Mod+Tab': 'Switch tab',
+  'Alt+Tab': 'Switch window',
+  'Alt+F4': 'Close window',
+  'Alt+ArrowLeft': 'History back',
+  'Alt+ArrowRight': 'History forward',
+  Tab: 'Move focus',
+  F5: 'Reload',
+  F11: 'Full screen',
+  F12: 'Developer tools',
+  ...Object.fromEntries([1, 2, 3, 4, 5, 6, 7, 8, 9].map((n) => [`Mod+Digit${n}`, 'Switch to tab'])),
+  // Taken by the app outside this registry
+  'Mod+KeyM': 'Voice control listening mode'
+}
+
+const MODIFIERS = ['Mod', 'Alt', 'Shift']
+
+// Keys matched by position: the same on every layout, or (digits) typed with
+// Shift on some, like AZERTY
+const POSITIONAL_KEYS = /^(Arrow(Left|Right|Up|Down)|Space|Enter|Escape|Backspace|Tab|Delete|Insert|Home|End|PageUp|PageDown|F\d+|Digit\d|Numpad\w+)$/
+
+// Unshifted punctuation → the key name combos use for it
+const PUNCTUATION = {
+  '/': 'Slash', '\\': 'Backslash', '-': 'Minus', '=': 'Equal', '[': 'BracketLeft', ']': 'BracketRight',
+  ';': 'Semicolon', "'": 'Quote', ',': 'Comma', '.': 'Period', '`': 'Backquote'
+}
+
+/**
+ * The combo for a keydown event, or null for a bare modifier press. "?" maps to
+ * Shift+Slash whatever the keyboard layout.
+ */
+export function comboFromEvent(event) {
+  if (/^(Shift|Control|Alt|Meta)(Left|Right)?$/.test(event.code)) return null
+  if (event.key === '?') return 'Shift+Slash'
+
+  const parts = []
+  if (event.ctrlKey || event.metaKey) parts.push('Mod')
+  if (event.altKey) parts.push('Alt')
+  if (event.shiftKey) parts.push('Shift')
+  parts.push(keyName(event))
+  return parts.join('+')
+}
+
+// Characters a layout types elsewhere than US QWERTY are named by the
+// character; keys typing something else (non-Latin layouts, Alt on macOS,
+// dead keys) fall back to their position
+function keyName({ code, key = '' }) {
+  if (POSITIONAL_KEYS.test(code)) return code
+
+  const character = key.length === 1 ? key.toLowerCase() : ''
+  if (/^[a-z]$/.test(character)) return `Key${character.toUpperCase()}`
+  return PUNCTUATION[character] || code
+}
+
+/**
+ * Action id → combos for the actions available in a scope, with the profile's
+ * remapped actions in place of the defaults.
+ */
+export function resolveBindings(scope, profile = {}) {
+  const bindings = {}
+  for (const [id, action] of Object.entries(ACTIONS)) {
+    if (action.scopes.includes(scope)) bindings[id] = profile[id] || action.keys
+  }
+  return bindings
+}
+
+export function actionForCombo(bindings, combo) {
+  return Object.keys(bindings).find((id) => bindings[id].includes(combo)) || null
+}
+
+/**
+ * A new profile with `id` bound to `combos`. Actions back on their defaults
+ * are left out of the profile.
+ */
+export function rebind(profile, id, combos) {
+  const { [id]: _previous, ...rest } = profile
+  const isDefault = combos.length === ACTIONS[id].keys.length && combos.every((combo, i) => combo === ACTIONS[id].keys[i])
+  return isDefault ? rest : { ...rest, [id]: combos }
+}
+
+/**
+ * Problems with a profile, across every scope: combos bound to more than one
+ * action in the same view, combos the browser or OS keeps for itself, and
+ * digits (which always type a product number). `extraReserved` adds combos
+ * taken elsewhere, e.g. the voice control talk key.
+ *
+ * Returns [{ combo, actions, reason }] with `reason` one of 'duplicate',
+ * 'reserved' or 'digits'; `reserved` carries what the combo is used for.
+ */
+export function findConflicts(profile, extraReserved = {}) {
+  const reserved = { ...RESERVED, ...extraReserved }
+  const conflicts = new Map()
+  const add = (combo, actions, reason, extra = {}) => {
+    const key = `${reason}:${combo}:${actions.join(',')}`
+    if (!conflicts.has(key)) conflicts.set(key, { combo, actions, reason, ...extra })
+  }
+
+  for (const scope of Object.keys(SCOPES)) {
+    const byCombo = new Map()
+    for (const [id, combos] of Object.entries(resolveBindings(scope, profile))) {
+      for (const combo of combos) byCombo.set(combo, [...(byCombo.get(combo) || []), id])
+    }
+
+    for (const [combo, actions] of byCombo) {
+      if (actions.length > 1) add(combo, actions, 'duplicate')
+      if (reserved[combo]) add(combo, actions, 'reserved', { reserved: reserved[combo] })
+      if (VIEWS.includes(scope) && DIGIT_KEYS.test(combo)) add(combo, actions, 'digits')
+    }
+  }
+
+  return [...conflicts.values()]
+}
+
+/**
+ * A saved profile, keeping only known actions with well-formed combos.
+ */
+export function parseProfile(json) {
+  let saved
+  try {
+    saved = JSON.parse(json)
+  } catch {
+    return {}
+  }
+  if (!saved || saved.version !== 1 || typeof saved.bindings !== 'object') return {}
+
+  const profile = {}
+  for (const [id, combos] of Object.entries(saved.bindings || {})) {
+    if (ACTIONS[id] && Array.isArray(combos) && combos.length > 0 && combos.every(isCombo)) {
+      profile[id] = combos
+    }
+  }
+  return profile
+}
+
+export function serializeProfile(profile) {
+  return JSON.stringify({ version: 1, bindings: profile })
+}
+
+function isCombo(combo) {
+  if (typeof combo !== 'string') return false
+  const parts = combo.split('+')
+  const code = parts.pop()
+  return /^[A-Z]\w*$/.test(code) && parts.every((part) => MODIFIERS.includes(part))
+}
+
+/**
+ * A readable name for a KeyboardEvent.code: "KeyA" → "A", "Digit1" → "1",
+ * "ArrowLeft" → "Left", "ShiftRight" → "Right Shift"; anything else
+ * ("Space", "F8", "PageDown") as is.
+ */
+export function keyLabel(code) {
+  return code
+    .replace(/^Key(?=[A-Z]$)/, '')
+    .replace(/^Digit(?=\d$)/, '')
+    .replace(/^Arrow/, '')
+    .replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, '$2 $1')
+}
+
+const ARROWS = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' }
+
+/**
+ * A readable combo: "Shift+Slash" → "?", "Mod+KeyZ" → "⌘Z" on macOS and
+ * "Ctrl+Z" elsewhere, "ArrowRight" → "→".
+ */
+export function formatCombo(combo, { mac = false } = {}) {
+  if (combo === 'Shift+Slash') return '?'
+
+  const parts = combo.split('+')
+  const code = parts.pop()
+  const key = ARROWS[code] || (code === 'Slash' ? '/' : keyLabel(code))
+  const names = mac ? { Mod: '⌘', Alt: '⌥', Shift: '⇧' } : { Mod: 'Ctrl', Alt: 'Alt', Shift: 'Shift' }
+  const modifiers = parts.map((part) => names[part])
+
+  return mac ? modifiers.join('') + key : [...modifiers, key].join('+')
+}
@@ -0,0 +1,91 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  actionForCombo, comboFromEvent, findConflicts, formatCombo, keyLabel, parseProfile, rebind, resolveBindings,
+  serializeProfile
+} from './shortcuts.mjs'
+
+const keydown = (code, mods = {}) => ({ code, key: '', ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...mods })
+
+test('builds combos from key events', () => {
+  assert.equal(comboFromEvent(keydown('ArrowRight')), 'ArrowRight')
+  assert.equal(comboFromEvent(keydown('KeyZ', { metaKey: true })), 'Mod+KeyZ')
+  assert.equal(comboFromEvent(keydown('KeyZ', { ctrlKey: true, shiftKey: true })), 'Mod+Shift+KeyZ')
+  // "?" on a layout where it isn't Shift+Slash
+  assert.equal(comboFromEvent(keydown('Minus', { key: '?', shiftKey: true })), 'Shift+Slash')
+  assert.equal(comboFromEvent(keydown('ShiftLeft', { shiftKey: true })), null)
+})
+
+test('matches letters by the character typed and layout-independent keys by position', () => {
+  // AZERTY: the Z key sits where QWERTY has W, and digits need Shift
+  assert.equal(comboFromEvent(keydown('KeyW', { key: 'z', ctrlKey: true })), 'Mod+KeyZ')
+  assert.equal(comboFromEvent(keydown('KeyQ', { key: 'A', shiftKey: true })), 'Shift+KeyA')
+  assert.equal(comboFromEvent(keydown('Digit1', { key: '&' })), 'Digit1')
+  // German: "-" is where QWERTY has "/"
+  assert.equal(comboFromEvent(keydown('Slash', { key: '-' })), 'Minus')
+  assert.equal(comboFromEvent(keydown('ArrowRight', { key: 'ArrowRight' })), 'ArrowRight')
+  assert.equal(comboFromEvent(keydown('Space', { key: ' ' })), 'Space')
+  // Nothing Latin typed (Russian layout, Option on macOS): fall back to position
+  assert.equal(comboFromEvent(keydown('KeyZ', { key: 'я', ctrlKey: true })), 'Mod+KeyZ')
+  assert.equal(comboFromEvent(keydown('KeyZ', { key: 'Ω', altKey: true })), 'Alt+KeyZ')
+})
+
+test('binds actions the same way in host and controller', () => {
+  const host = resolveBindings('host')
+  const controller = resolveBindings('controller')
+
+  assert.equal(actionForCombo(host, 'ArrowUp'), 'previous_image')
+  assert.equal(actionForCombo(controller, 'ArrowUp'), 'previous_image')
+  assert.equal(actionForCombo(controller, 'Space'), 'next_product')
+  assert.equal(actionForCombo(host, 'Backspace'), null)
+  assert.equal(actionForCombo(resolveBindings('product_sets'), 'Mod+KeyZ'), 'undo')
+})
+
+test('remaps per profile and drops actions back on their defaults', () => {
+  let profile = rebind({}, 'next_product', ['KeyN'])
+  assert.equal(actionForCombo(resolveBindings('host', profile), 'KeyN'), 'next_product')
+  assert.equal(actionForCombo(resolveBindings('host', profile), 'ArrowRight'), null)
+
+  profile = rebind(profile, 'next_product', ['ArrowRight', 'Space'])
+  assert.deepEqual(profile, {})
+})
+
+test('detects duplicate, browser and digit conflicts', () => {
+  assert.deepEqual(findConflicts({}), [])
+
+  const profile = { next_image: ['ArrowLeft'], undo: ['Mod+KeyW'], go_back: ['Digit1'] }
+  const conflicts = findConflicts(profile, { ShiftRight: 'Push to talk' })
+
+  assert.deepEqual(
+    conflicts.map(({ combo, reason }) => [combo, reason]),
+    [['ArrowLeft', 'duplicate'], ['Digit1', 'digits'], ['Mod+KeyW', 'reserved']]
+  )
+  assert.deepEqual(conflicts[0].actions, ['previous_product', 'next_image'])
+  assert.equal(conflicts[2].reserved, 'Close tab')
+
+  const talk = findConflicts({ next_product: ['ShiftRight'] }, { ShiftRight: 'Push to talk' })
+  assert.equal(talk[0].reserved, 'Push to talk')
+})
+
+test('round-trips profiles and ignores unknown or malformed entries', () => {
+  const profile = { next_product: ['KeyN'] }
+  assert.deepEqual(parseProfile(serializeProfile(profile)), profile)
+  assert.deepEqual(parseProfile('{"version":1,"bindings":{"fly":["KeyF"],"undo":["Hyper+KeyZ"]}}'), {})
+  assert.deepEqual(parseProfile('not json'), {})
+  assert.deepEqual(parseProfile(null), {})
+})
+
+test('formats combos per platform', () => {
+  assert.equal(formatCombo('Shift+Slash'), '?')
+  assert.equal(formatCombo('ArrowRight'), '→')
+  assert.equal(formatCombo('Mod+KeyZ'), 'Ctrl+Z')
+  assert.equal(formatCombo('Mod+Shift+KeyZ', { mac: true }), '⌘⇧Z')
+})
+
+test('key codes read as the key on the keyboard', () => {
+  assert.equal(keyLabel('KeyB'), 'B')
+  assert.equal(keyLabel('Digit7'), '7')
+  assert.equal(keyLabel('ArrowDown'), 'Down')
+  assert.equal(keyLabel('ShiftRight'), 'Right Shift')
+  assert.equal(keyLabel('F8'), 'F8')
+})
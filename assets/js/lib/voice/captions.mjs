@@ -0,0 +1,81 @@
+/**
+ * Live captions from the VoiceControl transcripts.
+ *
+ * The rolling buffer is transcribed every half buffer, so consecutive
+ * transcripts overlap: the end of one is the start of the next, and only the
+ * words after that overlap are new. Whisper rarely transcribes the shared audio
+ * identically at the edges of a window (the first word may be cut in half, the
+ * last one cut short), so the overlap is looked for near the edges rather than
+ * exactly at them.
+ */
+
+// Overlaps shorter than this are likely coincidence ("the", "and")
+const MIN_OVERLAP_WORDS = 2
+// Words either transcript may lose or garble at the edge of its window
+const EDGE_SLACK = 2
+
+// Whisper's annotations for non-speech: [BLANK_AUDIO], (music), *laughs*
+const NON_SPEECH = /\[[^\]]*\]|\([^)]*\)|\*[^*]*\*/g
+
+/**
+ * Words of a transcript as displayed, with non-speech annotations removed.
+ */
+export function captionWords(text) {
+  return (text || '').replace(NON_SPEECH, ' ').split(/\s+/).filter((word) => normalize(word))
+}
+
+/**
+ * The words of `next` that weren't already in `previous` (both from
+ * captionWords). Empty when `next` only repeats the end of `previous`.
+ */
+export function newCaptionWords(previous, next) {
+  const a = previous.map(normalize)
+  const b = next.map(normalize)
+  let end = 0
+  let longest = 0
+
+  for (let start = 0; start <= Math.min(EDGE_SLACK, b.length - 1); start++) {
+    for (let from = 0; from < a.length; from++) {
+      let length = 0
+      while (from + length < a.length && start + length < b.length && a[from + length] === b[start + length]) length++
+
+      // The overlap has to run to (near) the end of the previous transcript
+      const reachesEnd = from + length >= a.length - EDGE_SLACK
+      if (reachesEnd && length >= Math.min(MIN_OVERLAP_WORDS, b.length) && length > longest) {
+        longest = length
+        end = start + length
+      }
+    }
+  }
+
+  return next.slice(end)
+}
+
+/**
+ * Caption text from consecutive transcripts: `push(text)` returns the words
+ * the previous transcript didn't already have, joined, or null when there are
+ * none. `reset()` forgets the previous transcript, so the next one is new in
+ * full (captions turned back on, listening restarted).
+ */
+export function createCaptionAssembler() {
+  let previous = []
+
+  return {
+    push(text) {
+      const words = captionWords(text)
+      if (words.length === 0) return null
+
+      const fresh = newCaptionWords(previous, words)
+      previous = words
+      return fresh.length > 0 ? fresh.join(' ') : null
+    },
+
+    reset() {
+      previous = []
+    }
+  }
+}
+
+function normalize(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')
+}
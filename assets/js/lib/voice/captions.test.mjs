@@ -0,0 +1,44 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { captionWords, createCaptionAssembler, newCaptionWords } from './captions.mjs'
+
+const fresh = (previous, next) => newCaptionWords(captionWords(previous), captionWords(next)).join(' ')
+
+test('keeps only the words after the overlap with the previous window', () => {
+  assert.equal(
+    fresh('Welcome back everyone, this serum is', 'this serum is my absolute favourite.'),
+    'my absolute favourite.'
+  )
+})
+
+test('tolerates words cut off at the edges of either window', () => {
+  // "serum" lost its start in the second window
+  assert.equal(fresh('so this serum is really', 'rum is really light on the skin'), 'light on the skin')
+  // "is" was cut short at the end of the first
+  assert.equal(fresh('welcome back everyone so this serum i', 'so this serum is really light'), 'is really light')
+})
+
+test('repeats and unrelated windows', () => {
+  assert.equal(fresh('show number twelve', 'show number twelve.'), '')
+  assert.equal(fresh('show number twelve', 'and now for something else'), 'and now for something else')
+  assert.equal(fresh('', 'hello everyone'), 'hello everyone')
+})
+
+test('drops non-speech annotations', () => {
+  assert.deepEqual(captionWords('[BLANK_AUDIO]'), [])
+  assert.deepEqual(captionWords('(upbeat music) Hi there *laughs*'), ['Hi', 'there'])
+})
+
+test('assembles captions from consecutive transcripts', () => {
+  const captions = createCaptionAssembler()
+
+  assert.equal(captions.push('Welcome back everyone, this serum is'), 'Welcome back everyone, this serum is')
+  assert.equal(captions.push('this serum is my absolute favourite.'), 'my absolute favourite.')
+  assert.equal(captions.push('my absolute favourite.'), null)
+  // Silence doesn't break the overlap with the last words spoken
+  assert.equal(captions.push('[BLANK_AUDIO]'), null)
+  assert.equal(captions.push('absolute favourite. It smells'), 'It smells')
+
+  captions.reset()
+  assert.equal(captions.push('It smells amazing'), 'It smells amazing')
+})
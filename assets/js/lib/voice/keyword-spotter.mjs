@@ -0,0 +1,230 @@
+/**
+ * Tiny on-device keyword spotter for the VoiceControl wake word mode.
+ *
+ * The host records their wake word a few times, and each recording becomes a
+ * template of MFCC frames (the standard speech features: a mel-scale spectrum,
+ * log-compressed and decorrelated with a DCT). Live audio is compared against
+ * the templates with subsequence dynamic time warping, which lines a template
+ * up with the best-matching stretch of the window whatever the speaking rate.
+ *
+ * No model download and no network; checking two seconds of audio against
+ * three templates takes a few milliseconds, so it can run while Whisper sleeps.
+ */
+
+import { SAMPLE_RATE } from './vad-tuning.mjs'
+
+export const ENROLLMENT_SAMPLES = 3
+
+const FRAME_SAMPLES = 400    // 25ms
+const HOP_SAMPLES = 160      // 10ms
+const FFT_SIZE = 512
+const MEL_FILTERS = 26
+const COEFFICIENTS = 12      // c1..c12; c0 only tracks loudness
+const TRIM_LOG_ENERGY = 4    // Frames this far below the loudest (natural log) are silence
+const DYNAMIC_RANGE = 6      // Bands kept within this of a frame's loudest (natural log, ~26dB)
+
+// Allowed distance over the worst match between the enrollment recordings,
+// and a floor for when those recordings came out near-identical
+const DEFAULT_SENSITIVITY = 1.25
+const MIN_THRESHOLD = 4
+
+let melFilters = null
+let hammingWindow = null
+
+/**
+ * MFCC frames of 16kHz `samples`, each an array of COEFFICIENTS numbers.
+ * With `trim`, quiet frames at either end are dropped (for enrollment recordings,
+ * which the VAD pads with silence).
+ */
+export function extractFeatures(samples, { trim = false } = {}) {
+  setupTables()
+
+  const frames = []
+  const energies = []
+  const re = new Float64Array(FFT_SIZE)
+  const im = new Float64Array(FFT_SIZE)
+
+  for (let start = 0; start + FRAME_SAMPLES <= samples.length; start += HOP_SAMPLES) {
+    re.fill(0)
+    im.fill(0)
+
+    // Pre-emphasis and window
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      const previous = start + i > 0 ? samples[start + i - 1] : 0
+      re[i] = (samples[start + i] - 0.97 * previous) * hammingWindow[i]
+    }
+    fft(re, im)
+
+    const logMel = melFilters.map((filter) => {
+      let sum = 0
+      for (const [bin, weight] of filter) sum += weight * (re[bin] * re[bin] + im[bin] * im[bin])
+      return Math.log(sum + 1e-10)
+    })
+    energies.push(logMel.reduce((sum, value) => sum + value, 0) / MEL_FILTERS)
+
+    // Background noise fills the bands speech leaves empty, at a level that
+    // depends on how loud the host is; flooring them keeps features comparable
+    const floor = Math.max(...logMel) - DYNAMIC_RANGE
+    frames.push(dct(logMel.map((value) => Math.max(value, floor))))
+  }
+
+  if (!trim || frames.length === 0) return frames
+
+  const floor = Math.max(...energies) - TRIM_LOG_ENERGY
+  const first = energies.findIndex((energy) => energy >= floor)
+  const last = energies.length - 1 - [...energies].reverse().findIndex((energy) => energy >= floor)
+  return frames.slice(first, last + 1)
+}
+
+/**
+ * Average per-frame distance of the best alignment of the whole `template`
+ * against any stretch of `window` (both MFCC frames). Lower is closer.
+ */
+export function matchDistance(template, window) {
+  const n = template.length
+  const m = window.length
+  if (n === 0 || m === 0) return Infinity
+
+  // Row 0 is free: the template may start anywhere in the window
+  let previous = new Float64Array(m + 1)
+  let current = new Float64Array(m + 1)
+
+  for (let i = 1; i <= n; i++) {
+    current[0] = Infinity
+    for (let j = 1; j <= m; j++) {
+      const cost = frameDistance(template[i - 1], window[j - 1])
+      current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1])
+    }
+    [previous, current] = [current, previous]
+  }
+
+  // ...and end anywhere
+  let best = Infinity
+  for (let j = 1; j <= m; j++) best = Math.min(best, previous[j])
+  return best / n
+}
+
+/**
+ * A spotter for the enrolled `templates` (at least two), or null.
+ * `detect(samples)` is true when any template matches somewhere in the audio
+ * within the threshold set by how alike the enrollment recordings were.
+ */
+export function createKeywordSpotter(templates, { sensitivity = DEFAULT_SENSITIVITY } = {}) {
+  if (!templates || templates.length < 2) return null
+
+  let spread = 0
+  templates.forEach((a, i) => {
+    templates.forEach((b, j) => {
+      if (i !== j) spread = Math.max(spread, matchDistance(a, b))
+    })
+  })
+  const threshold = Math.max(spread * sensitivity, MIN_THRESHOLD)
+
+  return {
+    threshold,
+
+    score(samples) {
+      const features = extractFeatures(samples)
+      return Math.min(...templates.map((template) => matchDistance(template, features)))
+    },
+
+    detect(samples) {
+      return this.score(samples) <= threshold
+    }
+  }
+}
+
+/**
+ * Templates as compact JSON for localStorage, and back (null if unreadable).
+ */
+export function serializeTemplates(templates) {
+  return JSON.stringify(templates.map((frames) => frames.map((frame) => frame.map((value) => Math.round(value * 1000) / 1000))))
+}
+
+export function parseTemplates(json) {
+  try {
+    const templates = JSON.parse(json)
+    const valid = Array.isArray(templates) && templates.every((frames) =>
+      Array.isArray(frames) && frames.every((frame) => Array.isArray(frame) && frame.length === COEFFICIENTS)
+    )
+    return valid ? templates : null
+  } catch {
+    return null
+  }
+}
+
+function frameDistance(a, b) {
+  let sum = 0
+  for (let k = 0; k < COEFFICIENTS; k++) {
+    const diff = a[k] - b[k]
+    sum += diff * diff
+  }
+  return Math.sqrt(sum)
+}
+
+function dct(logMel) {
+  const coefficients = new Array(COEFFICIENTS)
+  for (let k = 1; k <= COEFFICIENTS; k++) {
+    let sum = 0
+    for (let m = 0; m < MEL_FILTERS; m++) sum += logMel[m] * Math.cos(Math.PI * k * (m + 0.5) / MEL_FILTERS)
+    coefficients[k - 1] = sum
+  }
+  return coefficients
+}
+
+function setupTables() {
+  if (melFilters) return
+
+  hammingWindow = Float64Array.from({ length: FRAME_SAMPLES }, (_, i) => 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (FRAME_SAMPLES - 1)))
+
+  // Triangular filters evenly spaced on the mel scale, as [bin, weight] pairs
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700)
+  const toHz = (mel) => 700 * (10 ** (mel / 2595) - 1)
+  const maxMel = toMel(SAMPLE_RATE / 2)
+  const bins = Array.from({ length: MEL_FILTERS + 2 }, (_, i) =>
+    Math.floor((FFT_SIZE + 1) * toHz(maxMel * i / (MEL_FILTERS + 1)) / SAMPLE_RATE)
+  )
+
+  melFilters = Array.from({ length: MEL_FILTERS }, (_, f) => {
+    const [left, center, right] = [bins[f], bins[f + 1], bins[f + 2]]
+    const filter = []
+    for (let bin = left; bin < right; bin++) {
+      const weight = bin < center ? (bin - left) / (center - left || 1) : (right - bin) / (right - center || 1)
+      if (weight > 0) filter.push([bin, weight])
+    }
+    return filter
+  })
+}
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+  const n = re.length
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) {
+      ;[re[i], re[j]] = [re[j], re[i]]
+      ;[im[i], im[j]] = [im[j], im[i]]
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wr = Math.cos(angle * k)
+        const wi = Math.sin(angle * k)
+        const a = start + k
+        const b = a + size / 2
+        const tr = re[b] * wr - im[b] * wi
+        const ti = re[b] * wi + im[b] * wr
+        re[b] = re[a] - tr
+        im[b] = im[a] - ti
+        re[a] += tr
+        im[a] += ti
+      }
+    }
+  }
+}
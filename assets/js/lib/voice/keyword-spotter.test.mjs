@@ -0,0 +1,71 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createKeywordSpotter, extractFeatures, matchDistance, parseTemplates, serializeTemplates } from './keyword-spotter.mjs'
+
+// Deterministic noise so the tests are repeatable
+function noise(length, seed, level = 0.01) {
+  let state = seed
+  return Float32Array.from({ length }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648
+    return (state / 2147483648 - 0.5) * level
+  })
+}
+
+// A "word": a sequence of tones, each `ms` long, at the given frequencies
+function word(frequencies, { ms = 250, gain = 0.5, seed = 1 } = {}) {
+  const toneSamples = ms * 16
+  const samples = noise(frequencies.length * toneSamples, seed)
+  frequencies.forEach((hz, tone) => {
+    for (let i = 0; i < toneSamples; i++) {
+      samples[tone * toneSamples + i] += gain * Math.sin(2 * Math.PI * hz * i / 16000)
+    }
+  })
+  return samples
+}
+
+function concat(...parts) {
+  const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    samples.set(part, offset)
+    offset += part.length
+  }
+  return samples
+}
+
+const wakeWord = [500, 1500, 900]
+
+test('features ignore loudness and enrollment trims surrounding silence', () => {
+  const loud = extractFeatures(word(wakeWord, { gain: 0.8 }))
+  const quiet = extractFeatures(word(wakeWord, { gain: 0.2 }))
+  assert.ok(matchDistance(loud, quiet) < 1)
+
+  const padded = extractFeatures(concat(noise(8000, 2), word(wakeWord), noise(8000, 3)), { trim: true })
+  // Give or take the frames straddling each edge
+  assert.ok(Math.abs(padded.length - loud.length) <= 5)
+})
+
+test('spots the wake word inside longer audio, whatever the speaking rate', () => {
+  const templates = [
+    extractFeatures(word(wakeWord, { seed: 4 }), { trim: true }),
+    extractFeatures(word(wakeWord, { ms: 220, seed: 5 }), { trim: true }),
+    extractFeatures(word(wakeWord, { ms: 280, seed: 6 }), { trim: true })
+  ]
+  const spotter = createKeywordSpotter(templates)
+
+  const said = concat(word([1200, 300], { seed: 7 }), word(wakeWord, { ms: 300, gain: 0.3, seed: 8 }), noise(4000, 9))
+  const notSaid = concat(word([1200, 300], { seed: 7 }), word([2000, 700, 2500], { seed: 8 }), noise(4000, 9))
+
+  assert.equal(spotter.detect(said), true)
+  assert.equal(spotter.detect(notSaid), false)
+})
+
+test('needs two recordings and survives a storage round trip', () => {
+  const template = extractFeatures(word(wakeWord), { trim: true })
+  assert.equal(createKeywordSpotter([template]), null)
+
+  const restored = parseTemplates(serializeTemplates([template, template]))
+  assert.equal(restored.length, 2)
+  assert.ok(matchDistance(template, restored[0]) < 0.01)
+  assert.equal(parseTemplates('{"not": "templates"}'), null)
+})
@@ -0,0 +1,61 @@
+/**
+ * Listening modes for the VoiceControl hook.
+ *
+ * - `continuous`: VAD runs for the whole session and Whisper transcribes
+ *   whenever speech is detected (the original behaviour)
+ * - `push_to_talk`: the microphone is only processed while the talk key (or a
+ *   foot pedal sending it) is held
+ * - `hotword`: a keyword spotter (see keyword-spotter.mjs) listens for the
+ *   host's wake word, and Whisper only runs for a few seconds after it
+ *
+ * Ctrl/Cmd+M cycles through them in this order.
+ */
+
+import { DEFAULT_TALK_KEY, keyLabel } from '../shortcuts/shortcuts.mjs'
+
+export const LISTENING_MODES = {
+  continuous: { label: 'Continuous' },
+  push_to_talk: { label: 'Push to talk' },
+  hotword: { label: 'Wake word' }
+}
+
+export const DEFAULT_MODE = 'continuous'
+
+export function nextMode(mode) {
+  const modes = Object.keys(LISTENING_MODES)
+  return modes[(modes.indexOf(mode) + 1) % modes.length]
+}
+
+/**
+ * What the VAD's frames are for in `mode`: 'talk_key' when push to talk (the
+ * key, not the VAD, decides what is transcribed), 'hotword' while asleep in
+ * wake word mode (the frames are only searched for the wake word), otherwise
+ * 'speech' (detected speech is transcribed).
+ */
+export function frameRole(mode, { awake = false } = {}) {
+  if (mode === 'push_to_talk') return 'talk_key'
+  if (mode === 'hotword' && !awake) return 'hotword'
+  return 'speech'
+}
+
+/**
+ * Whether audio should reach Whisper right now.
+ */
+export function isPipelineOpen(mode, { talkKeyHeld = false, awake = false } = {}) {
+  if (mode === 'push_to_talk') return talkKeyHeld
+  if (mode === 'hotword') return awake
+  return true
+}
+
+/**
+ * How a running session waits in `mode`: whether the VAD runs, and the status
+ * to show. Push to talk pauses the VAD too, so nothing runs until the key is
+ * pressed; wake word mode needs a recorded wake word (`hotwordReady`).
+ */
+export function idleState(mode, { talkKey = DEFAULT_TALK_KEY, hotwordReady = false } = {}) {
+  if (mode === 'push_to_talk') return { vad: false, status: 'ready', message: `Hold ${keyLabel(talkKey)} to talk` }
+  if (mode === 'hotword') {
+    return { vad: true, status: 'ready', message: hotwordReady ? 'Say the wake word' : 'Record a wake word first' }
+  }
+  return { vad: true, status: 'listening', message: 'Listening...' }
+}
@@ -0,0 +1,30 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_MODE, frameRole, idleState, isPipelineOpen, nextMode } from './listening-modes.mjs'
+
+test('modes cycle in order and wrap around', () => {
+  assert.equal(nextMode(DEFAULT_MODE), 'push_to_talk')
+  assert.equal(nextMode('push_to_talk'), 'hotword')
+  assert.equal(nextMode('hotword'), 'continuous')
+})
+
+test('each mode decides what the VAD frames are for and when Whisper runs', () => {
+  assert.equal(frameRole('continuous'), 'speech')
+  assert.equal(frameRole('push_to_talk', { awake: true }), 'talk_key')
+  assert.equal(frameRole('hotword'), 'hotword')
+  assert.equal(frameRole('hotword', { awake: true }), 'speech')
+
+  assert.equal(isPipelineOpen('continuous'), true)
+  assert.equal(isPipelineOpen('push_to_talk'), false)
+  assert.equal(isPipelineOpen('push_to_talk', { talkKeyHeld: true }), true)
+  assert.equal(isPipelineOpen('hotword', { talkKeyHeld: true }), false)
+  assert.equal(isPipelineOpen('hotword', { awake: true }), true)
+})
+
+test('a running session waits the way its mode needs', () => {
+  assert.deepEqual(idleState('continuous'), { vad: true, status: 'listening', message: 'Listening...' })
+  assert.deepEqual(idleState('push_to_talk', { talkKey: 'F8' }), { vad: false, status: 'ready', message: 'Hold F8 to talk' })
+  assert.equal(idleState('push_to_talk').message, 'Hold Right Shift to talk')
+  assert.equal(idleState('hotword').message, 'Record a wake word first')
+  assert.equal(idleState('hotword', { hotwordReady: true }).message, 'Say the wake word')
+})
@@ -0,0 +1,206 @@
+/**
+ * Whisper model files served from the app's own static assets, checked against
+ * a versioned manifest and kept in a Cache Storage bucket for offline use.
+ *
+ * `mix assets.fetch_models` downloads each model at the Hugging Face revision
+ * pinned in priv/voice_models.lock.json into priv/static/assets/models/<model
+ * id>/ and writes
+ * /assets/models/manifest.json:
+ *
+ *     {
+ *       "schema": 1,
+ *       "version": "3f9c2a1b7e40",
+ *       "models": {
+ *         "Xenova/whisper-tiny.en": {
+ *           "revision": "<commit sha>",
+ *           "files": [{ "name": "onnx/encoder_model_fp16.onnx", "size": 16000000, "sha256": "…", "dtype": "fp16" }]
+ *         }
+ *       }
+ *     }
+ *
+ * Files without a `dtype` (configs, tokenizer) are needed at any precision.
+ * Cached copies are keyed by path and hash, so a new revision never reuses an
+ * old file and the old copies show up as stale.
+ */
+
+export const MODEL_CACHE_NAME = 'pavoi-voice-models'
+export const MANIFEST_URL = '/assets/models/manifest.json'
+export const MODELS_PATH = '/assets/models/'
+export const MANIFEST_SCHEMA = 1
+
+/**
+ * Precision the worker loads a model at on `device` ("webgpu" or "wasm").
+ */
+export function dtypeFor(device) {
+  return device === 'webgpu' ? 'fp16' : 'fp32'
+}
+
+/**
+ * A manifest parsed from JSON text, or null if unreadable or of another schema.
+ */
+export function parseManifest(json) {
+  try {
+    const manifest = JSON.parse(json)
+    const valid = manifest && manifest.schema === MANIFEST_SCHEMA && manifest.models &&
+      Object.values(manifest.models).every((model) => Array.isArray(model.files) && model.files.every((file) =>
+        typeof file.name === 'string' && Number.isInteger(file.size) && /^[0-9a-f]{64}$/.test(file.sha256)
+      ))
+    return valid ? manifest : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Files of `modelId` needed at `dtype`, each with its static `url` and cache
+ * `key`, or null when the model isn't packaged (the worker then uses the hub).
+ */
+export function modelFiles(manifest, modelId, dtype) {
+  const model = manifest && manifest.models[modelId]
+  if (!model) return null
+
+  return model.files
+    .filter((file) => !file.dtype || file.dtype === dtype)
+    .map((file) => withLocation(modelId, file))
+}
+
+/**
+ * Check downloaded bytes against a manifest entry. Throws on a mismatch.
+ */
+export async function verifyFile(buffer, file) {
+  if (buffer.byteLength !== file.size) {
+    throw new Error(`${file.name}: expected ${file.size} bytes, got ${buffer.byteLength}`)
+  }
+
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer))
+  const hex = Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('')
+  if (hex !== file.sha256) {
+    throw new Error(`${file.name}: checksum mismatch`)
+  }
+}
+
+/**
+ * The current manifest: fetched fresh when the server is reachable (and saved
+ * to `cache`), otherwise the last saved copy. Null if neither exists.
+ */
+export async function loadManifest(cache, fetchFn = fetch) {
+  try {
+    const response = await fetchFn(MANIFEST_URL, { cache: 'no-cache' })
+    if (response.ok) {
+      const text = await response.text()
+      const manifest = parseManifest(text)
+      if (manifest) {
+        await cache.put(MANIFEST_URL, new Response(text, { headers: { 'Content-Type': 'application/json' } }))
+        return manifest
+      }
+    }
+  } catch {
+    // Offline: fall back to the saved copy
+  }
+
+  const saved = await cache.match(MANIFEST_URL)
+  return saved ? parseManifest(await saved.text()) : null
+}
+
+/**
+ * Download the files of `modelId` at `dtype` that aren't cached yet, verifying
+ * each before it is stored. `onProgress({ loaded, total })` counts bytes over
+ * the whole model, cached files included.
+ */
+export async function downloadModel({ manifest, modelId, dtype, cache, fetchFn = fetch, onProgress = () => {} }) {
+  const files = modelFiles(manifest, modelId, dtype)
+  if (!files) throw new Error(`${modelId} is not packaged with this app`)
+
+  const total = files.reduce((sum, file) => sum + file.size, 0)
+  let loaded = 0
+
+  for (const file of files) {
+    if (!(await cache.match(file.key))) {
+      const response = await fetchFn(file.key, { cache: 'no-store' })
+      if (!response.ok) throw new Error(`${file.name}: HTTP ${response.status}`)
+
+      const buffer = await response.arrayBuffer()
+      await verifyFile(buffer, file)
+      await cache.put(file.key, new Response(buffer, { headers: { 'Content-Length': String(file.size) } }))
+    }
+
+    loaded += file.size
+    onProgress({ loaded, total })
+  }
+}
+
+/**
+ * What the cache holds, given the URLs of its entries: per model, the bytes
+ * cached, the size of each precision and whether it is complete, plus entries
+ * no longer in the manifest (old revisions) that can be cleared.
+ */
+export function summarizeCache(manifest, cachedUrls) {
+  const cached = new Set(cachedUrls.map(localPath))
+  const known = new Set([MANIFEST_URL])
+
+  const models = Object.entries(manifest ? manifest.models : {}).map(([id, model]) => {
+    const files = model.files.map((file) => withLocation(id, file))
+    files.forEach((file) => known.add(file.key))
+
+    const size = {}
+    const ready = {}
+    for (const dtype of ['fp16', 'fp32']) {
+      const needed = modelFiles(manifest, id, dtype)
+      size[dtype] = needed.reduce((sum, file) => sum + file.size, 0)
+      ready[dtype] = needed.every((file) => cached.has(file.key))
+    }
+
+    return {
+      id,
+      revision: model.revision,
+      cachedBytes: files.filter((file) => cached.has(file.key)).reduce((sum, file) => sum + file.size, 0),
+      size,
+      ready
+    }
+  })
+
+  return {
+    models,
+    manifestCached: cached.has(MANIFEST_URL),
+    stale: cachedUrls.filter((url) => !known.has(localPath(url)))
+  }
+}
+
+/**
+ * A Transformers.js custom cache serving `modelId` from `cache`. The library
+ * asks for files by local path or hub URL; both end in the model id and file name.
+ * Nothing is stored through it: files are verified and cached by downloadModel.
+ */
+export function transformersCache(cache, manifest, modelId, dtype) {
+  const files = modelFiles(manifest, modelId, dtype) || []
+
+  return {
+    async match(request) {
+      const name = typeof request === 'string' ? request : request.url
+      const file = files.find((f) => name.includes(modelId) && name.endsWith(`/${f.name}`))
+      return file ? cache.match(file.key) : undefined
+    },
+
+    async put() {}
+  }
+}
+
+/**
+ * Bytes as "12.3 MB".
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`
+}
+
+function withLocation(modelId, file) {
+  const url = `${MODELS_PATH}${modelId}/${file.name}`
+  return { ...file, url, key: `${url}?sha256=${file.sha256}` }
+}
+
+// Cache keys come back as absolute URLs
+function localPath(url) {
+  const { pathname, search } = new URL(url, 'http://localhost')
+  return pathname + search
+}
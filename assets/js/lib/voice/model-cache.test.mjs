@@ -0,0 +1,112 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createHash } from 'node:crypto'
+import { MANIFEST_URL, downloadModel, loadManifest, modelFiles, parseManifest, summarizeCache, transformersCache } from './model-cache.mjs'
+
+const FILES = {
+  'config.json': '{"model_type":"whisper"}',
+  'onnx/encoder_model.onnx': 'encoder fp32',
+  'onnx/encoder_model_fp16.onnx': 'encoder fp16'
+}
+
+const manifest = {
+  schema: 1,
+  version: 'abc123',
+  models: {
+    'Xenova/whisper-tiny.en': {
+      revision: 'deadbeef',
+      files: [
+        entry('config.json'),
+        entry('onnx/encoder_model.onnx', 'fp32'),
+        entry('onnx/encoder_model_fp16.onnx', 'fp16')
+      ]
+    }
+  }
+}
+
+function entry(name, dtype) {
+  const file = { name, size: Buffer.byteLength(FILES[name]), sha256: createHash('sha256').update(FILES[name]).digest('hex') }
+  return dtype ? { ...file, dtype } : file
+}
+
+// Cache Storage stand-in keyed by URL, and a static file server
+function fakeCache() {
+  const entries = new Map()
+  return {
+    entries,
+    async match(key) { return entries.get(key)?.clone() },
+    async put(key, response) { entries.set(key, response) }
+  }
+}
+
+function fakeServer(files, requests = []) {
+  return async (url) => {
+    requests.push(url)
+    const path = url.split('?')[0]
+    if (path === MANIFEST_URL) return new Response(JSON.stringify(manifest))
+    const name = Object.keys(files).find((file) => path.endsWith(`/${file}`))
+    return name ? new Response(files[name]) : new Response('', { status: 404 })
+  }
+}
+
+test('picks the files for a precision, with hashed cache keys', () => {
+  assert.equal(parseManifest('{"schema":2,"models":{}}'), null)
+  assert.deepEqual(parseManifest(JSON.stringify(manifest)), manifest)
+
+  const files = modelFiles(manifest, 'Xenova/whisper-tiny.en', 'fp16')
+  assert.deepEqual(files.map((file) => file.name), ['config.json', 'onnx/encoder_model_fp16.onnx'])
+  assert.equal(files[1].url, '/assets/models/Xenova/whisper-tiny.en/onnx/encoder_model_fp16.onnx')
+  assert.ok(files[1].key.endsWith(`?sha256=${files[1].sha256}`))
+  assert.equal(modelFiles(manifest, 'Xenova/whisper-base', 'fp16'), null)
+})
+
+test('downloads and verifies missing files only, rejecting corrupted ones', async () => {
+  const cache = fakeCache()
+  const requests = []
+  const progress = []
+
+  await downloadModel({
+    manifest, modelId: 'Xenova/whisper-tiny.en', dtype: 'fp32', cache,
+    fetchFn: fakeServer(FILES, requests), onProgress: ({ loaded, total }) => progress.push(loaded / total)
+  })
+  assert.equal(requests.length, 2)
+  assert.equal(progress.at(-1), 1)
+
+  await downloadModel({ manifest, modelId: 'Xenova/whisper-tiny.en', dtype: 'fp16', cache, fetchFn: fakeServer(FILES, requests) })
+  assert.equal(requests.length, 3)
+
+  const corrupted = { ...FILES, 'onnx/encoder_model.onnx': 'encoder fp3!' }
+  await assert.rejects(
+    downloadModel({ manifest, modelId: 'Xenova/whisper-tiny.en', dtype: 'fp32', cache: fakeCache(), fetchFn: fakeServer(corrupted) }),
+    /checksum mismatch/
+  )
+})
+
+test('reports readiness per precision and stale entries from old revisions', async () => {
+  const cache = fakeCache()
+  await downloadModel({ manifest, modelId: 'Xenova/whisper-tiny.en', dtype: 'fp32', cache, fetchFn: fakeServer(FILES) })
+  const urls = [...cache.entries.keys()].map((key) => `https://app.test${key}`)
+  urls.push('https://app.test/assets/models/Xenova/whisper-tiny.en/config.json?sha256=0ld')
+
+  const summary = summarizeCache(manifest, urls)
+  const [tiny] = summary.models
+
+  assert.deepEqual(tiny.ready, { fp16: false, fp32: true })
+  assert.equal(tiny.cachedBytes, tiny.size.fp32)
+  assert.deepEqual(summary.stale, ['https://app.test/assets/models/Xenova/whisper-tiny.en/config.json?sha256=0ld'])
+})
+
+test('falls back to the saved manifest offline and serves files to Transformers.js', async () => {
+  const cache = fakeCache()
+  assert.deepEqual(await loadManifest(cache, fakeServer(FILES)), manifest)
+
+  const offline = async () => { throw new TypeError('Failed to fetch') }
+  const saved = await loadManifest(cache, offline)
+  assert.deepEqual(saved, manifest)
+
+  await downloadModel({ manifest: saved, modelId: 'Xenova/whisper-tiny.en', dtype: 'fp16', cache, fetchFn: fakeServer(FILES) })
+  const adapter = transformersCache(cache, saved, 'Xenova/whisper-tiny.en', 'fp16')
+  const hit = await adapter.match('https://huggingface.co/Xenova/whisper-tiny.en/resolve/main/onnx/encoder_model_fp16.onnx')
+  assert.equal(await hit.text(), 'encoder fp16')
+  assert.equal(await adapter.match('/assets/models/Xenova/whisper-tiny.en/onnx/encoder_model.onnx'), undefined)
+})
@@ -0,0 +1,99 @@
+/**
+ * Structured log of a voice control session, for reviewing false positives
+ * and misses after a show.
+ *
+ * One entry per transcript (plus one per command run from the panel), with
+ * what the command registry made of it and what the LiveView replied:
+ *
+ * - `decision`: no_match, matched, duplicate, awaiting_confirmation,
+ *   confirmed, cancelled, expired, choices, picked or held (a jump waiting out
+ *   the confirm window)
+ * - `result`: success or error once the LiveView replied, queued when it was
+ *   held for replay while disconnected (lib/offline), otherwise empty
+ */
+
+export const SESSION_LOG_COLUMNS = [
+  'time', 'requestId', 'transcript', 'command', 'event', 'payload',
+  'decision', 'result', 'reply', 'latencyMs', 'inferenceMs'
+]
+
+// Decisions and results worth a second look when auditing a show
+const PROBLEM_DECISIONS = ['duplicate', 'cancelled', 'expired', 'choices']
+
+/**
+ * Create a session log holding at most `maxEntries` (oldest dropped first).
+ * `entries` restores a previously saved log.
+ */
+export function createSessionLog({ maxEntries = 5000, entries = [] } = {}) {
+  const log = entries.slice(-maxEntries)
+  let nextId = log.reduce((max, entry) => Math.max(max, entry.id), 0) + 1
+
+  return {
+    add(fields) {
+      const entry = { id: nextId++, time: new Date().toISOString(), ...fields }
+      log.push(entry)
+      if (log.length > maxEntries) log.shift()
+      return entry
+    },
+
+    entries() {
+      return log
+    },
+
+    clear() {
+      log.length = 0
+    }
+  }
+}
+
+/**
+ * Entries matching a review filter: "all", "commands" (anything matched) or
+ * "problems" (duplicates, cancellations, unclear names and failed replies).
+ */
+export function filterEntries(entries, filter) {
+  switch (filter) {
+    case 'commands':
+      return entries.filter((entry) => entry.command)
+    case 'problems':
+      return entries.filter((entry) => PROBLEM_DECISIONS.includes(entry.decision) || entry.result === 'error')
+    default:
+      return entries
+  }
+}
+
+/**
+ * Counts for the log header: transcripts, commands run, problems, average latency.
+ */
+export function summarize(entries) {
+  const latencies = entries.map((entry) => entry.latencyMs).filter((ms) => typeof ms === 'number')
+
+  return {
+    transcripts: entries.filter((entry) => entry.transcript).length,
+    commands: entries.filter((entry) => entry.result).length,
+    problems: filterEntries(entries, 'problems').length,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null
+  }
+}
+
+export function toJSON(entries) {
+  return JSON.stringify(entries, null, 2)
+}
+
+/**
+ * CSV with one row per entry; payload and reply are JSON-encoded in their cell.
+ */
+export function toCSV(entries) {
+  const rows = entries.map((entry) => SESSION_LOG_COLUMNS.map((column) => {
+    const value = entry[column]
+    return csvCell(value !== null && typeof value === 'object' ? JSON.stringify(value) : value)
+  }).join(','))
+
+  return [SESSION_LOG_COLUMNS.join(','), ...rows].join('\n')
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return ''
+
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
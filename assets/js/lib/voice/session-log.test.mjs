@@ -0,0 +1,34 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createSessionLog, filterEntries, summarize, toCSV } from './session-log.mjs'
+
+test('keeps the most recent entries and continues ids after a restore', () => {
+  const log = createSessionLog({ maxEntries: 2 })
+  log.add({ transcript: 'one' })
+  log.add({ transcript: 'two' })
+  log.add({ transcript: 'three' })
+  assert.deepEqual(log.entries().map((entry) => entry.transcript), ['two', 'three'])
+
+  const restored = createSessionLog({ entries: log.entries() })
+  assert.equal(restored.add({ transcript: 'four' }).id, 4)
+})
+
+test('problems filter picks duplicates, unclear names and failed replies', () => {
+  const entries = [
+    { id: 1, transcript: 'hello', decision: 'no_match' },
+    { id: 2, transcript: 'show number 3', command: 'show_number', decision: 'matched', result: 'success', latencyMs: 800 },
+    { id: 3, transcript: 'show number 3', command: 'show_number', decision: 'duplicate', latencyMs: 1200 },
+    { id: 4, transcript: 'show number 80', command: 'show_number', decision: 'matched', result: 'error' }
+  ]
+
+  assert.deepEqual(filterEntries(entries, 'problems').map((entry) => entry.id), [3, 4])
+  assert.deepEqual(summarize(entries), { transcripts: 4, commands: 2, problems: 2, avgLatencyMs: 1000 })
+})
+
+test('CSV quotes text cells and JSON-encodes payloads', () => {
+  const csv = toCSV([{ id: 1, time: 't', transcript: 'say "hi", then go', payload: { position: '3' } }])
+  const [header, row] = csv.split('\n')
+
+  assert.ok(header.startsWith('time,requestId,transcript,command,event,payload'))
+  assert.equal(row, 't,,"say ""hi"", then go",,,"{""position"":""3""}",,,,,')
+})
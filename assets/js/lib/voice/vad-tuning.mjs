@@ -0,0 +1,135 @@
+/**
+ * Tunable VAD and processing parameters for the VoiceControl hook, and the
+ * calibration that proposes them for a room and microphone.
+ *
+ * - `speechThreshold`: VAD speech probability above which a frame is speech
+ * - `silenceFrameThreshold`: consecutive silent frames before processing pauses
+ * - `processingIntervalMs`: how often the rolling buffer is transcribed
+ * - `bufferMaxSamples`: rolling buffer length, in 16kHz samples
+ * - `deduplicationWindowMs`: repeat window of the navigation commands; commands
+ *   with a longer window of their own (pin message) keep it in proportion
+ *
+ * An utterance is only transcribed whole if it fits in the buffer alongside one
+ * processing interval, so the calibration sizes the buffer at twice the sample
+ * utterance and transcribes it every half buffer. The same words then stay in
+ * the buffer for a whole buffer length, which is the shortest safe repeat window.
+ */
+
+export const SAMPLE_RATE = 16000
+
+export const DEFAULT_TUNING = {
+  speechThreshold: 0.5,
+  silenceFrameThreshold: 30,
+  processingIntervalMs: 2500,
+  bufferMaxSamples: 80000,
+  deduplicationWindowMs: 5000
+}
+
+// Slider ranges; values are snapped to `step`
+export const TUNING_LIMITS = {
+  speechThreshold: { label: 'Speech threshold', min: 0.1, max: 0.95, step: 0.05 },
+  silenceFrameThreshold: { label: 'Silence frames before pause', min: 5, max: 90, step: 1 },
+  processingIntervalMs: { label: 'Transcribe every', min: 1000, max: 5000, step: 250 },
+  bufferMaxSamples: { label: 'Audio window', min: 32000, max: 160000, step: 8000 },
+  deduplicationWindowMs: { label: 'Repeat window', min: 1000, max: 15000, step: 500 }
+}
+
+// Speech and noise closer than this can't be told apart by a threshold
+const MIN_SEPARATION = 0.1
+
+/**
+ * Defaults overridden by `values`, each clamped to its range and snapped to its step.
+ * Unknown keys and non-numbers are dropped.
+ */
+export function clampTuning(values = {}) {
+  const tuning = {}
+
+  for (const [key, { min, max, step }] of Object.entries(TUNING_LIMITS)) {
+    const value = Number(values[key])
+    if (values[key] === undefined || values[key] === null || Number.isNaN(value)) {
+      tuning[key] = DEFAULT_TUNING[key]
+      continue
+    }
+
+    const snapped = min + Math.round((Math.min(max, Math.max(min, value)) - min) / step) * step
+    // Keep steps like 0.05 free of floating point noise
+    tuning[key] = Number(snapped.toFixed(2))
+  }
+
+  return tuning
+}
+
+/**
+ * The saved tuning for a microphone, or the defaults.
+ * `profiles` maps device ids to tuning; the system default mic is "default".
+ */
+export function tuningForDevice(profiles, deviceId) {
+  const profile = profiles && profiles[deviceId || 'default']
+  return clampTuning(profile || {})
+}
+
+/**
+ * A command's repeat window under `tuning`: its own window scaled by how far the
+ * tuned window is from the default.
+ */
+export function dedupeWindow(command, tuning) {
+  return Math.round(command.dedupeMs * tuning.deduplicationWindowMs / DEFAULT_TUNING.deduplicationWindowMs)
+}
+
+/**
+ * Propose tuning from a calibration run: VAD speech probabilities recorded per
+ * frame while the room was quiet (`ambient`) and while the host said a sample
+ * command (`utterance`), with each frame lasting `frameMs`.
+ *
+ * Returns `{ tuning, measurements }`, or null when the sample utterance wasn't
+ * clearly louder than the room (nothing said, or too much background speech).
+ */
+export function proposeTuning({ ambient, utterance, frameMs }) {
+  const noiseCeiling = percentile(ambient, 0.95) ?? 0
+  const speechLevel = percentile(utterance.filter((p) => p > noiseCeiling), 0.5)
+  if (speechLevel === undefined || speechLevel - noiseCeiling < MIN_SEPARATION) return null
+
+  const speechThreshold = clampTuning({ speechThreshold: (noiseCeiling + speechLevel) / 2 }).speechThreshold
+
+  // Span of the utterance, and the longest pause inside it (between words)
+  let first = -1
+  let last = -1
+  let longestPause = 0
+  let pause = 0
+  utterance.forEach((p, index) => {
+    if (p > speechThreshold) {
+      if (first === -1) first = index
+      if (last !== -1) longestPause = Math.max(longestPause, pause)
+      last = index
+      pause = 0
+    } else {
+      pause++
+    }
+  })
+  if (first === -1) return null
+
+  const utteranceMs = (last - first + 1) * frameMs
+  // Rounded up to the buffer slider's half-second steps
+  const bufferMs = Math.max(3000, Math.ceil(2 * (utteranceMs + 250) / 500) * 500)
+
+  const tuning = clampTuning({
+    speechThreshold,
+    // Twice the longest pause between words, and never under half a second
+    silenceFrameThreshold: Math.max(longestPause * 2, Math.ceil(500 / frameMs)),
+    processingIntervalMs: bufferMs / 2,
+    bufferMaxSamples: bufferMs / 1000 * SAMPLE_RATE,
+    deduplicationWindowMs: bufferMs
+  })
+
+  return {
+    tuning,
+    measurements: { noiseCeiling, speechLevel, utteranceMs, longestPauseMs: longestPause * frameMs }
+  }
+}
+
+function percentile(values, fraction) {
+  if (values.length === 0) return undefined
+
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))]
+}
@@ -0,0 +1,49 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_TUNING, clampTuning, dedupeWindow, proposeTuning, tuningForDevice } from './vad-tuning.mjs'
+
+test('clamps and snaps values, keeping defaults for missing ones', () => {
+  const tuning = clampTuning({ speechThreshold: 0.43, processingIntervalMs: 99999, bufferMaxSamples: 'loud' })
+
+  assert.equal(tuning.speechThreshold, 0.45)
+  assert.equal(tuning.processingIntervalMs, 5000)
+  assert.equal(tuning.bufferMaxSamples, DEFAULT_TUNING.bufferMaxSamples)
+  assert.equal(tuning.silenceFrameThreshold, DEFAULT_TUNING.silenceFrameThreshold)
+})
+
+test('profiles are looked up per microphone, falling back to defaults', () => {
+  const profiles = { 'usb-mic': { speechThreshold: 0.7 }, default: { speechThreshold: 0.3 } }
+
+  assert.equal(tuningForDevice(profiles, 'usb-mic').speechThreshold, 0.7)
+  assert.equal(tuningForDevice(profiles, '').speechThreshold, 0.3)
+  assert.deepEqual(tuningForDevice(profiles, 'headset'), DEFAULT_TUNING)
+})
+
+test('repeat windows scale with the tuned window', () => {
+  const tuning = { ...DEFAULT_TUNING, deduplicationWindowMs: 4000 }
+
+  assert.equal(dedupeWindow({ dedupeMs: 5000 }, tuning), 4000)
+  assert.equal(dedupeWindow({ dedupeMs: 10000 }, tuning), 8000)
+})
+
+test('proposes a threshold between room noise and speech, sized to the utterance', () => {
+  // 32ms frames: a quiet room, then ~1.3s of speech with a short pause between words
+  const ambient = Array(90).fill(0.05).concat([0.2, 0.1])
+  const utterance = [...Array(10).fill(0.1), ...Array(20).fill(0.9), 0.2, 0.2, 0.2, ...Array(18).fill(0.8), ...Array(10).fill(0.05)]
+
+  const { tuning, measurements } = proposeTuning({ ambient, utterance, frameMs: 32 })
+
+  assert.equal(measurements.utteranceMs, 41 * 32)
+  assert.equal(tuning.speechThreshold, 0.45)
+  assert.equal(tuning.silenceFrameThreshold, 16)
+  assert.equal(tuning.bufferMaxSamples, 56000)
+  assert.equal(tuning.processingIntervalMs, 1750)
+  assert.equal(tuning.deduplicationWindowMs, 3500)
+})
+
+test('gives up when the sample utterance is not louder than the room', () => {
+  const noisy = Array(90).fill(0.8)
+
+  assert.equal(proposeTuning({ ambient: noisy, utterance: Array(60).fill(0.85), frameMs: 32 }), null)
+  assert.equal(proposeTuning({ ambient: Array(90).fill(0.05), utterance: Array(60).fill(0.05), frameMs: 32 }), null)
+})
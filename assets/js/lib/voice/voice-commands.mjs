@@ -0,0 +1,452 @@
+/**
+ * Voice command grammar for the VoiceControl hook.
+ *
+ * Whisper transcripts are matched against a registry of commands. Each command
+ * turns a spoken phrase into one of the controller's existing LiveView events
+ * and carries its own rules:
+ *
+ * - `dedupeMs`: ignore the same match again within this window. The hook
+ *   transcribes a rolling ~5s buffer every 2.5s, so a single utterance usually
+ *   shows up in two consecutive transcripts. Commands that are not idempotent
+ *   (next/previous) must use a window at least as long as the buffer. The
+ *   hook scales every window with the tuned repeat window (vad-tuning.mjs).
+ * - `confirm`: hold the command until the host says "confirm" (or "cancel").
+ *   Used where a misheard phrase would put something on the host's screen.
+ *
+ * Commands are tried in registration order and the first match wins, so
+ * specific phrases ("show number") go before catch-alls ("show the ...").
+ * Trigger phrases and number words come from the grammar of the host's
+ * language (see voice-grammars.mjs).
+ */
+
+import { grammarFor } from './voice-grammars.mjs'
+
+// Per-word similarity needed for a spoken word to count as a word of a name
+const WORD_SIMILARITY = 0.75
+
+// Spoken words needed before a name match is accepted (or the whole name, if shorter)
+const MIN_NAME_WORDS = 2
+
+// Best and runner-up scores closer than this are treated as ambiguous
+const AMBIGUITY_MARGIN = 0.1
+
+// Score given to words that are spelled differently but sound the same
+const PHONETIC_MATCH = 0.9
+
+// Product name score needed to jump without asking; below it the host picks from a list
+const NAME_CONFIDENCE = 0.5
+
+// Most products offered when a spoken name is ambiguous or low-confidence
+const MAX_CHOICES = 3
+
+/**
+ * Lowercase, strip accents and punctuation, and collapse whitespace.
+ */
+export function normalizeTranscript(text) {
+  if (!text) return ''
+
+  return text.toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Convert spoken number words to a number, e.g. "twenty three" → 23.
+ * Handles 1-999; returns null when there is nothing to convert.
+ *
+ * A run of single digits is read digit by digit, the way people read out a
+ * product number: "four five" → 45, not 9. Other combinations that don't
+ * make a number ("three twenty", "ten twelve") give null rather than a guess.
+ */
+export function wordsToNumber(words, grammar = grammarFor()) {
+  const { units, multipliers } = grammar.numbers
+  const values = words.filter((word) => units[word] !== undefined || multipliers[word] !== undefined)
+
+  if (values.length > 1 && values.every((word) => units[word] !== undefined && units[word] < 10)) {
+    return parseInt(values.map((word) => units[word]).join(''), 10) || null
+  }
+
+  let total = 0
+  // Each further unit has to fit below the last one: "twenty" leaves room for
+  // a digit, "hundred" for anything under a hundred
+  let room = Infinity
+
+  for (const word of values) {
+    if (units[word] !== undefined) {
+      const value = units[word]
+      if (value >= room) return null
+      total += value
+      room = value >= 100 && value % 100 === 0 ? 100 : value >= 20 && value % 10 === 0 ? 10 : 0
+    } else if (total > 0) {
+      total *= multipliers[word]
+      room = multipliers[word]
+    }
+  }
+
+  return total > 0 ? total : null
+}
+
+/**
+ * Parse the number at the start of `words`, as digits ("23") or number words
+ * ("twenty three"). Stops at the first word that is not part of a number.
+ */
+export function parseLeadingNumber(words, grammar = grammarFor()) {
+  if (words.length === 0) return null
+
+  if (/^\d+$/.test(words[0])) {
+    const number = parseInt(words[0], 10)
+    return number > 0 ? number : null
+  }
+
+  const { units, multipliers, connectors } = grammar.numbers
+  const numberWords = []
+  for (const word of words) {
+    if (units[word] === undefined && multipliers[word] === undefined && !connectors.includes(word)) break
+    numberWords.push(word)
+  }
+
+  return wordsToNumber(numberWords, grammar)
+}
+
+/**
+ * The words following the first occurrence of `phrase`, or null if the
+ * transcript does not contain it. Matches whole words only.
+ */
+export function wordsAfter(text, phrase) {
+  const padded = ` ${text} `
+  const index = padded.indexOf(` ${phrase} `)
+  if (index === -1) return null
+
+  return padded.slice(index + phrase.length + 2).split(' ').filter(Boolean)
+}
+
+/**
+ * The words following the first of `phrases` found in the transcript, or null.
+ */
+export function wordsAfterAny(text, phrases) {
+  for (const phrase of phrases) {
+    const words = wordsAfter(text, phrase)
+    if (words) return words
+  }
+  return null
+}
+
+/**
+ * True when the transcript contains any of the phrases as whole words.
+ */
+export function containsPhrase(text, phrases) {
+  return wordsAfterAny(text, phrases) !== null
+}
+
+/**
+ * Similarity of two words from 0 to 1, based on edit distance.
+ * Short words have to match exactly; one wrong letter changes them completely.
+ */
+export function similarity(a, b) {
+  if (a === b) return 1
+  if (a.length <= 3 || b.length <= 3) return 0
+
+  const distance = editDistance(a, b)
+  return 1 - distance / Math.max(a.length, b.length)
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Rough phonetic key for an English word, in the spirit of Metaphone: spelling
+ * variants that sound alike ("zirconia" / "zirkonia", "necklace" / "necklas")
+ * get the same key. Consonant sounds are normalized, then vowels after the
+ * first letter are dropped and repeated letters collapsed.
+ */
+export function phoneticKey(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '')
+  if (!letters) return ''
+
+  const key = letters
+    .replace(/^(kn|gn|pn|wr)/, (m) => m[1])
+    .replace(/^x/, 's')
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/sch/g, 'sk')
+    .replace(/tch/g, 'ch')
+    .replace(/dg(?=[eiy])/g, 'j')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/[cq]/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 's')
+    .replace(/gh(?![aeiou])/g, '')
+    .replace(/^[aeiou]/, 'a')
+
+  return key[0] + key.slice(1).replace(/[aeiouyhw]/g, '').replace(/(.)\1+/g, '$1')
+}
+
+/**
+ * How well a spoken word matches a word of a name, from 0 to 1: the better of
+ * the spelling similarity and a phonetic match. Whisper often picks a
+ * different spelling of a brand or material word that sounds the same.
+ */
+export function wordScore(spoken, nameWord) {
+  const spelled = similarity(spoken, nameWord)
+  if (spelled === 1) return 1
+
+  const spokenKey = phoneticKey(spoken)
+  const sounds = spokenKey.length >= 2 && spokenKey === phoneticKey(nameWord) ? PHONETIC_MATCH : 0
+  return Math.max(spelled, sounds)
+}
+
+/**
+ * Significant words of a product name or preset, for matching against speech.
+ */
+export function nameWords(name, grammar = grammarFor()) {
+  return normalizeTranscript(name).split(' ').filter((word) => word && !grammar.stopWords.includes(word))
+}
+
+/**
+ * Score how well the spoken words describe one name (a list of name words).
+ *
+ * Spoken words are consumed from the start until one doesn't resemble any
+ * remaining word of the name, so chatter after the name is ignored. Returns 0
+ * unless MIN_NAME_WORDS words matched (or the whole name, if shorter);
+ * otherwise how much of the name was said, weighted by how well each word matched.
+ */
+function scoreName(words, name) {
+  if (name.length === 0) return 0
+
+  const remaining = [...name]
+  let matched = 0
+  let total = 0
+
+  for (const word of words) {
+    let bestIndex = -1
+    let bestScore = 0
+    remaining.forEach((nameWord, i) => {
+      const score = wordScore(word, nameWord)
+      if (score > bestScore) {
+        bestScore = score
+        bestIndex = i
+      }
+    })
+
+    if (bestScore < WORD_SIMILARITY) break
+
+    remaining.splice(bestIndex, 1)
+    matched++
+    total += bestScore
+  }
+
+  return matched >= Math.min(MIN_NAME_WORDS, name.length) ? total / name.length : 0
+}
+
+/**
+ * Rank candidates by how well the spoken words describe them, best first.
+ * Each candidate has one or more names (a title plus aliases) given as word
+ * lists; its score is that of its best-matching name.
+ *
+ * @param {string[]} spoken - Words following the trigger phrase
+ * @param {{ names: string[][] }[]} candidates
+ * @param {object} [grammar] - For the filler words to ignore
+ * @returns {{ candidate: object, score: number }[]} Candidates that matched at all
+ */
+export function rankNames(spoken, candidates, grammar = grammarFor()) {
+  const words = spoken.filter((word) => !grammar.stopWords.includes(word))
+
+  return candidates
+    .map((candidate) => ({
+      candidate,
+      score: Math.max(0, ...candidate.names.map((name) => scoreName(words, name)))
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+}
+
+/**
+ * The single candidate best described by the spoken words, or null if none
+ * matched or the best two are too close to call.
+ */
+export function matchName(spoken, candidates, grammar = grammarFor()) {
+  const ranked = rankNames(spoken, candidates, grammar)
+  if (ranked.length === 0) return null
+  if (ranked.length > 1 && ranked[0].score - ranked[1].score < AMBIGUITY_MARGIN) return null
+
+  return ranked[0].candidate
+}
+
+/**
+ * Reply to a command waiting for confirmation: "confirm", "cancel", or null.
+ * Cancel wins if both were heard.
+ */
+export function matchConfirmation(text, grammar = grammarFor()) {
+  const words = normalizeTranscript(text).split(' ')
+  if (words.some((word) => grammar.cancel.includes(word))) return 'cancel'
+  if (words.some((word) => grammar.confirm.includes(word))) return 'confirm'
+  return null
+}
+
+// A command triggered by its grammar phrases alone, with no arguments
+function fixedCommand({ id, event, label }) {
+  return {
+    id,
+    event,
+    dedupeMs: 5000,
+    confirm: false,
+    match(text, { grammar }) {
+      return containsPhrase(text, grammar.phrases[id]) ? { payload: {}, label } : null
+    }
+  }
+}
+
+/**
+ * Built-in commands. `context` carries the grammar and the controller's data:
+ * `products` ([{ position, name, aliases }]) and `presets` ([{ id, text }]).
+ */
+export const BUILT_IN_COMMANDS = [
+  // "show number 23", "show number twenty three"
+  {
+    id: 'show_number',
+    event: 'jump_to_product',
+    dedupeMs: 5000,
+    confirm: false,
+    match(text, { grammar }) {
+      const words = wordsAfterAny(text, grammar.phrases.show_number)
+      const position = words && parseLeadingNumber(words, grammar)
+      // Two digits to match the keyboard shortcuts; the backend checks the actual range
+      if (!position || position > 99) return null
+
+      return { payload: { position: String(position) }, key: position, label: `→ ${position}` }
+    }
+  },
+  fixedCommand({ id: 'next_product', event: 'next_product', label: 'Next product' }),
+  fixedCommand({ id: 'previous_product', event: 'previous_product', label: 'Previous product' }),
+  fixedCommand({ id: 'next_image', event: 'next_image', label: 'Next image' }),
+  fixedCommand({ id: 'previous_image', event: 'previous_image', label: 'Previous image' }),
+  fixedCommand({ id: 'go_back', event: 'go_back', label: 'Back' }),
+  // "pin message flash sale" - the first few words of a preset are enough
+  {
+    id: 'pin_message',
+    event: 'select_preset',
+    dedupeMs: 10000,
+    confirm: true,
+    match(text, { grammar, presets = [] }) {
+      const words = wordsAfterAny(text, grammar.phrases.pin_message)
+      if (!words) return null
+
+      const preset = matchName(words, presets.map((p) => ({ ...p, names: [nameWords(p.text, grammar)] })), grammar)
+      if (!preset) return null
+
+      return { payload: { id: preset.id }, key: preset.id, label: `Pin "${preset.text}"` }
+    }
+  },
+  // "show the pearl necklace", matched against product titles and aliases
+  {
+    id: 'show_product',
+    event: 'jump_to_product',
+    dedupeMs: 5000,
+    confirm: false,
+    match(text, { grammar, products = [] }) {
+      const words = wordsAfterAny(text, grammar.phrases.show_product)
+      if (!words) return null
+
+      const ranked = rankNames(words, products.map((p) => ({
+        ...p,
+        names: [p.name, ...(p.aliases || [])].map((name) => nameWords(name, grammar))
+      })), grammar)
+      if (ranked.length === 0) return null
+
+      const [best, runnerUp] = ranked
+      const toMatch = (product) => ({
+        payload: { position: String(product.position) },
+        key: product.position,
+        label: `→ ${product.name}`
+      })
+
+      if (best.score >= NAME_CONFIDENCE && !(runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN)) {
+        return toMatch(best.candidate)
+      }
+
+      // Not sure enough to jump: offer the closest products instead
+      const choices = ranked.slice(0, MAX_CHOICES).map(({ candidate }) => ({
+        ...toMatch(candidate),
+        label: `${candidate.position}. ${candidate.name}`
+      }))
+      return {
+        choices,
+        key: `choices:${choices.map((choice) => choice.key).join(',')}`,
+        label: 'Which product?'
+      }
+    }
+  }
+]
+
+/**
+ * Create a command registry, seeded with the built-in commands.
+ *
+ * A command is `{ id, event, dedupeMs, confirm, match(text, context) }`, where
+ * `match` receives the normalized transcript and the context (with `grammar`
+ * defaulting to English) and returns null or
+ * `{ payload, key, label }`. `key` tells matches of the same command apart for
+ * deduplication (e.g. the position); `label` is shown to the host. A command
+ * that can't decide may return `{ choices: [{ payload, key, label }], key, label }`
+ * instead, for the host to pick one.
+ */
+export function createCommandRegistry(commands = BUILT_IN_COMMANDS) {
+  const registry = [...commands]
+
+  return {
+    /**
+     * Add a command, replacing any existing command with the same id.
+     */
+    register(command) {
+      const index = registry.findIndex((existing) => existing.id === command.id)
+      if (index === -1) {
+        registry.push(command)
+      } else {
+        registry[index] = command
+      }
+    },
+
+    commands() {
+      return [...registry]
+    },
+
+    /**
+     * Match a raw transcript. Returns `{ command, payload, key, label }` or null.
+     */
+    match(text, context = {}) {
+      const normalized = normalizeTranscript(text)
+      if (!normalized) return null
+
+      const commandContext = { ...context, grammar: context.grammar || grammarFor() }
+      for (const command of registry) {
+        const result = command.match(normalized, commandContext)
+        if (result) return { command, ...result }
+      }
+
+      return null
+    }
+  }
+}
+
+/**
+ * Key identifying a match for deduplication. Commands pushing the same event
+ * with the same key (e.g. "show number 3" and "show the ..." for product 3)
+ * count as duplicates of each other.
+ */
+export function dedupeKey(match) {
+  return `${match.command.event}:${match.key ?? ''}`
+}
@@ -0,0 +1,118 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createCommandRegistry, dedupeKey, matchConfirmation, parseLeadingNumber, wordsToNumber } from './voice-commands.mjs'
+import { grammarFor } from './voice-grammars.mjs'
+
+const context = {
+  products: [
+    { position: 1, name: 'Gold Huggie Hoop Earrings' },
+    { position: 2, name: 'Freshwater Pearl Necklace' },
+    { position: 3, name: 'Gold Hoop Earrings' },
+    { position: 4, name: 'Cubic Zirconia Tennis Bracelet' },
+    { position: 5, name: 'Pearl Drop Earrings', aliases: ['Bridal Drops'] }
+  ],
+  presets: [
+    { id: 'p1', text: 'Flash sale! 20% off for the next 10 minutes' },
+    { id: 'p2', text: 'Flash giveaway at 1,000 likes' }
+  ]
+}
+
+const registry = createCommandRegistry()
+
+test('show number accepts digits and number words mid-sentence', () => {
+  assert.deepEqual(registry.match('Okay, show number 12 and then', context).payload, { position: '12' })
+  assert.deepEqual(registry.match('show number twenty three.', context).payload, { position: '23' })
+  assert.equal(registry.match('the price is 5 dollars', context), null)
+  assert.equal(parseLeadingNumber(['five', 'more', 'things']), 5)
+})
+
+test('reads a run of single digits digit by digit and rejects numbers that do not add up', () => {
+  const number = (text, language) => wordsToNumber(text.split(' '), grammarFor(language))
+
+  assert.equal(number('four five'), 45)
+  assert.equal(number('one two three'), 123)
+  assert.equal(number('zero seven'), 7)
+  assert.equal(number('twenty three'), 23)
+  assert.equal(number('one hundred and five'), 105)
+  assert.equal(number('two hundred forty two'), 242)
+  assert.equal(number('ciento veintitres', 'es'), 123)
+  assert.equal(number('treinta y dos', 'es'), 32)
+  assert.equal(number('three twenty'), null)
+  assert.equal(number('ten twelve'), null)
+  assert.equal(number('twenty thirty'), null)
+  assert.equal(registry.match('show number four five', context).payload.position, '45')
+})
+
+test('fixed phrases map to their LiveView events', () => {
+  assert.equal(registry.match('Next product, please', context).command.event, 'next_product')
+  assert.equal(registry.match('let me go to the previous product', context).command.event, 'previous_product')
+  assert.equal(registry.match('next picture', context).command.event, 'next_image')
+  assert.equal(registry.match('oops, go back', context).command.event, 'go_back')
+})
+
+test('show the <name> fuzzy-matches product names and ignores trailing chatter', () => {
+  const match = registry.match('now show the pearl necklas it is gorgeous', context)
+  assert.equal(match.command.event, 'jump_to_product')
+  assert.deepEqual(match.payload, { position: '2' })
+
+  // "Gold Hoop Earrings" is a better fit than "Gold Huggie Hoop Earrings"
+  assert.deepEqual(registry.match('show the gold hoop earrings', context).payload, { position: '3' })
+
+  // Natural speech that isn't a product name
+  assert.equal(registry.match('can you show the clasp', context), null)
+})
+
+test('show the <name> matches aliases and words that only sound right', () => {
+  assert.deepEqual(registry.match('show me the bridal drops', context).payload, { position: '5' })
+  assert.deepEqual(registry.match('show the kubik zirkonia tennis braslet', context).payload, { position: '4' })
+})
+
+test('show the <name> offers choices instead of jumping when unsure', () => {
+  const hoops = { products: [{ position: 1, name: 'Silver Hoop Earrings' }, { position: 2, name: 'Gold Hoop Earrings' }] }
+  const ambiguous = registry.match('show the hoop earrings', hoops)
+  assert.equal(ambiguous.payload, undefined)
+  assert.deepEqual(ambiguous.choices.map((choice) => choice.payload.position), ['1', '2'])
+  assert.deepEqual(registry.match('show the silver hoops', hoops).payload, { position: '1' })
+
+  // Two words of a six-word name fall below the confidence threshold
+  const chains = { products: [{ position: 7, name: 'Sterling Silver Cuban Link Chain Necklace' }] }
+  const lowConfidence = registry.match('show the link chain', chains)
+  assert.deepEqual(lowConfidence.choices.map((choice) => choice.payload.position), ['7'])
+})
+
+test('pin message matches a preset by its first words and requires confirmation', () => {
+  const match = registry.match('pin message flash sale', context)
+  assert.equal(match.command.event, 'select_preset')
+  assert.equal(match.command.confirm, true)
+  assert.deepEqual(match.payload, { id: 'p1' })
+
+  assert.equal(matchConfirmation('yes confirm'), 'confirm')
+  assert.equal(matchConfirmation('confirm, no wait, cancel'), 'cancel')
+  assert.equal(matchConfirmation('pin message flash sale'), null)
+})
+
+test('jumps to the same product by number or name share a dedupe key', () => {
+  const byNumber = registry.match('show number 2', context)
+  const byName = registry.match('show the pearl necklace', context)
+  assert.equal(dedupeKey(byNumber), dedupeKey(byName))
+})
+
+test('Spanish grammar supplies its own phrases and number words', () => {
+  const spanish = { ...context, grammar: grammarFor('es') }
+
+  assert.deepEqual(registry.match('Muestra el número treinta y dos', spanish).payload, { position: '32' })
+  assert.deepEqual(registry.match('ahora producto número veintitrés', spanish).payload, { position: '23' })
+  assert.equal(registry.match('Siguiente producto.', spanish).command.event, 'next_product')
+  assert.equal(registry.match('vuelve atrás', spanish).command.event, 'go_back')
+  assert.deepEqual(registry.match('muéstrame el pearl necklace', spanish).payload, { position: '2' })
+  assert.equal(registry.match('show number 5', spanish), null)
+  assert.equal(matchConfirmation('sí, confirmo', spanish.grammar), 'confirm')
+})
+
+test('registered commands replace built-ins with the same id', () => {
+  const custom = createCommandRegistry()
+  custom.register({ id: 'next_product', event: 'next_product', dedupeMs: 0, confirm: false, match: (text) => (text === 'skip' ? { payload: {} } : null) })
+
+  assert.equal(custom.match('skip', context).command.event, 'next_product')
+  assert.equal(custom.match('next product', context), null)
+})
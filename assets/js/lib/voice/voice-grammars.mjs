@@ -0,0 +1,92 @@
+/**
+ * Per-language grammars for voice commands.
+ *
+ * A grammar holds everything language-specific the command registry needs:
+ * the trigger phrases of each built-in command (keyed by command id), number
+ * words, filler words ignored when matching names, the confirm/cancel
+ * replies, and the sample command the host reads out during mic calibration.
+ * Phrases are written the way normalizeTranscript leaves them: lowercase,
+ * without punctuation or accents.
+ *
+ * `numbers.units` are added together ("twenty three" → 20 + 3), words in
+ * `numbers.multipliers` multiply what came before ("one hundred"), and
+ * `numbers.connectors` may appear between number words ("treinta y dos").
+ */
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export const GRAMMARS = {
+  en: {
+    label: 'English',
+    hint: 'Say "show number ...", "next product" or "show the ..."',
+    phrases: {
+      show_number: ['show number'],
+      next_product: ['next product'],
+      previous_product: ['previous product'],
+      next_image: ['next image', 'next picture', 'next photo'],
+      previous_image: ['previous image', 'previous picture', 'previous photo'],
+      go_back: ['go back'],
+      pin_message: ['pin message'],
+      show_product: ['show me the', 'show the', 'go to the']
+    },
+    numbers: {
+      units: {
+        zero: 0, one: 1, two: 2, three: 3, four: 4,
+        five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+        ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+        fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+        eighteen: 18, nineteen: 19,
+        twenty: 20, thirty: 30, forty: 40, fifty: 50,
+        sixty: 60, seventy: 70, eighty: 80, ninety: 90
+      },
+      multipliers: { hundred: 100 },
+      connectors: ['and']
+    },
+    stopWords: ['the', 'a', 'an', 'and', 'with', 'of', 'in', 'for', 'on', 'to', 'is', 'it', 'this', 'that'],
+    confirm: ['confirm', 'confirmed'],
+    cancel: ['cancel'],
+    calibrationPhrase: 'show number 12'
+  },
+
+  es: {
+    label: 'Español',
+    hint: 'Di "muestra el número ...", "siguiente producto" o "muestra el ..."',
+    phrases: {
+      show_number: ['muestra el numero', 'muestra numero', 'mostrar numero', 'producto numero'],
+      next_product: ['siguiente producto', 'producto siguiente'],
+      previous_product: ['producto anterior'],
+      next_image: ['siguiente imagen', 'imagen siguiente', 'siguiente foto', 'foto siguiente'],
+      previous_image: ['imagen anterior', 'foto anterior'],
+      go_back: ['vuelve atras', 'volver atras', 'regresa al anterior'],
+      pin_message: ['fija el mensaje', 'fija mensaje', 'fijar mensaje'],
+      show_product: ['muestrame el', 'muestrame la', 'muestrame los', 'muestrame las', 'muestra el', 'muestra la', 'muestra los', 'muestra las']
+    },
+    numbers: {
+      units: {
+        cero: 0, uno: 1, una: 1, un: 1, dos: 2, tres: 3, cuatro: 4,
+        cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+        diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+        dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+        veinte: 20, veintiuno: 21, veintiun: 21, veintidos: 22, veintitres: 23,
+        veinticuatro: 24, veinticinco: 25, veintiseis: 26, veintisiete: 27,
+        veintiocho: 28, veintinueve: 29,
+        treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60,
+        setenta: 70, ochenta: 80, noventa: 90,
+        cien: 100, ciento: 100
+      },
+      multipliers: {},
+      connectors: ['y']
+    },
+    stopWords: ['el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'y', 'con', 'en', 'para', 'que', 'es', 'esto', 'este', 'esta'],
+    confirm: ['confirmar', 'confirmo', 'confirma', 'confirmado'],
+    cancel: ['cancelar', 'cancela', 'cancelado'],
+    calibrationPhrase: 'muestra el número 12'
+  }
+}
+
+/**
+ * The grammar for a language code, falling back to English.
+ */
+export function grammarFor(language) {
+  return GRAMMARS[language] || GRAMMARS[DEFAULT_LANGUAGE]
+}
@@ -0,0 +1,102 @@
+/**
+ * Bookkeeping for the VoiceControl hook's requests to the Whisper worker
+ * (workers/whisper_worker.js).
+ *
+ * Requests carry an id that the worker echoes on its reply. Only the latest
+ * model load and the one transcription in flight are waited on; a reply to
+ * anything else (a load superseded by a model or language change, a
+ * transcription from before a stop or worker restart) is stale. Finished
+ * transcriptions are timed for the latency readout.
+ */
+
+const LATENCY_KEYS = ['prepMs', 'sendMs', 'inferenceMs', 'replyMs', 'totalMs']
+
+export function createWorkerRequests({ maxLatencySamples = 20 } = {}) {
+  let nextId = 1
+  let loadId = null
+  let inflight = null // { id, sentAt, prepMs }
+  const samples = []
+
+  return {
+    /**
+     * The id for a new load_model request, superseding any earlier load.
+     */
+    startLoad() {
+      loadId = nextId++
+      return loadId
+    },
+
+    /**
+     * The id for a new transcription request. `sentAt` is on the clock the
+     * worker's timings use; `prepMs` is how long preparing the audio took.
+     */
+    startTranscription({ sentAt, prepMs }) {
+      inflight = { id: nextId++, sentAt, prepMs }
+      return inflight.id
+    },
+
+    /**
+     * Stop waiting for the transcription in flight; its reply will be stale.
+     */
+    abandon() {
+      inflight = null
+    },
+
+    /**
+     * Whether a worker message answers a request still waited on. Messages
+     * that answer no request (load progress, pong) always do.
+     */
+    isCurrent({ type, id }) {
+      const transcribing = inflight !== null && id === inflight.id
+
+      switch (type) {
+        case 'model_ready':
+          return id === loadId
+        case 'transcript':
+          return transcribing
+        case 'error':
+          return !id || id === loadId || transcribing
+        default:
+          return true
+      }
+    },
+
+    /**
+     * Close the transcription in flight. Given the worker's `timings` and the
+     * time now, returns how long it took, split into preparing the audio,
+     * handing it to the worker, inference and the reply, and keeps it for
+     * latency().
+     */
+    finish(timings, now) {
+      const request = inflight
+      inflight = null
+      if (!request || !timings) return undefined
+
+      const sample = {
+        prepMs: request.prepMs,
+        sendMs: timings.receivedAt - request.sentAt,
+        inferenceMs: timings.inferenceMs,
+        replyMs: now - timings.repliedAt,
+        totalMs: request.prepMs + (now - request.sentAt)
+      }
+      samples.push(sample)
+      if (samples.length > maxLatencySamples) samples.shift()
+      return sample
+    },
+
+    /**
+     * `{ count, last, average }` over the recent transcriptions, with `last`
+     * and `average` timed as finish() returns; null before the first.
+     */
+    latency() {
+      if (samples.length === 0) return null
+
+      const average = (key) => samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length
+      return {
+        count: samples.length,
+        last: samples[samples.length - 1],
+        average: Object.fromEntries(LATENCY_KEYS.map((key) => [key, average(key)]))
+      }
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createWorkerRequests } from './worker-requests.mjs'
+
+test('only the latest model load is answered', () => {
+  const requests = createWorkerRequests()
+  const first = requests.startLoad()
+  const second = requests.startLoad()
+
+  assert.equal(requests.isCurrent({ type: 'model_ready', id: first }), false)
+  assert.equal(requests.isCurrent({ type: 'model_ready', id: second }), true)
+  assert.equal(requests.isCurrent({ type: 'error', id: first }), false)
+  assert.equal(requests.isCurrent({ type: 'error', id: second }), true)
+  assert.equal(requests.isCurrent({ type: 'model_loading' }), true)
+})
+
+test('drops transcripts from before a stop, a restart or a newer request', () => {
+  const requests = createWorkerRequests()
+  const load = requests.startLoad()
+  const first = requests.startTranscription({ sentAt: 0, prepMs: 1 })
+
+  assert.notEqual(first, load)
+  assert.equal(requests.isCurrent({ type: 'transcript', id: first }), true)
+
+  requests.abandon()
+  assert.equal(requests.isCurrent({ type: 'transcript', id: first }), false)
+  assert.equal(requests.isCurrent({ type: 'error', id: first }), false)
+
+  const second = requests.startTranscription({ sentAt: 0, prepMs: 1 })
+  assert.equal(requests.isCurrent({ type: 'transcript', id: first }), false)
+  assert.equal(requests.isCurrent({ type: 'error', id: second }), true)
+  // Errors outside any request (worker crash) always count
+  assert.equal(requests.isCurrent({ type: 'error' }), true)
+
+  requests.finish(null, 0)
+  assert.equal(requests.isCurrent({ type: 'transcript', id: second }), false)
+})
+
+test('times each transcription and averages the recent ones', () => {
+  const requests = createWorkerRequests({ maxLatencySamples: 2 })
+  assert.equal(requests.latency(), null)
+
+  const transcribe = (sentAt, prepMs, timings, now) => {
+    requests.startTranscription({ sentAt, prepMs })
+    return requests.finish(timings, now)
+  }
+
+  assert.deepEqual(transcribe(1000, 5, { receivedAt: 1010, inferenceMs: 300, repliedAt: 1320 }, 1330), {
+    prepMs: 5, sendMs: 10, inferenceMs: 300, replyMs: 10, totalMs: 335
+  })
+  transcribe(2000, 5, { receivedAt: 2010, inferenceMs: 200, repliedAt: 2220 }, 2230)
+  transcribe(3000, 5, { receivedAt: 3010, inferenceMs: 100, repliedAt: 3120 }, 3130)
+
+  const { count, last, average } = requests.latency()
+  assert.equal(count, 2)
+  assert.equal(last.inferenceMs, 100)
+  assert.equal(average.inferenceMs, 150)
+  assert.equal(average.totalMs, 185)
+
+  // A reply without timings closes the request but isn't timed
+  requests.startTranscription({ sentAt: 0, prepMs: 0 })
+  assert.equal(requests.finish(undefined, 10), undefined)
+  assert.equal(requests.latency().count, 2)
+})
@@ -3,32 +3,60 @@
 // Uses Transformers.js with WebGPU acceleration and CPU/WASM fallback
 
 import { pipeline, env } from "@huggingface/transformers";
+import {
+  MODEL_CACHE_NAME,
+  MODELS_PATH,
+  downloadModel,
+  dtypeFor,
+  loadManifest,
+  modelFiles,
+  transformersCache
+} from "../lib/voice/model-cache.mjs";
 
 // Configure Transformers.js environment for local hosting
-// All models will be served from the app's static assets
-env.allowLocalModels = false; // We'll use HuggingFace hub but cache locally
-env.useBrowserCache = true; // Enable IndexedDB caching
-env.allowRemoteModels = true; // Allow initial download from HF hub
+// Models packaged by `mix assets.fetch_models` are served from the app's static
+// assets (see useModelSource); anything else falls back to the HuggingFace hub
+env.allowLocalModels = false;
+env.useBrowserCache = true; // Enable Cache Storage caching of hub downloads
+env.allowRemoteModels = true;
 
 let transcriber = null;
 let modelLoaded = false;
 let currentDevice = null;
+let currentModel = null;
+let currentSource = null; // 'packaged' (static assets) or 'hub'
+// Generation options for multilingual models ({ language, task }); empty for .en models
+let generateOptions = {};
 // Track ONNX file progress for cumulative download calculation
 let fileProgress = {};
 let lastReportedPercent = 0;
+// Loads in flight by model: a repeated request shares the running load instead
+// of starting a second pipeline. Loads run one at a time, in request order
+const loads = new Map();
+let loadQueue = Promise.resolve();
+// The model asked for last; a queued load for any other is skipped
+let requestedModel = null;
+
+// Milliseconds on a clock shared with the main thread (performance.now() alone is per-context)
+function clockNow() {
+  return performance.timeOrigin + performance.now();
+}
 
 // Listen for messages from main thread
+// Transcription and model load requests carry an `id` that is echoed back on
+// the reply, so the hook can tell a late reply from the one it is waiting for
 self.onmessage = async (e) => {
-  const { type, data } = e.data;
+  const receivedAt = clockNow();
+  const { type, id, data } = e.data;
 
   try {
     switch (type) {
       case 'load_model':
-        await loadModel(data.model, data.device);
+        await requestModel(id, data.model, data.device, { language: data.language, task: data.task });
         break;
 
       case 'transcribe':
-        await transcribe(data.audio);
+        await transcribe(id, data.audio, receivedAt);
         break;
 
       case 'ping':
@@ -49,17 +77,70 @@ self.onmessage = async (e) => {
     console.error('[Whisper Worker] Error:', error);
     self.postMessage({
       type: 'error',
+      id,
       data: { message: error.message, stack: error.stack }
     });
   }
 };
 
 /**
- * Load the Whisper model with device selection and progress reporting
+ * Answer a load_model request once its model is ready, sharing a load of the
+ * same model that is already in flight
+ * @param {number} id - Request id, echoed back on the reply
  * @param {string} modelName - HuggingFace model identifier (e.g., 'Xenova/whisper-tiny.en')
  * @param {string} device - 'webgpu' or 'wasm' (CPU fallback)
+ * @param {Object} options - Passed to every transcription by multilingual models
+ * @param {string} [options.language] - Spoken language code (e.g., 'es')
+ * @param {string} [options.task] - 'transcribe' (or 'translate' to English)
+ */
+async function requestModel(id, modelName, device, { language, task } = {}) {
+  requestedModel = modelName;
+
+  let load = loads.get(modelName);
+  if (!load) {
+    load = loadQueue.then(() => (requestedModel === modelName ? loadModel(modelName, device) : null));
+    loadQueue = load.catch(() => {});
+    loads.set(modelName, load);
+    const forget = () => loads.delete(modelName);
+    load.then(forget, forget);
+  }
+
+  // Skipped for a newer request, which gets its own reply
+  if (!(await load) || currentModel !== modelName) return;
+
+  // English-only models reject language/task options
+  generateOptions = modelName.endsWith('.en') ? {} : { language, task };
+
+  self.postMessage({
+    type: 'model_ready',
+    id,
+    data: {
+      device: currentDevice,
+      model: modelName,
+      source: currentSource
+    }
+  });
+}
+
+/**
+ * Load the Whisper model with device selection and progress reporting.
+ * Only called from requestModel, one load at a time.
+ * @param {string} modelName - HuggingFace model identifier
+ * @param {string} device - 'webgpu' or 'wasm' (CPU fallback)
+ * @returns {Promise<boolean>} - Resolves true once loaded; rejects when loading failed
  */
 async function loadModel(modelName, device) {
+  // Same model already loaded: only the language changed
+  if (modelLoaded && modelName === currentModel) return true;
+
+  // Free the previous model before loading another
+  if (transcriber) {
+    modelLoaded = false;
+    currentModel = null;
+    await transcriber.dispose();
+    transcriber = null;
+  }
+
   try {
     // Reset progress tracking for fresh load
     fileProgress = {};
@@ -78,6 +159,7 @@ async function loadModel(modelName, device) {
     // Detect and validate device support
     const detectedDevice = await detectDevice(device);
     currentDevice = detectedDevice;
+    currentSource = await useModelSource(modelName, dtypeFor(detectedDevice));
 
     // Create the pipeline with progress callback
     transcriber = await pipeline(
@@ -86,7 +168,7 @@ async function loadModel(modelName, device) {
       {
         device: detectedDevice,
         // Use fp16 for WebGPU (faster), fp32 for CPU/WASM (more compatible)
-        dtype: detectedDevice === 'webgpu' ? 'fp16' : 'fp32',
+        dtype: dtypeFor(detectedDevice),
 
         // Progress callback - only tracks .onnx files (99%+ of download)
         // JSON config files complete instantly and cause false 100% reports
@@ -158,13 +240,8 @@ async function loadModel(modelName, device) {
     );
 
     modelLoaded = true;
-    self.postMessage({
-      type: 'model_ready',
-      data: {
-        device: detectedDevice,
-        model: modelName
-      }
-    });
+    currentModel = modelName;
+    return true;
 
   } catch (error) {
     // If WebGPU fails, try falling back to WASM
@@ -182,14 +259,58 @@ async function loadModel(modelName, device) {
       return loadModel(modelName, 'wasm');
     }
 
-    self.postMessage({
-      type: 'error',
-      data: {
-        message: `Failed to load model: ${error.message}`,
-        details: error.stack
-      }
-    });
+    // Reported to every request waiting on this load (see onmessage)
+    throw new Error(`Failed to load model: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Point Transformers.js at the app's packaged copy of a model when the manifest
+ * lists it: missing files are downloaded from the static assets and checked
+ * against their manifest hashes, and the pipeline then reads only verified
+ * files from the cache, never the hub. Models that aren't packaged (e.g. in
+ * development before `mix assets.fetch_models`) still come from the hub.
+ * @param {string} modelName - HuggingFace model identifier
+ * @param {string} dtype - 'fp16' or 'fp32'
+ * @returns {Promise<string>} - 'packaged' or 'hub'
+ */
+async function useModelSource(modelName, dtype) {
+  // Cache Storage is only available in secure contexts
+  const cache = typeof caches !== 'undefined' ? await caches.open(MODEL_CACHE_NAME) : null;
+  const manifest = cache && await loadManifest(cache);
+
+  if (!modelFiles(manifest, modelName, dtype)) {
+    env.allowLocalModels = false;
+    env.allowRemoteModels = true;
+    env.useBrowserCache = true;
+    env.useCustomCache = false;
+    return 'hub';
   }
+
+  await downloadModel({
+    manifest,
+    modelId: modelName,
+    dtype,
+    cache,
+    onProgress: ({ loaded, total }) => {
+      const percent = Math.round((loaded / total) * 100);
+      if (percent > lastReportedPercent) {
+        lastReportedPercent = percent;
+        self.postMessage({
+          type: 'model_loading',
+          data: { progress: percent, status: 'Downloading model...', loaded, total }
+        });
+      }
+    }
+  });
+
+  env.allowLocalModels = true;
+  env.allowRemoteModels = false;
+  env.localModelPath = MODELS_PATH;
+  env.useBrowserCache = false;
+  env.useCustomCache = true;
+  env.customCache = transformersCache(cache, manifest, modelName, dtype);
+  return 'packaged';
 }
 
 /**
@@ -220,45 +341,60 @@ async function detectDevice(requestedDevice) {
 
 /**
  * Transcribe audio using the loaded Whisper model
- * @param {Array<number>} audioArray - Audio samples as Float32 array values
+ * @param {number} id - Request id, echoed back on the reply
+ * @param {ArrayBuffer|Array<number>} audio - Float32 samples: a transferred
+ *   ArrayBuffer (viewed in place, no copy) or a plain array (copied)
+ * @param {number} receivedAt - When the request arrived, for latency reporting
  */
-async function transcribe(audioArray) {
+async function transcribe(id, audio, receivedAt) {
   if (!modelLoaded || !transcriber) {
     self.postMessage({
       type: 'error',
+      id,
       data: { message: 'Model not loaded. Please load the model first.' }
     });
     return;
   }
 
   try {
-    const audioData = new Float32Array(audioArray);
+    const audioData = new Float32Array(audio);
     if (audioData.length === 0) {
       self.postMessage({
         type: 'error',
+        id,
         data: { message: 'Empty audio data received' }
       });
       return;
     }
 
+    const inferenceStartedAt = clockNow();
     const result = await transcriber(audioData, {
       return_timestamps: false,
       chunk_length_s: 30,
-      stride_length_s: 5
+      stride_length_s: 5,
+      ...generateOptions
     });
+    const repliedAt = clockNow();
 
     const text = typeof result === 'string' ? result : result.text || '';
     self.postMessage({
       type: 'transcript',
+      id,
       data: {
         text: text.trim(),
-        chunks: result.chunks || null
+        chunks: result.chunks || null,
+        timings: {
+          receivedAt,
+          inferenceMs: repliedAt - inferenceStartedAt,
+          repliedAt
+        }
       }
     });
   } catch (error) {
     console.error('[Whisper Worker] Transcription failed:', error);
     self.postMessage({
       type: 'error',
+      id,
       data: {
         message: `Transcription failed: ${error.message}`,
         details: error.stack
@@ -56,7 +56,8 @@ bridge_watcher =
       node: [
         "server.js",
         cd: Path.expand("../services/tiktok-bridge", __DIR__),
-        env: %{"PORT" => Integer.to_string(bridge_port)}
+        # Local bridge runs without auth unless BRIDGE_AUTH_KEYS is set
+        env: %{"PORT" => Integer.to_string(bridge_port), "BRIDGE_AUTH_DISABLED" => "true"}
       ]
     ]
   else
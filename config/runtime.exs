@@ -39,7 +39,9 @@ if config_env() == :dev do
     tiktok_bridge_enabled: System.get_env("TIKTOK_BRIDGE_ENABLED", "false") == "true",
     tiktok_bridge_url:
       System.get_env("TIKTOK_BRIDGE_URL") ||
-        "http://localhost:#{System.get_env("TIKTOK_BRIDGE_PORT", "8080")}"
+        "http://localhost:#{System.get_env("TIKTOK_BRIDGE_PORT", "8080")}",
+    # Shared key for signing bridge requests (must be one of the bridge's BRIDGE_AUTH_KEYS)
+    tiktok_bridge_auth_key: System.get_env("TIKTOK_BRIDGE_AUTH_KEY")
 
   # OpenAI client configuration
   config :social_objects, SocialObjects.AI.OpenAIClient,
@@ -112,7 +114,9 @@ if config_env() == :prod do
     tiktok_bridge_enabled: System.get_env("TIKTOK_BRIDGE_ENABLED", "true") == "true",
     tiktok_bridge_url:
       System.get_env("TIKTOK_BRIDGE_URL") ||
-        "http://localhost:#{System.get_env("TIKTOK_BRIDGE_PORT", "8080")}"
+        "http://localhost:#{System.get_env("TIKTOK_BRIDGE_PORT", "8080")}",
+    # Shared key for signing bridge requests (must be one of the bridge's BRIDGE_AUTH_KEYS)
+    tiktok_bridge_auth_key: System.get_env("TIKTOK_BRIDGE_AUTH_KEY")
 
   # OpenAI client configuration
   config :social_objects, SocialObjects.AI.OpenAIClient,
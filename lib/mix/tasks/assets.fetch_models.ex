@@ -0,0 +1,225 @@
+defmodule Mix.Tasks.Assets.FetchModels do
+  @moduledoc """
+  Downloads the Whisper models used by voice control into priv/static.
+
+  Voice control otherwise fetches Whisper from the Hugging Face hub on first
+  use, which fails on venue networks that are slow or block the hub. Packaged
+  models are served by the app itself and cached by the browser for offline
+  use (see assets/js/lib/voice/model-cache.mjs).
+
+  Each model is pinned to a hub revision, with every file's size and SHA-256
+  hash, in `priv/voice_models.lock.json`, which is checked in: a model fetched
+  for the first time (or with `--update`) is pinned there, and the lock should
+  be committed with the change that moves it. Downloads must match the lock.
+  The task copies the pins of the models it packaged to
+  `priv/static/assets/models/manifest.json`, which the browser checks each
+  download against before caching. Files already on disk with the pinned
+  hash are kept, so running the task again only downloads what is missing.
+
+  It is not part of `assets.deploy`, so a build never depends on the hub.
+  Deploys that package models run it as a separate step after `phx.digest`
+  (so the files aren't duplicated under digested names), with `--locked` to
+  use only committed pins and `--if-available` to leave a model to the hub
+  in the browser when it can't be downloaded, rather than fail the build.
+
+      $ mix assets.fetch_models                          # every model in the voice panel
+      $ mix assets.fetch_models Xenova/whisper-tiny.en   # just these
+      $ mix assets.fetch_models --update                 # move pinned models to the latest revision
+      $ mix assets.fetch_models --locked --if-available  # deploys
+  """
+
+  use Mix.Task
+
+  @shortdoc "Download Whisper models and their manifest to priv/static"
+
+  @hub "https://huggingface.co"
+  @manifest_schema 1
+
+  # Models offered in the voice panel (WHISPER_MODELS in voice_control.js)
+  @models ~w(Xenova/whisper-tiny.en Xenova/whisper-base.en Xenova/whisper-tiny Xenova/whisper-base)
+
+  # Files Transformers.js loads for speech recognition: {path, dtype}.
+  # ONNX weights come at fp16 (WebGPU) and fp32 (CPU/WASM); the rest at either.
+  @files [
+    {"config.json", nil},
+    {"generation_config.json", nil},
+    {"preprocessor_config.json", nil},
+    {"tokenizer.json", nil},
+    {"tokenizer_config.json", nil},
+    {"onnx/encoder_model.onnx", "fp32"},
+    {"onnx/decoder_model_merged.onnx", "fp32"},
+    {"onnx/encoder_model_fp16.onnx", "fp16"},
+    {"onnx/decoder_model_merged_fp16.onnx", "fp16"}
+  ]
+
+  def run(args) do
+    {opts, model_ids} =
+      OptionParser.parse!(args,
+        strict: [update: :boolean, locked: :boolean, if_available: :boolean]
+      )
+
+    model_ids = if model_ids == [], do: @models, else: model_ids
+
+    if opts[:update] && opts[:locked] do
+      Mix.raise("--update moves the pins in the lock, so it can't be used with --locked")
+    end
+
+    {:ok, _} = Application.ensure_all_started(:req)
+
+    project_root = Path.expand("../../..", __DIR__)
+    lock_path = Path.join([project_root, "priv", "voice_models.lock.json"])
+    models_dir = Path.join([project_root, "priv", "static", "assets", "models"])
+    manifest_path = Path.join(models_dir, "manifest.json")
+    pins = read_models(lock_path)
+
+    Mix.shell().info("Fetching voice models to static assets...")
+
+    {pins, packaged} =
+      Enum.reduce(model_ids, {pins, %{}}, fn model_id, {pins, packaged} ->
+        case fetch_model(models_dir, model_id, pins[model_id], opts) do
+          {:ok, model} -> {Map.put(pins, model_id, model), Map.put(packaged, model_id, model)}
+          :skipped -> {pins, packaged}
+        end
+      end)
+
+    unless opts[:locked] do
+      lock = %{"schema" => @manifest_schema, "models" => pins}
+      File.write!(lock_path, Jason.encode!(lock, pretty: true) <> "\n")
+    end
+
+    # Models packaged by earlier runs stay listed while their files are on disk
+    packaged =
+      manifest_path
+      |> read_models()
+      |> Map.drop(model_ids)
+      |> Enum.filter(fn {model_id, model} -> pins[model_id] == model end)
+      |> Map.new()
+      |> Map.merge(packaged)
+
+    manifest = %{
+      "schema" => @manifest_schema,
+      "version" => manifest_version(packaged),
+      "models" => packaged
+    }
+
+    File.mkdir_p!(models_dir)
+    File.write!(manifest_path, Jason.encode!(manifest, pretty: true))
+
+    Mix.shell().info("Voice models ready (manifest #{manifest["version"]})")
+  end
+
+  # A model at its pinned revision (pinning it first unless --locked), or
+  # :skipped when --if-available and it couldn't be fetched
+  defp fetch_model(models_dir, model_id, pinned, opts) do
+    revision =
+      cond do
+        pinned && !opts[:update] -> pinned["revision"]
+        opts[:locked] -> Mix.raise("#{model_id} isn't pinned in priv/voice_models.lock.json")
+        true -> resolve_revision(model_id)
+      end
+
+    kept = if pinned && revision == pinned["revision"], do: pinned["files"], else: []
+    files = Enum.map(@files, &fetch_file(models_dir, model_id, revision, &1, kept))
+
+    {:ok, %{"revision" => revision, "files" => files}}
+  rescue
+    error in Mix.Error ->
+      if opts[:if_available] do
+        Mix.shell().error("  ✗ Skipped #{model_id}; the browser will load it from the hub")
+        Mix.shell().error("    #{Exception.message(error)}")
+        :skipped
+      else
+        reraise error, __STACKTRACE__
+      end
+  end
+
+  defp read_models(path) do
+    with {:ok, json} <- File.read(path),
+         {:ok, %{"schema" => @manifest_schema, "models" => models}} <- Jason.decode(json) do
+      models
+    else
+      _ -> %{}
+    end
+  end
+
+  defp resolve_revision(model_id) do
+    case Req.get("#{@hub}/api/models/#{model_id}/revision/main") do
+      {:ok, %{status: 200, body: %{"sha" => sha}}} ->
+        sha
+
+      {:ok, %{status: status}} ->
+        Mix.raise("Could not resolve #{model_id} on the hub (HTTP #{status})")
+
+      {:error, reason} ->
+        Mix.raise("Could not reach the hub for #{model_id}: #{inspect(reason)}")
+    end
+  end
+
+  defp fetch_file(models_dir, model_id, revision, {name, dtype}, kept) do
+    dest_path = Path.join([models_dir, model_id, name])
+    expected = Enum.find(kept, &(&1["name"] == name))
+
+    sha256 =
+      if expected && File.exists?(dest_path) && sha256(dest_path) == expected["sha256"] do
+        expected["sha256"]
+      else
+        download!("#{@hub}/#{model_id}/resolve/#{revision}/#{name}", dest_path)
+        size_mb = Float.round(File.stat!(dest_path).size / 1_024 / 1_024, 1)
+        Mix.shell().info("  ✓ Downloaded #{model_id}/#{name} (#{size_mb} MB)")
+        verify!(dest_path, expected)
+      end
+
+    %{"name" => name, "size" => File.stat!(dest_path).size, "sha256" => sha256}
+    |> then(fn file -> if dtype, do: Map.put(file, "dtype", dtype), else: file end)
+  end
+
+  defp download!(url, dest_path) do
+    dest_path |> Path.dirname() |> File.mkdir_p!()
+    # Download beside the destination so an interrupted run never leaves a partial file
+    tmp_path = dest_path <> ".download"
+
+    case Req.get(url, into: File.stream!(tmp_path), receive_timeout: 120_000) do
+      {:ok, %{status: 200}} ->
+        File.rename!(tmp_path, dest_path)
+
+      {:ok, %{status: status}} ->
+        File.rm(tmp_path)
+        Mix.raise("Download failed for #{url} (HTTP #{status})")
+
+      {:error, reason} ->
+        File.rm(tmp_path)
+        Mix.raise("Download failed for #{url}: #{inspect(reason)}")
+    end
+  end
+
+  # A pinned file must download exactly as pinned; a file being pinned is taken as is
+  defp verify!(path, nil), do: sha256(path)
+
+  defp verify!(path, %{"sha256" => expected}) do
+    case sha256(path) do
+      ^expected ->
+        expected
+
+      actual ->
+        File.rm(path)
+        Mix.raise("#{path} doesn't match its pin (SHA-256 #{actual}, pinned #{expected})")
+    end
+  end
+
+  defp sha256(path) do
+    path
+    |> File.stream!(2_048_000)
+    |> Enum.reduce(:crypto.hash_init(:sha256), &:crypto.hash_update(&2, &1))
+    |> :crypto.hash_final()
+    |> Base.encode16(case: :lower)
+  end
+
+  # Changes whenever any model moves to another revision or file
+  defp manifest_version(models) do
+    models
+    |> Jason.encode!()
+    |> then(&:crypto.hash(:sha256, &1))
+    |> Base.encode16(case: :lower)
+    |> binary_part(0, 12)
+  end
+end
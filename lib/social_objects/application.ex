@@ -18,6 +18,8 @@ defmodule SocialObjects.Application do
       SocialObjects.Repo,
       {DNSCluster, query: Application.get_env(:social_objects, :dns_cluster_query) || :ignore},
       {Phoenix.PubSub, name: SocialObjects.PubSub},
+      # Who is connected to each product set's controller view
+      SocialObjectsWeb.Presence,
       # Start the Finch HTTP client for sending emails
       {Finch, name: SocialObjects.Finch},
       # Registry for TikTok Live stream connections and event handlers
@@ -33,7 +33,7 @@ defmodule SocialObjects.TiktokLive do
 
   alias SocialObjects.ProductSets.{ProductSet, ProductSetProduct}
   alias SocialObjects.Repo
-  alias SocialObjects.TiktokLive.{Client, Comment, ProductSetStream, Stream, StreamStat}
+  alias SocialObjects.TiktokLive.{Caption, Client, Comment, ProductSetStream, Stream, StreamStat}
   alias SocialObjects.Workers.{TiktokLiveMonitorWorker, TiktokLiveStreamWorker}
 
   ## Streams
@@ -253,6 +253,65 @@ defmodule SocialObjects.TiktokLive do
     |> Repo.all()
   end
 
+  ## Captions
+
+  @spec record_caption(pos_integer(), map()) ::
+          {:ok, Caption.t()} | {:error, :no_active_stream | Ecto.Changeset.t()}
+  @doc """
+  Stores a line of live captions against the brand's currently capturing stream.
+
+  Returns `{:error, :no_active_stream}` when no stream is being captured; the
+  captions are still shown live, just not kept.
+  """
+  def record_caption(brand_id, attrs) do
+    case get_active_stream(brand_id) do
+      nil ->
+        {:error, :no_active_stream}
+
+      stream ->
+        %Caption{brand_id: brand_id, stream_id: stream.id}
+        |> Caption.changeset(attrs)
+        |> Repo.insert()
+    end
+  end
+
+  @spec list_stream_captions(pos_integer(), pos_integer(), keyword()) :: [Caption.t()]
+  @doc """
+  Returns a stream's captions in the order they were spoken, with the product
+  that was on screen preloaded.
+
+  ## Options
+
+  - `:product_set_product_id` - Only captions spoken while this product was shown
+  - `:query` - Only captions containing this text (case-insensitive)
+  - `:limit` - Maximum captions (default: 500)
+  """
+  def list_stream_captions(brand_id, stream_id, opts \\ []) do
+    limit = Keyword.get(opts, :limit, 500)
+
+    from(c in Caption,
+      where: c.brand_id == ^brand_id and c.stream_id == ^stream_id,
+      order_by: [asc: c.spoken_at, asc: c.id],
+      limit: ^limit,
+      preload: [product_set_product: :product]
+    )
+    |> filter_captions(opts)
+    |> Repo.all()
+  end
+
+  defp filter_captions(query, opts) do
+    Enum.reduce(opts, query, fn
+      {:product_set_product_id, id}, query ->
+        where(query, [c], c.product_set_product_id == ^id)
+
+      {:query, text}, query when is_binary(text) and text != "" ->
+        where(query, [c], ilike(c.text, ^"%#{text}%"))
+
+      _other, query ->
+        query
+    end)
+  end
+
   ## Comment Classification Aggregations
 
   @spec get_sentiment_breakdown(pos_integer(), pos_integer()) :: map() | nil
@@ -764,7 +823,7 @@ defmodule SocialObjects.TiktokLive do
 
   @spec delete_stream(pos_integer(), pos_integer()) :: {:ok, Stream.t()} | {:error, term()}
   @doc """
-  Deletes a stream and all associated data (comments, stats).
+  Deletes a stream and all associated data (comments, captions, stats).
 
   Returns `{:ok, stream}` on success or `{:error, reason}` on failure.
   """
@@ -773,6 +832,7 @@ defmodule SocialObjects.TiktokLive do
 
     Ecto.Multi.new()
     |> Ecto.Multi.delete_all(:comments, from(c in Comment, where: c.stream_id == ^stream_id))
+    |> Ecto.Multi.delete_all(:captions, from(c in Caption, where: c.stream_id == ^stream_id))
     |> Ecto.Multi.delete_all(:stats, from(s in StreamStat, where: s.stream_id == ^stream_id))
     |> Ecto.Multi.delete(:stream, stream)
     |> Repo.transaction()
@@ -788,7 +848,7 @@ defmodule SocialObjects.TiktokLive do
   Merges duplicate streams for the same room into a single stream.
 
   This handles race conditions where two streams were created for the same
-  live broadcast. All comments and stats from the source stream are moved
+  live broadcast. All comments, captions and stats from the source stream are moved
   to the target stream, then the source is deleted.
 
   ## Parameters
@@ -858,6 +918,11 @@ defmodule SocialObjects.TiktokLive do
       from(c in Comment, where: c.stream_id == ^source.id),
       set: [stream_id: target.id]
     )
+    |> Ecto.Multi.update_all(
+      :move_captions,
+      from(c in Caption, where: c.stream_id == ^source.id),
+      set: [stream_id: target.id]
+    )
     |> Ecto.Multi.update_all(
       :move_stats,
       from(s in StreamStat, where: s.stream_id == ^source.id),
@@ -25,6 +25,21 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
       BridgeClient.connect_stream("brand_handle")
 
       # Events are broadcast via PubSub to "tiktok_live:bridge:events"
+
+  ## Replay
+
+  Every bridge event carries a sequence number (`seq`). The client remembers the
+  last one it saw and reconnects to `/events?since=<seq>&epoch=<epoch>`, so the
+  bridge replays anything journaled during the gap before resuming live traffic.
+
+  The epoch changes when the bridge comes back with an empty journal and its
+  sequence numbers start over. The bridge then replays its whole journal, and
+  the client starts counting again from the bridge's new sequence.
+
+  ## Authentication
+
+  When `:tiktok_bridge_auth_key` is configured, every HTTP call and the WebSocket
+  upgrade carry a short-lived HMAC-signed bearer token derived from that key.
   """
 
   use WebSockex
@@ -36,6 +51,8 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
   @heartbeat_interval_ms 15_000
   # If no events received for this long, consider connection stale
   @stale_connection_threshold_ms 120_000
+  # Lifetime of signed bearer tokens sent to the bridge
+  @auth_token_ttl_seconds 300
 
   defmodule State do
     @moduledoc false
@@ -44,7 +61,9 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
       :reconnect_attempts,
       :connected_at,
       :heartbeat_ref,
-      :last_event_at
+      :last_event_at,
+      :last_seq,
+      :epoch
     ]
   end
 
@@ -87,7 +106,12 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
         # Start with async connection to avoid blocking supervisor
         # handle_initial_conn_failure allows the process to start even if connection fails
-        ws_opts = [name: name, handle_initial_conn_failure: true, async: true]
+        ws_opts = [
+          name: name,
+          handle_initial_conn_failure: true,
+          async: true,
+          extra_headers: auth_headers()
+        ]
 
         case WebSockex.start_link(bridge_url, __MODULE__, state, ws_opts) do
           {:ok, pid} ->
@@ -136,6 +160,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
     case Req.post("#{http_url}/connect",
            json: %{uniqueId: unique_id},
+           headers: auth_headers(),
            receive_timeout: 30_000
          ) do
       {:ok, %{status: 200, body: body}} ->
@@ -157,6 +182,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
     case Req.post("#{http_url}/disconnect",
            json: %{uniqueId: unique_id},
+           headers: auth_headers(),
            receive_timeout: 10_000
          ) do
       {:ok, %{status: 200, body: body}} ->
@@ -176,7 +202,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
   def status do
     http_url = bridge_http_url()
 
-    case Req.get("#{http_url}/status", receive_timeout: 5_000) do
+    case Req.get("#{http_url}/status", headers: auth_headers(), receive_timeout: 5_000) do
       {:ok, %{status: 200, body: body}} ->
         {:ok, body}
 
@@ -191,7 +217,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
   def health do
     http_url = bridge_http_url()
 
-    case Req.get("#{http_url}/health", receive_timeout: 5_000) do
+    case Req.get("#{http_url}/health", headers: auth_headers(), receive_timeout: 5_000) do
       {:ok, %{status: 200, body: body}} ->
         {:ok, body}
 
@@ -228,7 +254,8 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     case Jason.decode(data) do
       {:ok, event} ->
         _ = handle_bridge_event(event)
-        {:ok, %{state | last_event_at: DateTime.utc_now()}}
+
+        {:ok, %{track_replay_position(state, event) | last_event_at: DateTime.utc_now()}}
 
       {:error, reason} ->
         Logger.warning("Failed to parse bridge message: #{inspect(reason)}")
@@ -285,7 +312,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
       Process.sleep(@reconnect_delay_ms)
 
-      {:reconnect,
+      {:reconnect, reconnect_conn(disconnect_map.conn, state),
        %{state | reconnect_attempts: state.reconnect_attempts + 1, heartbeat_ref: nil}}
     else
       # Crash to trigger supervisor restart with fresh state
@@ -311,6 +338,10 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     Logger.debug("Bridge heartbeat: #{count} active connections")
   end
 
+  defp handle_bridge_event(%{"type" => "replayComplete", "since" => since, "count" => count}) do
+    Logger.info("Bridge replayed #{count} missed events since seq #{since}")
+  end
+
   defp handle_bridge_event(%{"type" => "connected", "uniqueId" => unique_id} = event) do
     Logger.info("Stream connected: @#{unique_id}")
     room_id = event["roomId"]
@@ -336,9 +367,50 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     })
   end
 
-  defp handle_bridge_event(%{"type" => "disconnected", "uniqueId" => unique_id}) do
+  # Sent just before disconnected/streamEnd when the bridge has CONTACT_SHEET_FRAMES set
+  defp handle_bridge_event(%{
+         "type" => "contactSheet",
+         "uniqueId" => unique_id,
+         "contactSheetBase64" => contact_sheet_base64
+       }) do
+    Logger.info("Contact sheet received for @#{unique_id}")
+
+    broadcast_event(unique_id, %{
+      type: :contact_sheet,
+      contact_sheet_base64: contact_sheet_base64,
+      content_type: "image/jpeg"
+    })
+  end
+
+  # The bridge's ffmpeg queue was full; only thumbnails and contact sheets are affected
+  defp handle_bridge_event(%{"type" => "jobRejected", "uniqueId" => unique_id} = event) do
+    Logger.warning("Bridge rejected #{event["job"]} job for @#{unique_id}: #{event["reason"]}")
+  end
+
+  defp handle_bridge_event(%{"type" => "disconnected", "uniqueId" => unique_id} = event) do
     Logger.info("Stream disconnected: @#{unique_id}")
-    broadcast_event(unique_id, %{type: :disconnected})
+    broadcast_event(unique_id, %{type: :disconnected, reason: event["reason"]})
+  end
+
+  # The bridge retries transient drops itself; these are informational for the UI
+  defp handle_bridge_event(%{"type" => "reconnecting", "uniqueId" => unique_id} = event) do
+    Logger.warning(
+      "Stream connection dropped for @#{unique_id}, bridge reconnecting " <>
+        "(attempt #{event["attempt"]}/#{event["maxAttempts"]})"
+    )
+
+    broadcast_event(unique_id, %{
+      type: :reconnecting,
+      attempt: event["attempt"],
+      max_attempts: event["maxAttempts"],
+      delay_ms: event["delayMs"],
+      error: event["error"]
+    })
+  end
+
+  defp handle_bridge_event(%{"type" => "reconnected", "uniqueId" => unique_id} = event) do
+    Logger.info("Stream reconnected: @#{unique_id} after #{event["attempts"]} attempt(s)")
+    broadcast_event(unique_id, %{type: :reconnected, attempts: event["attempts"]})
   end
 
   defp handle_bridge_event(%{"type" => "error", "uniqueId" => unique_id, "error" => error}) do
@@ -488,6 +560,45 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     })
   end
 
+  # Decoded shopping messages (see services/tiktok-bridge/shopping.js)
+  defp handle_bridge_event(%{"type" => "productPinned", "uniqueId" => unique_id, "data" => data}) do
+    products = parse_products(data)
+    Logger.info("Product pinned for @#{unique_id}: #{length(products)} products")
+
+    broadcast_event(unique_id, %{
+      type: :product_pinned,
+      products: products,
+      pinned_at: parse_timestamp(data["pinnedAt"]),
+      timestamp: parse_timestamp(data["timestamp"]),
+      raw: data
+    })
+  end
+
+  defp handle_bridge_event(%{"type" => "orderPlaced", "uniqueId" => unique_id, "data" => data}) do
+    broadcast_event(unique_id, %{
+      type: :order_placed,
+      product: parse_product(data["product"] || %{}),
+      order_count: data["orderCount"],
+      buyer_nickname: data["buyerNickname"],
+      timestamp: parse_timestamp(data["timestamp"]),
+      raw: data
+    })
+  end
+
+  defp handle_bridge_event(%{
+         "type" => "couponRecommended",
+         "uniqueId" => unique_id,
+         "data" => data
+       }) do
+    broadcast_event(unique_id, %{
+      type: :coupon_recommended,
+      coupon: data["coupon"],
+      product: parse_product(data["product"] || %{}),
+      timestamp: parse_timestamp(data["timestamp"]),
+      raw: data
+    })
+  end
+
   defp handle_bridge_event(%{"type" => "rawShopping", "uniqueId" => unique_id, "data" => data}) do
     Logger.info("Raw shopping message for @#{unique_id}: #{data["messageType"]}")
 
@@ -543,6 +654,53 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
   defp parse_timestamp(_), do: DateTime.utc_now() |> DateTime.truncate(:second)
 
+  # The status message opens every connection. A new epoch, or a lastSeq behind
+  # ours, means the bridge's sequence started over: our last seq no longer applies
+  defp track_replay_position(state, %{"type" => "status"} = status) do
+    epoch = status["epoch"]
+    last_seq = status["lastSeq"]
+
+    restarted =
+      (not is_nil(state.epoch) and epoch != state.epoch) or
+        (is_integer(last_seq) and is_integer(state.last_seq) and last_seq < state.last_seq)
+
+    if restarted do
+      Logger.info("Bridge journal restarted (epoch #{inspect(epoch)}), resetting replay position")
+      %{state | epoch: epoch, last_seq: 0}
+    else
+      %{state | epoch: epoch}
+    end
+  end
+
+  # Replayed and live events carry a seq; heartbeats and markers don't
+  defp track_replay_position(state, %{"seq" => seq}) when is_integer(seq),
+    do: %{state | last_seq: seq}
+
+  defp track_replay_position(state, _message), do: state
+
+  # Fresh token (the original may have expired) and replay from the last seen event
+  defp reconnect_conn(conn, %State{last_seq: nil}),
+    do: %{conn | extra_headers: auth_headers()}
+
+  defp reconnect_conn(conn, %State{last_seq: last_seq, epoch: epoch}) do
+    query = URI.encode_query(Enum.reject([since: last_seq, epoch: epoch], &is_nil(elem(&1, 1))))
+    %{conn | query: query, extra_headers: auth_headers()}
+  end
+
+  defp auth_headers do
+    case Application.get_env(:social_objects, :tiktok_bridge_auth_key) do
+      key when is_binary(key) and key != "" -> [{"authorization", "Bearer #{sign_token(key)}"}]
+      _ -> []
+    end
+  end
+
+  # Matches the bridge's `v1.<expires_at>.<base64url HMAC-SHA256>` token scheme
+  defp sign_token(key) do
+    payload = "v1.#{System.system_time(:second) + @auth_token_ttl_seconds}"
+    signature = :crypto.mac(:hmac, :sha256, key, payload) |> Base.url_encode64(padding: false)
+    "#{payload}.#{signature}"
+  end
+
   defp cancel_heartbeat(nil), do: :ok
   defp cancel_heartbeat(ref), do: Process.cancel_timer(ref)
 
@@ -0,0 +1,46 @@
+defmodule SocialObjects.TiktokLive.Caption do
+  @moduledoc """
+  A line of live captions: what the host said during a stream, transcribed by
+  voice control on the controller, with the product on screen at the time.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @type t :: %__MODULE__{
+          id: pos_integer() | nil,
+          text: String.t() | nil,
+          language: String.t() | nil,
+          spoken_at: DateTime.t() | nil,
+          brand_id: pos_integer() | nil,
+          stream_id: pos_integer() | nil,
+          product_set_id: pos_integer() | nil,
+          product_set_product_id: pos_integer() | nil,
+          inserted_at: NaiveDateTime.t() | nil,
+          updated_at: NaiveDateTime.t() | nil
+        }
+
+  schema "tiktok_stream_captions" do
+    field :text, :string
+    field :language, :string
+    field :spoken_at, :utc_datetime
+
+    belongs_to :brand, SocialObjects.Catalog.Brand
+    belongs_to :stream, SocialObjects.TiktokLive.Stream
+    belongs_to :product_set, SocialObjects.ProductSets.ProductSet
+    belongs_to :product_set_product, SocialObjects.ProductSets.ProductSetProduct
+
+    timestamps()
+  end
+
+  @doc false
+  def changeset(caption, attrs) do
+    caption
+    |> cast(attrs, [:text, :language, :spoken_at, :product_set_id, :product_set_product_id])
+    |> validate_required([:brand_id, :stream_id, :text, :spoken_at])
+    |> validate_length(:text, max: 2_000)
+    |> foreign_key_constraint(:stream_id)
+    |> foreign_key_constraint(:product_set_id)
+    |> foreign_key_constraint(:product_set_product_id)
+    |> foreign_key_constraint(:brand_id)
+  end
+end
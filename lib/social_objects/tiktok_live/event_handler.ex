@@ -359,6 +359,24 @@ defmodule SocialObjects.TiktokLive.EventHandler do
     state
   end
 
+  defp process_event(%{type: :contact_sheet, contact_sheet_base64: base64}, state) do
+    # Arrives right before the terminal event, so upload outside this process
+    _ =
+      Task.start(fn ->
+        case upload_contact_sheet(state.stream_id, base64) do
+          {:ok, key} ->
+            Logger.info("Contact sheet uploaded for stream #{state.stream_id}: #{key}")
+
+          {:error, reason} ->
+            Logger.warning(
+              "Failed to upload contact sheet for stream #{state.stream_id}: #{inspect(reason)}"
+            )
+        end
+      end)
+
+    state
+  end
+
   defp process_event(%{type: :disconnected} = event, state) do
     Logger.info("Stream #{state.stream_id} disconnected: #{inspect(event[:reason])}")
     _ = broadcast_to_stream(state.stream_id, {:disconnected, event[:reason]})
@@ -417,6 +435,15 @@ defmodule SocialObjects.TiktokLive.EventHandler do
     state
   end
 
+  # Pinned products are showcased products too; the event adds when it happened
+  defp process_event(%{type: :product_pinned, products: products} = event, state) do
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+    Enum.each(products, &upsert_stream_product(state.stream_id, &1, now))
+
+    _ = broadcast_to_stream(state.stream_id, {:product_pinned, event})
+    state
+  end
+
   defp process_event(%{type: :live_intro} = event, state) do
     Logger.info("Live intro for stream #{state.stream_id}: #{inspect(event[:description])}")
     _ = broadcast_to_stream(state.stream_id, {:live_intro, event})
@@ -598,6 +625,12 @@ defmodule SocialObjects.TiktokLive.EventHandler do
     SocialObjects.Storage.upload_binary(key, binary, "image/jpeg")
   end
 
+  defp upload_contact_sheet(stream_id, base64_data) do
+    binary = Base.decode64!(base64_data)
+    key = "streams/#{stream_id}/contact_sheet.jpg"
+    SocialObjects.Storage.upload_binary(key, binary, "image/jpeg")
+  end
+
   defp auto_link_stream(brand_id, stream_id) do
     case SocialObjects.TiktokLive.auto_link_stream_to_product_set(brand_id, stream_id) do
       {:ok, _session_stream} ->
@@ -33,6 +33,7 @@ defmodule SocialObjectsWeb.HostViewComponents do
   - `current_position` - Display position (1-based)
   - `total_products` - Total number of products
   - `show_header` - Whether to show session header (default: false)
+  - `captions` - Live caption lines, oldest first (default: none)
   """
   attr :session, :map, required: true
   attr :current_session_product, :map, default: nil
@@ -45,6 +46,7 @@ defmodule SocialObjectsWeb.HostViewComponents do
   attr :show_header, :boolean, default: false
   attr :products_panel_collapsed, :boolean, default: true
   attr :session_panel_collapsed, :boolean, default: true
+  attr :captions, :list, default: []
 
   def host_content(assigns) do
     ~H"""
@@ -104,6 +106,28 @@ defmodule SocialObjectsWeb.HostViewComponents do
         <.loading_state />
       <% end %>
     <% end %>
+
+    <%!-- Live captions (bottom overlay, while voice control sends them) --%>
+    <%= if @captions != [] do %>
+      <.live_captions captions={@captions} />
+    <% end %>
+    """
+  end
+
+  @doc """
+  Rolling live captions of the host's speech, newest line last.
+  Shown over the host view, and inline on the controller with its own class.
+  """
+  attr :captions, :list, required: true
+  attr :class, :string, default: "host-captions"
+
+  def live_captions(assigns) do
+    ~H"""
+    <div class={@class} aria-live="polite">
+      <%= for caption <- @captions do %>
+        <p class="host-captions__line" id={"caption-#{caption.id}"}>{caption.text}</p>
+      <% end %>
+    </div>
     """
   end
 
@@ -461,6 +485,28 @@ defmodule SocialObjectsWeb.HostViewComponents do
 
   ## Helper functions (shared with LiveView modules)
 
+  @doc """
+  Products of a set for the jump overlay's preview (`data-jump-products` on
+  the host and controller keyboard hooks): position, name, price and
+  thumbnail, as the host view shows them.
+  """
+  def jump_products_json(product_set) do
+    product_set.product_set_products
+    |> Enum.sort_by(& &1.position)
+    |> Enum.map(fn sp ->
+      prices = get_effective_prices(sp)
+      image = primary_image(sp.product)
+
+      %{
+        position: sp.position,
+        name: get_effective_name(sp),
+        price: format_price(prices.sale || prices.original),
+        image: image && public_image_url(image.thumbnail_path || image.path)
+      }
+    end)
+    |> Jason.encode!()
+  end
+
   defp get_effective_name(session_product) do
     ProductSetProduct.effective_name(session_product)
   end
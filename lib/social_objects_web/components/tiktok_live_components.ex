@@ -321,6 +321,8 @@ defmodule SocialObjectsWeb.TiktokLiveComponents do
   attr :comments, :list, default: []
   attr :has_comments, :boolean, default: false
   attr :comment_search_query, :string, default: ""
+  attr :captions, :list, default: []
+  attr :caption_search_query, :string, default: ""
   attr :stream_stats, :list, default: []
   attr :stream_gmv, :map, default: nil
   attr :linked_product_sets, :list, default: []
@@ -679,6 +681,14 @@ defmodule SocialObjectsWeb.TiktokLiveComponents do
             >
               Comments
             </button>
+            <button
+              type="button"
+              class={["tab", @active_tab == "captions" && "tab--active"]}
+              phx-click="change_tab"
+              phx-value-tab="captions"
+            >
+              Captions
+            </button>
             <button
               type="button"
               class={["tab", @active_tab == "stats" && "tab--active"]}
@@ -705,6 +715,8 @@ defmodule SocialObjectsWeb.TiktokLiveComponents do
                   has_comments={@has_comments}
                   search_query={@comment_search_query}
                 />
+              <% "captions" -> %>
+                <.captions_tab captions={@captions} search_query={@caption_search_query} />
               <% "product_sets" -> %>
                 <.products_tab
                   product_performance={@stream.product_performance}
@@ -811,6 +823,53 @@ defmodule SocialObjectsWeb.TiktokLiveComponents do
     """
   end
 
+  @doc """
+  Renders the captions tab: what the host said, with the product on screen.
+  """
+  attr :captions, :list, required: true
+  attr :search_query, :string, default: ""
+
+  def captions_tab(assigns) do
+    ~H"""
+    <div class="comments-tab">
+      <div class="comments-tab__search">
+        <.search_input
+          value={@search_query}
+          on_change="search_captions"
+          placeholder="Search captions..."
+        />
+      </div>
+
+      <div class="comments-list" id="captions-list">
+        <%= for caption <- @captions do %>
+          <div class="comment-item" id={"caption-#{caption.id}"}>
+            <div class="comment-item__header">
+              <%= if caption.product_set_product && caption.product_set_product.product do %>
+                <span class="comment-item__username">
+                  {shorten_product_name(caption.product_set_product.product.name)}
+                </span>
+              <% end %>
+              <span class="comment-item__time">
+                {Calendar.strftime(caption.spoken_at, "%H:%M:%S")}
+              </span>
+            </div>
+            <div class="comment-item__text">{caption.text}</div>
+          </div>
+        <% end %>
+      </div>
+
+      <%= if @captions == [] do %>
+        <div class="empty-state">
+          <p class="empty-state__title">No captions</p>
+          <p class="empty-state__description">
+            Turn on captions in the controller's voice panel to record what the host says
+          </p>
+        </div>
+      <% end %>
+    </div>
+    """
+  end
+
   @doc """
   Renders the products tab with sales data, comment mentions, and product set linking.
   """
@@ -5,6 +5,8 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
   - Haptic feedback on product selection
   - Collapsible message and voice control panels
   - Dense auto-fill product grid
+  - Presence: who else is driving the set, what they last chose, a toast when
+    they move it and an optional lock so only one controller tab navigates
   """
   use SocialObjectsWeb, :live_view
 
@@ -15,6 +17,19 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
   import SocialObjectsWeb.ParamHelpers
 
   alias SocialObjects.ProductSets
+  alias SocialObjects.TiktokLive
+  alias SocialObjectsWeb.Presence
+
+  # Product positions remembered for "go back"
+  @position_history_limit 10
+
+  # Live captions: lines on screen, and how long each stays after it was spoken
+  @caption_lines 3
+  @caption_ttl_ms 8_000
+
+  # "Sam jumped to #14" toasts from other controllers
+  @activity_lines 3
+  @activity_ttl_ms 4_000
 
   @impl true
   def mount(%{"id" => product_set_id_param}, _session, socket) do
@@ -54,6 +69,8 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
         current_product_set_product: nil,
         current_product: nil,
         current_position: nil,
+        position_history: [],
+        returning_to: nil,
         current_image_index: 0,
         total_products: length(product_set.product_set_products),
         host_message: nil,
@@ -64,13 +81,21 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
         show_preset_modal: false,
         voice_assets: voice_assets,
         voice_control_enabled: voice_control_enabled,
-        product_set_notes_visible: false
+        captions: [],
+        product_set_notes_visible: false,
+        tab_id: nil,
+        controllers: [],
+        lock_holder: nil,
+        activity: []
       )
 
     socket =
       if connected?(socket) do
         _ = subscribe_to_product_set(product_set_id)
-        load_initial_state(socket)
+
+        socket
+        |> track_presence()
+        |> load_initial_state()
       else
         socket
       end
@@ -85,17 +110,94 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
   def handle_event("jump_to_product", %{"position" => position_param}, socket) do
     with true <- has_role?(socket, :admin),
          {:ok, position} <- parse_integer(position_param),
-         {:ok, _new_state} <- ProductSets.jump_to_product(socket.assigns.product_set_id, position) do
-      {:reply, %{success: true, position: position}, socket}
+         {:ok, _new_state} <- jump(socket, position) do
+      {:reply, %{success: true, position: position}, announce(socket, :jumped, position)}
     else
       false ->
         {:reply, %{success: false, error: "Permission denied"}, socket}
 
+      {:error, {:locked, name}} ->
+        locked_reply(socket, name)
+
       :error ->
         {:reply, %{success: false, error: "Invalid position"}, socket}
 
       {:error, :invalid_position} ->
         {:reply, %{success: false, error: "Product not found"}, socket}
+
+      {:error, _reason} ->
+        {:reply, %{success: false, error: "Failed to jump"}, socket}
+    end
+  end
+
+  # Return to the previously shown product (voice "go back", Backspace). Like
+  # jump_to_product, checks the role inline rather than with `authorize` so
+  # the caller always gets a reply.
+  @impl true
+  def handle_event("go_back", _params, socket) do
+    %{current_product_set_product: current, position_history: history} = socket.assigns
+    current_position = current && current.position
+    candidates = Enum.reject(history, &(&1 == current_position))
+
+    with true <- has_role?(socket, :admin),
+         [position | rest] <- candidates,
+         {:ok, _new_state} <- jump(socket, position) do
+      socket = assign(socket, position_history: rest, returning_to: position)
+      {:reply, %{success: true, position: position}, announce(socket, :went_back, position)}
+    else
+      false ->
+        {:reply, %{success: false, error: "Permission denied"}, socket}
+
+      {:error, {:locked, name}} ->
+        locked_reply(socket, name)
+
+      [] ->
+        {:reply, %{success: false, error: "Nothing to go back to"}, socket}
+
+      {:error, :invalid_position} ->
+        # The product left the set; forget it so the next "go back" goes further
+        {:reply, %{success: false, error: "Product not found"},
+         assign(socket, position_history: tl(candidates))}
+
+      {:error, _reason} ->
+        {:reply, %{success: false, error: "Failed to go back"}, socket}
+    end
+  end
+
+  # Live captions from voice control: shown on the host and controller views,
+  # and kept against the stream being captured (if any)
+  @impl true
+  def handle_event("caption", %{"text" => text} = params, socket) do
+    authorize socket, :admin do
+      case String.trim(text) do
+        "" ->
+          {:reply, %{stored: false}, socket}
+
+        text ->
+          %{brand_id: brand_id, product_set_id: product_set_id} = socket.assigns
+          current = socket.assigns.current_product_set_product
+          spoken_at = DateTime.utc_now() |> DateTime.truncate(:second)
+
+          stored =
+            TiktokLive.record_caption(brand_id, %{
+              text: text,
+              language: params["language"],
+              spoken_at: spoken_at,
+              product_set_id: product_set_id,
+              product_set_product_id: current && current.id
+            })
+
+          caption = %{id: System.unique_integer([:positive]), text: text, spoken_at: spoken_at}
+
+          _ =
+            Phoenix.PubSub.broadcast(
+              SocialObjects.PubSub,
+              "product_set:#{product_set_id}:ui",
+              {:caption, caption}
+            )
+
+          {:reply, %{stored: match?({:ok, _}, stored)}, socket}
+      end
     end
   end
 
@@ -113,8 +215,7 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
           current + 1
         end
 
-      _ = ProductSets.jump_to_product(socket.assigns.product_set_id, next_position)
-      {:noreply, socket}
+      navigated(socket, jump(socket, next_position), :moved, next_position)
     end
   end
 
@@ -132,8 +233,48 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
           current - 1
         end
 
-      _ = ProductSets.jump_to_product(socket.assigns.product_set_id, prev_position)
-      {:noreply, socket}
+      navigated(socket, jump(socket, prev_position), :moved, prev_position)
+    end
+  end
+
+  # Image navigation (voice commands)
+  @impl true
+  def handle_event("next_image", _params, socket) do
+    authorize socket, :admin do
+      result = navigate(socket, &ProductSets.cycle_product_image(&1, :next))
+      navigated(socket, result, :changed_image, nil)
+    end
+  end
+
+  @impl true
+  def handle_event("previous_image", _params, socket) do
+    authorize socket, :admin do
+      result = navigate(socket, &ProductSets.cycle_product_image(&1, :previous))
+      navigated(socket, result, :changed_image, nil)
+    end
+  end
+
+  # Lock controls: only this tab navigates until it unlocks or closes
+  @impl true
+  def handle_event("toggle_controls_lock", _params, socket) do
+    authorize socket, :admin do
+      # Read fresh rather than from assigns, which trail presence diffs
+      holder =
+        socket.assigns.product_set_id
+        |> Presence.controllers_topic()
+        |> Presence.list()
+        |> Presence.lock_holder()
+
+      cond do
+        holder && holder.tab == socket.assigns.tab_id ->
+          {:noreply, update_presence(socket, %{locked_at: nil})}
+
+        holder ->
+          {:noreply, put_flash(socket, :error, "Controls locked by #{holder.name}")}
+
+        true ->
+          {:noreply, update_presence(socket, %{locked_at: System.system_time(:millisecond)})}
+      end
     end
   end
 
@@ -320,11 +461,137 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
     {:noreply, assign(socket, :product_set_notes_visible, visible)}
   end
 
+  @impl true
+  def handle_info({:caption, caption}, socket) do
+    Process.send_after(self(), {:expire_caption, caption.id}, @caption_ttl_ms)
+    {:noreply, update(socket, :captions, &Enum.take(&1 ++ [caption], -@caption_lines))}
+  end
+
+  @impl true
+  def handle_info({:expire_caption, id}, socket) do
+    {:noreply, update(socket, :captions, &Enum.reject(&1, fn caption -> caption.id == id end))}
+  end
+
+  # Another controller moved the set: say who, briefly
+  @impl true
+  def handle_info({:controller_activity, activity}, socket) do
+    entry = %{id: System.unique_integer([:positive]), text: activity_text(activity)}
+    Process.send_after(self(), {:expire_activity, entry.id}, @activity_ttl_ms)
+    {:noreply, update(socket, :activity, &Enum.take(&1 ++ [entry], -@activity_lines))}
+  end
+
+  @impl true
+  def handle_info({:expire_activity, id}, socket) do
+    {:noreply, update(socket, :activity, &Enum.reject(&1, fn entry -> entry.id == id end))}
+  end
+
+  @impl true
+  def handle_info(%Phoenix.Socket.Broadcast{event: "presence_diff"}, socket) do
+    {:noreply, assign_presence(socket)}
+  end
+
   ## Private Helpers
 
   defp subscribe_to_product_set(product_set_id) do
     _ = Phoenix.PubSub.subscribe(SocialObjects.PubSub, "product_set:#{product_set_id}:state")
     _ = Phoenix.PubSub.subscribe(SocialObjects.PubSub, "product_set:#{product_set_id}:ui")
+    # Presence diffs and other controllers' activity
+    Phoenix.PubSub.subscribe(SocialObjects.PubSub, Presence.controllers_topic(product_set_id))
+  end
+
+  # One presence per controller tab, keyed by user
+  defp track_presence(socket) do
+    user = socket.assigns.current_scope.user
+    tab_id = System.unique_integer([:positive])
+    topic = Presence.controllers_topic(socket.assigns.product_set_id)
+
+    _ =
+      Presence.track(self(), topic, to_string(user.id), %{
+        user_id: user.id,
+        name: Presence.display_name(user),
+        tab: tab_id,
+        joined_at: System.system_time(:millisecond),
+        selection: nil,
+        selected_at: nil,
+        locked_at: nil
+      })
+
+    socket
+    |> assign(:tab_id, tab_id)
+    |> assign_presence()
+  end
+
+  defp update_presence(socket, fields) do
+    %{product_set_id: product_set_id, current_scope: %{user: user}} = socket.assigns
+    topic = Presence.controllers_topic(product_set_id)
+    _ = Presence.update(self(), topic, to_string(user.id), &Map.merge(&1, fields))
+    socket
+  end
+
+  defp assign_presence(socket) do
+    presences = Presence.list(Presence.controllers_topic(socket.assigns.product_set_id))
+
+    assign(socket,
+      controllers: Presence.people(presences),
+      lock_holder: Presence.lock_holder(presences)
+    )
+  end
+
+  defp jump(socket, position) do
+    navigate(socket, &ProductSets.jump_to_product(&1, position))
+  end
+
+  # Moves the set unless another tab holds the controls lock
+  defp navigate(socket, move) do
+    %{product_set_id: product_set_id, tab_id: tab_id} = socket.assigns
+
+    with :ok <- Presence.check_controls(product_set_id, tab_id) do
+      move.(product_set_id)
+    end
+  end
+
+  defp navigated(socket, result, action, position) do
+    case result do
+      {:ok, _state} -> {:noreply, announce(socket, action, position)}
+      {:error, {:locked, name}} -> locked_reply(socket, name)
+      {:error, _} -> {:noreply, socket}
+    end
+  end
+
+  defp locked_reply(socket, name) do
+    message = "Controls locked by #{name}"
+    {:reply, %{success: false, error: message}, put_flash(socket, :error, message)}
+  end
+
+  # Tells the other controllers who moved the set (for their toasts) and keeps
+  # a product move as this producer's selection
+  defp announce(socket, action, position) do
+    %{product_set_id: product_set_id, current_scope: %{user: user}} = socket.assigns
+
+    _ =
+      Phoenix.PubSub.broadcast_from(
+        SocialObjects.PubSub,
+        self(),
+        Presence.controllers_topic(product_set_id),
+        {:controller_activity,
+         %{name: Presence.display_name(user), action: action, position: position}}
+      )
+
+    if position do
+      selected_at = System.system_time(:millisecond)
+      update_presence(socket, %{selection: position, selected_at: selected_at})
+    else
+      socket
+    end
+  end
+
+  defp activity_text(%{name: name, action: action, position: position}) do
+    case action do
+      :jumped -> "#{name} jumped to ##{position}"
+      :moved -> "#{name} moved to ##{position}"
+      :went_back -> "#{name} went back to ##{position}"
+      :changed_image -> "#{name} changed the image"
+    end
   end
 
   defp load_initial_state(socket) do
@@ -356,7 +623,9 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
         index -> index + 1
       end
 
-    assign(socket,
+    socket
+    |> track_position_history(product_set_product.position)
+    |> assign(
       current_product_set_product: product_set_product,
       current_product: product,
       current_image_index: image_index,
@@ -364,6 +633,34 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
     )
   end
 
+  # Remembers the position being left (as stored, like jump_to_product takes it),
+  # most recent first. Arriving somewhere through "go back" doesn't push the
+  # position left, so repeated "go back"s walk further back instead of bouncing
+  # between two products.
+  defp track_position_history(socket, new_position) do
+    %{
+      current_product_set_product: current_product,
+      position_history: history,
+      returning_to: returning_to
+    } = socket.assigns
+
+    current = current_product && current_product.position
+
+    cond do
+      is_nil(current) or current == new_position ->
+        socket
+
+      returning_to == new_position ->
+        assign(socket, returning_to: nil)
+
+      true ->
+        assign(socket,
+          position_history: Enum.take([current | history], @position_history_limit),
+          returning_to: nil
+        )
+    end
+  end
+
   defp load_state_from_product_set_state(socket, state) do
     socket =
       if state.current_product_set_product_id do
@@ -402,4 +699,26 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
       image -> image
     end
   end
+
+  # Product titles and aliases for the "show the <product name>" voice command.
+  # The title is what the controller shows; the catalog name is an alias when
+  # the product set features it under a different name.
+  def voice_products_json(product_set) do
+    product_set.product_set_products
+    |> Enum.sort_by(& &1.position)
+    |> Enum.map(fn sp ->
+      name = sp.featured_name || sp.product.name
+      aliases = if name == sp.product.name, do: [], else: [sp.product.name]
+
+      %{position: sp.position, name: name, aliases: aliases}
+    end)
+    |> Jason.encode!()
+  end
+
+  # Preset texts for the "pin message <preset>" voice command
+  def voice_presets_json(message_presets) do
+    message_presets
+    |> Enum.map(&%{id: &1.id, text: &1.message_text})
+    |> Jason.encode!()
+  end
 end
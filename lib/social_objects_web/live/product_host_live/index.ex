@@ -6,8 +6,10 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
   - Product images
   - Talking points
   - Live messages from controller (as floating banner)
+  - Live captions of the host's speech, when voice control has them turned on
 
   Changes made from either controller or host view are synchronized via PubSub.
+  While a producer holds the controls lock, navigation from here is refused.
   """
   use SocialObjectsWeb, :live_view
 
@@ -15,9 +17,14 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
 
   alias SocialObjects.ProductSets
   alias SocialObjectsWeb.BrandRoutes
+  alias SocialObjectsWeb.Presence
   import SocialObjectsWeb.BrandPermissions
   import SocialObjectsWeb.ParamHelpers
 
+  # Live captions: lines on screen, and how long each stays after it was spoken
+  @caption_lines 3
+  @caption_ttl_ms 8_000
+
   @impl true
   def mount(%{"id" => product_set_id_param}, _session, socket) do
     case parse_id(product_set_id_param) do
@@ -50,7 +57,8 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
         total_products: length(product_set.product_set_products),
         host_message: nil,
         products_panel_collapsed: true,
-        product_set_panel_collapsed: true
+        product_set_panel_collapsed: true,
+        captions: []
       )
 
     # Subscribe to PubSub ONLY after WebSocket connection
@@ -99,7 +107,7 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
     authorize socket, :admin do
       case parse_integer(position_param) do
         {:ok, position} ->
-          case ProductSets.jump_to_product(socket.assigns.product_set_id, position) do
+          case navigate(socket, &ProductSets.jump_to_product(&1, position)) do
             {:ok, new_state} ->
               socket =
                 push_patch(socket,
@@ -113,6 +121,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
 
               {:noreply, socket}
 
+            {:error, {:locked, name}} ->
+              {:noreply, locked_flash(socket, name)}
+
             {:error, :invalid_position} ->
               {:noreply, put_flash(socket, :error, "Invalid product number")}
           end
@@ -127,7 +138,7 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
   @impl true
   def handle_event("next_product", _params, socket) do
     authorize socket, :admin do
-      case ProductSets.advance_to_next_product(socket.assigns.product_set_id) do
+      case navigate(socket, &ProductSets.advance_to_next_product/1) do
         {:ok, new_state} ->
           socket =
             push_patch(socket,
@@ -141,6 +152,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
 
           {:noreply, socket}
 
+        {:error, {:locked, name}} ->
+          {:noreply, locked_flash(socket, name)}
+
         {:error, :end_of_product_set} ->
           {:noreply, put_flash(socket, :info, "End of product set reached")}
       end
@@ -150,7 +164,7 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
   @impl true
   def handle_event("previous_product", _params, socket) do
     authorize socket, :admin do
-      case ProductSets.go_to_previous_product(socket.assigns.product_set_id) do
+      case navigate(socket, &ProductSets.go_to_previous_product/1) do
         {:ok, new_state} ->
           socket =
             push_patch(socket,
@@ -164,6 +178,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
 
           {:noreply, socket}
 
+        {:error, {:locked, name}} ->
+          {:noreply, locked_flash(socket, name)}
+
         {:error, :start_of_product_set} ->
           {:noreply, put_flash(socket, :info, "Already at first product")}
       end
@@ -173,8 +190,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
   @impl true
   def handle_event("next_image", _params, socket) do
     authorize socket, :admin do
-      case ProductSets.cycle_product_image(socket.assigns.product_set_id, :next) do
+      case navigate(socket, &ProductSets.cycle_product_image(&1, :next)) do
         {:ok, _state} -> {:noreply, socket}
+        {:error, {:locked, name}} -> {:noreply, locked_flash(socket, name)}
         {:error, _} -> {:noreply, socket}
       end
     end
@@ -183,8 +201,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
   @impl true
   def handle_event("previous_image", _params, socket) do
     authorize socket, :admin do
-      case ProductSets.cycle_product_image(socket.assigns.product_set_id, :previous) do
+      case navigate(socket, &ProductSets.cycle_product_image(&1, :previous)) do
         {:ok, _state} -> {:noreply, socket}
+        {:error, {:locked, name}} -> {:noreply, locked_flash(socket, name)}
         {:error, _} -> {:noreply, socket}
       end
     end
@@ -195,8 +214,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
     authorize socket, :admin do
       case parse_integer(index_param) do
         {:ok, index} ->
-          case ProductSets.set_image_index(socket.assigns.product_set_id, index) do
+          case navigate(socket, &ProductSets.set_image_index(&1, index)) do
             {:ok, _state} -> {:noreply, socket}
+            {:error, {:locked, name}} -> {:noreply, locked_flash(socket, name)}
             {:error, _} -> {:noreply, socket}
           end
 
@@ -233,7 +253,7 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
     authorize socket, :admin do
       case parse_integer(position_param) do
         {:ok, position} ->
-          case ProductSets.jump_to_product(socket.assigns.product_set_id, position) do
+          case navigate(socket, &ProductSets.jump_to_product(&1, position)) do
             {:ok, new_state} ->
               socket =
                 socket
@@ -249,6 +269,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
 
               {:noreply, socket}
 
+            {:error, {:locked, name}} ->
+              {:noreply, locked_flash(socket, name)}
+
             {:error, _} ->
               {:noreply, socket}
           end
@@ -263,7 +286,7 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
   def handle_event("jump_to_first", _params, socket) do
     authorize socket, :admin do
       # Jump to position 1 (first product)
-      case ProductSets.jump_to_product(socket.assigns.product_set_id, 1) do
+      case navigate(socket, &ProductSets.jump_to_product(&1, 1)) do
         {:ok, new_state} ->
           socket =
             push_patch(socket,
@@ -277,6 +300,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
 
           {:noreply, socket}
 
+        {:error, {:locked, name}} ->
+          {:noreply, locked_flash(socket, name)}
+
         {:error, _} ->
           {:noreply, socket}
       end
@@ -289,7 +315,7 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
       # Jump to last product (total_products)
       last_position = socket.assigns.total_products
 
-      case ProductSets.jump_to_product(socket.assigns.product_set_id, last_position) do
+      case navigate(socket, &ProductSets.jump_to_product(&1, last_position)) do
         {:ok, new_state} ->
           socket =
             push_patch(socket,
@@ -303,6 +329,9 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
 
           {:noreply, socket}
 
+        {:error, {:locked, name}} ->
+          {:noreply, locked_flash(socket, name)}
+
         {:error, _} ->
           {:noreply, socket}
       end
@@ -322,6 +351,18 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
     {:noreply, assign(socket, :product_set_panel_collapsed, !visible)}
   end
 
+  # Live captions broadcast by the controller's voice control
+  @impl true
+  def handle_info({:caption, caption}, socket) do
+    Process.send_after(self(), {:expire_caption, caption.id}, @caption_ttl_ms)
+    {:noreply, update(socket, :captions, &Enum.take(&1 ++ [caption], -@caption_lines))}
+  end
+
+  @impl true
+  def handle_info({:expire_caption, id}, socket) do
+    {:noreply, update(socket, :captions, &Enum.reject(&1, fn caption -> caption.id == id end))}
+  end
+
   ## Private Helpers
 
   defp subscribe_to_product_set(product_set_id) do
@@ -329,6 +370,20 @@ defmodule SocialObjectsWeb.ProductHostLive.Index do
     _ = Phoenix.PubSub.subscribe(SocialObjects.PubSub, "product_set:#{product_set_id}:ui")
   end
 
+  # A producer may have locked the controls from their controller tab; the host
+  # view moves the set only when unlocked
+  defp navigate(socket, move) do
+    product_set_id = socket.assigns.product_set_id
+
+    with :ok <- Presence.check_controls(product_set_id, nil) do
+      move.(product_set_id)
+    end
+  end
+
+  defp locked_flash(socket, name) do
+    put_flash(socket, :error, "Controls locked by #{name}")
+  end
+
   defp load_initial_state(socket) do
     product_set_id = socket.assigns.product_set_id
 
@@ -63,6 +63,8 @@ defmodule SocialObjectsWeb.TiktokLive.Index do
       |> stream(:comments, [])
       |> assign(:has_comments, false)
       |> assign(:comment_search_query, "")
+      |> assign(:captions, [])
+      |> assign(:caption_search_query, "")
       |> assign(:stream_stats, [])
       |> assign(:stream_gmv, nil)
       # Track which stream we're subscribed to for real-time updates
@@ -172,6 +174,8 @@ defmodule SocialObjectsWeb.TiktokLive.Index do
       |> stream(:comments, [], reset: true)
       |> assign(:has_comments, false)
       |> assign(:comment_search_query, "")
+      |> assign(:captions, [])
+      |> assign(:caption_search_query, "")
       |> assign(:stream_stats, [])
       |> assign(:stream_gmv, nil)
       |> assign(:linked_product_sets, [])
@@ -328,6 +332,16 @@ defmodule SocialObjectsWeb.TiktokLive.Index do
     end
   end
 
+  @impl true
+  def handle_event("search_captions", %{"value" => query}, socket) do
+    socket =
+      socket
+      |> assign(:caption_search_query, query)
+      |> load_captions()
+
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_event("search_product_sets", %{"value" => query}, socket) do
     socket =
@@ -889,6 +903,10 @@ defmodule SocialObjectsWeb.TiktokLive.Index do
     load_comments(socket, stream_id: stream_id)
   end
 
+  defp load_tab_data(socket, "captions", stream_id) do
+    load_captions(socket, stream_id: stream_id)
+  end
+
   defp load_tab_data(socket, "stats", stream_id) do
     stats = TiktokLiveContext.list_stream_stats(socket.assigns.brand_id, stream_id)
     stream = socket.assigns.selected_stream
@@ -944,6 +962,19 @@ defmodule SocialObjectsWeb.TiktokLive.Index do
     |> assign(:has_comments, length(comments) > 0)
   end
 
+  defp load_captions(socket, opts \\ []) do
+    stream_id = Keyword.get(opts, :stream_id, socket.assigns.selected_stream.id)
+
+    captions =
+      TiktokLiveContext.list_stream_captions(
+        socket.assigns.brand_id,
+        stream_id,
+        query: socket.assigns.caption_search_query
+      )
+
+    assign(socket, :captions, captions)
+  end
+
   defp maybe_subscribe_to_stream(socket, %{status: :capturing, id: stream_id}) do
     # Only subscribe if not already subscribed to this stream
     if socket.assigns.subscribed_stream_id != stream_id do
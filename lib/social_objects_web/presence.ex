@@ -0,0 +1,101 @@
+defmodule SocialObjectsWeb.Presence do
+  @moduledoc """
+  Producers connected to a product set's controller view
+  (ProductControllerLive.Index), one presence per controller tab keyed by user.
+
+  Each tab's meta carries the producer's name, the product they last moved the
+  set to (their selection) and `locked_at` while that tab holds the controls
+  lock. The lock lives in presence so it goes away with the tab that took it,
+  and belongs to that tab (its `tab` id), not to the user. The controller and
+  host views check it (`check_controls/2`) before every navigation.
+  """
+  use Phoenix.Presence,
+    otp_app: :social_objects,
+    pubsub_server: SocialObjects.PubSub
+
+  def controllers_topic(product_set_id), do: "product_set:#{product_set_id}:controllers"
+
+  @doc """
+  The name shown for a user: the first part of their email, capitalized.
+  """
+  def display_name(%{email: email}) when is_binary(email) do
+    email
+    |> String.split("@")
+    |> hd()
+    |> String.split(~r/[._+-]/, trim: true)
+    |> List.first("")
+    |> String.capitalize()
+  end
+
+  def display_name(_user), do: "Someone"
+
+  @doc """
+  People on a controller topic, from `list/1`, in the order they joined: one
+  entry per user however many tabs they have open, with the selection made
+  most recently in any of them and whether one of them holds the lock.
+  """
+  def people(presences) do
+    presences
+    |> Enum.map(fn {_key, %{metas: [first | _] = metas}} ->
+      latest = Enum.max_by(metas, &(&1.selected_at || 0))
+
+      %{
+        user_id: first.user_id,
+        name: first.name,
+        initials: initials(first.name),
+        selection: latest.selection,
+        joined_at: metas |> Enum.map(& &1.joined_at) |> Enum.min(),
+        locked: Enum.any?(metas, & &1.locked_at)
+      }
+    end)
+    |> Enum.sort_by(& &1.joined_at)
+  end
+
+  @doc """
+  The meta of the tab holding the controls lock (the earliest to take it), or
+  nil when controls are open to everyone.
+  """
+  def lock_holder(presences) do
+    presences
+    |> Enum.flat_map(fn {_key, %{metas: metas}} -> metas end)
+    |> Enum.filter(& &1.locked_at)
+    |> Enum.min_by(& &1.locked_at, fn -> nil end)
+  end
+
+  @doc """
+  Whether controller tab `tab` may move the set, given the topic's presences:
+  `:ok` when nobody holds the lock or `tab` does, otherwise `{:locked, name}`
+  with the holder's name. Other tabs of the holder's user are locked out too,
+  and callers that aren't a controller tab (nil) only while the lock is held.
+  """
+  def controls_free(presences, tab) do
+    case lock_holder(presences) do
+      nil -> :ok
+      %{tab: ^tab} -> :ok
+      holder -> {:locked, holder.name}
+    end
+  end
+
+  @doc """
+  Checks the controls lock of a product set for controller tab `tab` (nil for
+  views that aren't a controller tab, such as the host view): `:ok` or
+  `{:error, {:locked, name}}`, see `controls_free/2`.
+  """
+  def check_controls(product_set_id, tab) do
+    product_set_id
+    |> controllers_topic()
+    |> list()
+    |> controls_free(tab)
+    |> case do
+      :ok -> :ok
+      {:locked, name} -> {:error, {:locked, name}}
+    end
+  end
+
+  defp initials(name) do
+    case String.first(name) do
+      nil -> "?"
+      letter -> String.upcase(letter)
+    end
+  end
+end
@@ -0,0 +1,22 @@
+defmodule SocialObjects.Repo.Migrations.CreateTiktokStreamCaptions do
+  use Ecto.Migration
+
+  def change do
+    # Live captions of the host's speech, transcribed by voice control on the controller
+    create table(:tiktok_stream_captions) do
+      add :brand_id, references(:brands, on_delete: :delete_all), null: false
+      add :stream_id, references(:tiktok_streams, on_delete: :delete_all), null: false
+      add :product_set_id, references(:product_sets, on_delete: :nilify_all)
+      add :product_set_product_id, references(:product_set_products, on_delete: :nilify_all)
+      add :text, :text, null: false
+      add :language, :string
+      add :spoken_at, :utc_datetime, null: false
+
+      timestamps()
+    end
+
+    create index(:tiktok_stream_captions, [:stream_id, :spoken_at])
+    create index(:tiktok_stream_captions, [:product_set_product_id])
+    create index(:tiktok_stream_captions, [:brand_id])
+  end
+end
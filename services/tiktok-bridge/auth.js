@@ -0,0 +1,89 @@
+/**
+ * Bearer token authentication for the bridge HTTP API and /events WebSocket.
+ *
+ * Keys come from BRIDGE_AUTH_KEYS (comma-separated). Listing two keys lets the
+ * bridge accept both the new and the old one while callers rotate.
+ *
+ * Accepted credentials, sent as `Authorization: Bearer <token>` (or `?token=<token>`
+ * on the WebSocket URL only, since browsers can't set upgrade headers; anywhere
+ * else it would end up in proxy and access logs):
+ *   - A shared secret: the key itself
+ *   - A signed token: `v1.<expiresAtUnixSeconds>.<base64url HMAC-SHA256(key, "v1.<expiresAt>")>`
+ *     Signed tokens keep the raw key off the wire and expire on their own.
+ */
+
+import crypto from 'crypto';
+
+const TOKEN_VERSION = 'v1';
+
+/**
+ * Parse the configured keys.
+ */
+export function parseAuthKeys(value) {
+  return (value || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Mint a signed token valid for `ttlSeconds`. Handy for curl testing; the Elixir
+ * app mints its own tokens with the same scheme.
+ */
+export function signToken(key, ttlSeconds = 300) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = `${TOKEN_VERSION}.${expiresAt}`;
+  return `${payload}.${hmac(key, payload)}`;
+}
+
+/**
+ * Check the credentials on an incoming request against the configured keys.
+ * `allowQueryToken` also accepts `?token=` (the WebSocket upgrade only).
+ * @returns {{ ok: true } | { ok: false, reason: string, message: string }}
+ */
+export function authenticate(req, keys, { allowQueryToken = false } = {}) {
+  const token = extractToken(req, allowQueryToken);
+  if (!token) {
+    return { ok: false, reason: 'missing_token', message: 'Missing bearer token' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length === 3 && parts[0] === TOKEN_VERSION) {
+    const [version, expiresAt, signature] = parts;
+    const payload = `${version}.${expiresAt}`;
+
+    if (!keys.some(key => safeEqual(signature, hmac(key, payload)))) {
+      return { ok: false, reason: 'invalid_token', message: 'Invalid token signature' };
+    }
+    if (!/^\d+$/.test(expiresAt) || Number(expiresAt) < Date.now() / 1000) {
+      return { ok: false, reason: 'expired_token', message: 'Token has expired' };
+    }
+    return { ok: true };
+  }
+
+  if (keys.some(key => safeEqual(token, key))) {
+    return { ok: true };
+  }
+
+  return { ok: false, reason: 'invalid_token', message: 'Invalid bearer token' };
+}
+
+function extractToken(req, allowQueryToken) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  if (!allowQueryToken) return null;
+
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+function hmac(key, payload) {
+  return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+// Constant-time comparison (timingSafeEqual requires equal lengths)
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
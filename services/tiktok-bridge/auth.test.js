@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { authenticate, parseAuthKeys, signToken } from './auth.js';
+
+const request = (token, url = '/status') => ({
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  url
+});
+
+test('parses comma-separated keys', () => {
+  assert.deepEqual(parseAuthKeys(' new , old,,'), ['new', 'old']);
+  assert.deepEqual(parseAuthKeys(undefined), []);
+});
+
+test('accepts signed tokens and shared keys', () => {
+  assert.deepEqual(authenticate(request(signToken('secret')), ['secret']), { ok: true });
+  assert.deepEqual(authenticate(request('secret'), ['secret']), { ok: true });
+  assert.equal(authenticate(request(), ['secret']).reason, 'missing_token');
+  assert.equal(authenticate(request('nope'), ['secret']).reason, 'invalid_token');
+});
+
+test('rejects expired and tampered tokens', () => {
+  assert.equal(authenticate(request(signToken('secret', -10)), ['secret']).reason, 'expired_token');
+
+  // Pushing the expiry out breaks the signature
+  const [version, expiresAt, signature] = signToken('secret').split('.');
+  const extended = [version, Number(expiresAt) + 3600, signature].join('.');
+  assert.equal(authenticate(request(extended), ['secret']).reason, 'invalid_token');
+
+  // Validly shaped, signed with a key the bridge doesn't know
+  const payload = `v1.${Math.floor(Date.now() / 1000) + 60}`;
+  const forged = `${payload}.${crypto.createHmac('sha256', 'other').update(payload).digest('base64url')}`;
+  assert.equal(authenticate(request(forged), ['secret']).reason, 'invalid_token');
+});
+
+test('accepts both keys while rotating', () => {
+  const keys = parseAuthKeys('new,old');
+  assert.equal(authenticate(request(signToken('new')), keys).ok, true);
+  assert.equal(authenticate(request(signToken('old')), keys).ok, true);
+  // Once the old key is dropped its tokens stop working
+  assert.equal(authenticate(request(signToken('old')), ['new']).ok, false);
+});
+
+test('reads ?token= only where allowed', () => {
+  const url = `/events?token=${signToken('secret')}`;
+  assert.equal(authenticate(request(null, url), ['secret']).reason, 'missing_token');
+  assert.equal(authenticate(request(null, url), ['secret'], { allowQueryToken: true }).ok, true);
+});
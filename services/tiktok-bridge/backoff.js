@@ -0,0 +1,21 @@
+/**
+ * Reconnect Backoff
+ *
+ * Delays between reconnect attempts for a stream that dropped unexpectedly:
+ * exponential, capped, with "equal jitter" so streams that dropped together
+ * don't retry in lockstep.
+ */
+
+/**
+ * Backoff delay before reconnect attempt N (1-based): somewhere between half
+ * and all of `baseDelayMs * 2^(N-1)`, capped at `maxDelayMs`.
+ * @param {number} attempt
+ * @param {object} options
+ * @param {number} options.baseDelayMs - Ceiling of the first attempt's delay
+ * @param {number} options.maxDelayMs - Ceiling of any attempt's delay
+ * @param {Function} [options.random] - Source of numbers in [0, 1)
+ */
+export function reconnectDelay(attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
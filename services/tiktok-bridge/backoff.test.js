@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { reconnectDelay } from './backoff.js';
+
+const options = { baseDelayMs: 1000, maxDelayMs: 60000 };
+
+test('doubles the ceiling with each attempt', () => {
+  const ceilings = [1, 2, 3, 4].map((attempt) => reconnectDelay(attempt, { ...options, random: () => 1 }));
+  assert.deepEqual(ceilings, [1000, 2000, 4000, 8000]);
+});
+
+test('jitters between half and all of the ceiling', () => {
+  assert.equal(reconnectDelay(3, { ...options, random: () => 0 }), 2000);
+  assert.equal(reconnectDelay(3, { ...options, random: () => 0.5 }), 3000);
+
+  for (let i = 0; i < 100; i++) {
+    const delay = reconnectDelay(3, options);
+    assert.ok(delay >= 2000 && delay <= 4000, `${delay} out of range`);
+  }
+});
+
+test('caps the delay at maxDelayMs', () => {
+  assert.equal(reconnectDelay(20, { ...options, random: () => 1 }), 60000);
+  assert.equal(reconnectDelay(20, { ...options, random: () => 0 }), 30000);
+});
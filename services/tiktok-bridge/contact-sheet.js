@@ -0,0 +1,35 @@
+/**
+ * Contact Sheet Sampling
+ *
+ * Picks the frames tiled into a stream's end-of-show contact sheet from the
+ * periodic thumbnail captures, at a memory cost bounded however long the
+ * show runs. Tiling the frames (ffmpeg) stays in server.js.
+ */
+
+/**
+ * Sample a capture for the contact sheet. `samples` is
+ * `{ frames: Buffer[], frameStride, captures }`, starting at `[]`, 1 and 0, and
+ * holds at most 2 * `sheetFrames` frames: when full, every other frame is
+ * dropped and the sampling rate halves, so the sheet spans the whole show.
+ * @returns {boolean} Whether the frame was kept (and the sheet needs rebuilding)
+ */
+export function addContactSheetFrame(samples, thumbnailBase64, sheetFrames) {
+  if (samples.captures++ % samples.frameStride !== 0) return false;
+
+  samples.frames.push(Buffer.from(thumbnailBase64, 'base64'));
+  if (samples.frames.length >= 2 * sheetFrames) {
+    samples.frames = samples.frames.filter((_, i) => i % 2 === 0);
+    samples.frameStride *= 2;
+  }
+  return samples.frames.length > 1;
+}
+
+/**
+ * `count` items spread evenly over `items`, keeping the first and last.
+ */
+export function pickEvenly(items, count) {
+  if (items.length <= count) return items;
+  return Array.from({ length: count }, (_, i) =>
+    items[Math.round(i * (items.length - 1) / ((count - 1) || 1))]
+  );
+}
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addContactSheetFrame, pickEvenly } from './contact-sheet.js';
+
+const capture = (i) => Buffer.from(`frame ${i}`).toString('base64');
+const captured = (samples) => samples.frames.map((frame) => Number(frame.toString().split(' ')[1]));
+
+test('keeps every capture until twice the sheet size, then halves the sampling rate', () => {
+  const samples = { frames: [], frameStride: 1, captures: 0 };
+  const kept = Array.from({ length: 9 }, (_, i) => addContactSheetFrame(samples, capture(i), 2));
+
+  // A single frame isn't worth a sheet; skipped captures don't change it
+  assert.deepEqual(kept, [false, true, true, true, true, false, true, false, true]);
+  assert.deepEqual(captured(samples), [0, 4, 8]);
+  assert.equal(samples.frameStride, 4);
+});
+
+test('stays bounded over a long show and still spans it', () => {
+  const samples = { frames: [], frameStride: 1, captures: 0 };
+  for (let i = 0; i < 1000; i++) {
+    addContactSheetFrame(samples, capture(i), 6);
+    assert.ok(samples.frames.length < 12);
+  }
+
+  const frames = captured(samples);
+  assert.equal(frames[0], 0);
+  // The newest frame is at most one sampling interval old
+  assert.ok(frames.at(-1) >= 1000 - samples.frameStride, `last frame ${frames.at(-1)}`);
+});
+
+test('pickEvenly spreads the picks from first to last', () => {
+  const items = Array.from({ length: 10 }, (_, i) => i);
+  assert.deepEqual(pickEvenly(items, 4), [0, 3, 6, 9]);
+  assert.deepEqual(pickEvenly(items, 1), [0]);
+  assert.equal(pickEvenly(items, 10), items);
+  assert.equal(pickEvenly(items, 20), items);
+});
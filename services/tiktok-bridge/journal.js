@@ -0,0 +1,201 @@
+/**
+ * Event Journal
+ *
+ * Durable, size-capped log of every event the bridge broadcasts, kept per stream.
+ * Each event is stamped with a monotonically increasing `seq` (shared across all
+ * streams) so a reconnecting client can ask for everything it missed with
+ * `/events?since=<seq>` before live traffic resumes, and with `emittedAt` (Unix
+ * ms) so a journal file can be replayed at its original pace (see mock-source.js).
+ *
+ * On-disk layout (one pair of files per uniqueId):
+ *   <dir>/<uniqueId>.jsonl     - current segment, one JSON event per line
+ *   <dir>/<uniqueId>.jsonl.1   - previous segment, dropped on the next rotation
+ *
+ *   <dir>/EPOCH                - id of this run of sequence numbers
+ *
+ * A stream's current segment rotates once it reaches half of `maxBytesPerStream`,
+ * so the two segments together never exceed the cap.
+ *
+ * Sequence numbers only keep increasing while the directory survives. When it
+ * doesn't (the OS temp dir on a fresh container), `seq` starts again from 0
+ * under a new `epoch`, which tells clients their last seen seq no longer
+ * applies.
+ *
+ * Appends are synchronous, so an event's seq and its journal line are settled
+ * before the live fan-out. Reads for replay are async; the server holds back a
+ * replaying client's live events until its backlog has been sent.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const CURRENT_SUFFIX = '.jsonl';
+const ROTATED_SUFFIX = '.jsonl.1';
+const EPOCH_FILE = 'EPOCH';
+
+export class EventJournal {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory holding the journal files
+   * @param {number} options.maxBytesPerStream - Disk cap for a single stream's journal
+   */
+  constructor({ dir, maxBytesPerStream }) {
+    this.dir = dir;
+    this.segmentMaxBytes = Math.max(1, Math.floor(maxBytesPerStream / 2));
+    this.lastSeq = 0;
+    this.epoch = null;
+    // Current segment size per stream: Map<uniqueId, bytes>
+    this.segmentSizes = new Map();
+  }
+
+  /**
+   * Create the journal directory and recover the epoch and last sequence number,
+   * so sequence numbers keep increasing across bridge restarts.
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!isSegment(file)) continue;
+
+      const events = readSegmentSync(path.join(this.dir, file));
+      const last = events[events.length - 1];
+      if (last && last.seq > this.lastSeq) {
+        this.lastSeq = last.seq;
+      }
+    }
+
+    const epochPath = path.join(this.dir, EPOCH_FILE);
+    try {
+      this.epoch = fs.readFileSync(epochPath, 'utf8').trim() || null;
+    } catch {}
+
+    if (!this.epoch) {
+      this.epoch = crypto.randomBytes(8).toString('hex');
+      fs.writeFileSync(epochPath, this.epoch);
+    }
+
+    console.log(`Event journal opened at ${this.dir} (epoch: ${this.epoch}, last seq: ${this.lastSeq})`);
+  }
+
+  /**
+   * Stamp an event with the next sequence number and the current time, and append
+   * it to its stream's journal.
+   * Disk errors are logged, never thrown: losing durability must not stop live delivery.
+   * @returns {object} The event including its `seq` and `emittedAt`
+   */
+  append(event) {
+    const stamped = { seq: ++this.lastSeq, emittedAt: Date.now(), ...event };
+    const uniqueId = event.uniqueId || '_bridge';
+    const line = JSON.stringify(stamped) + '\n';
+
+    try {
+      const size = this.segmentSize(uniqueId);
+      if (size > 0 && size + Buffer.byteLength(line) > this.segmentMaxBytes) {
+        this.rotate(uniqueId);
+      }
+
+      fs.appendFileSync(this.segmentPath(uniqueId, CURRENT_SUFFIX), line);
+      this.segmentSizes.set(uniqueId, this.segmentSize(uniqueId) + Buffer.byteLength(line));
+    } catch (err) {
+      console.error(`[${uniqueId}] Failed to journal event ${stamped.seq}:`, err.message);
+    }
+
+    return stamped;
+  }
+
+  /**
+   * All journaled events with a sequence number greater than `since`, oldest first.
+   * `uniqueIds` (a Set) limits the read to those streams' files.
+   */
+  async readSince(since, { uniqueIds = null } = {}) {
+    let files;
+    if (uniqueIds) {
+      // Current before rotated: a rotation in between then duplicates events
+      // (dropped below) rather than skipping the segment being renamed
+      files = [...uniqueIds].flatMap((uniqueId) => [
+        this.segmentPath(uniqueId, CURRENT_SUFFIX),
+        this.segmentPath(uniqueId, ROTATED_SUFFIX)
+      ]);
+    } else {
+      const names = (await fs.promises.readdir(this.dir)).filter(isSegment).sort();
+      files = names.map((name) => path.join(this.dir, name));
+    }
+
+    const events = new Map();
+    for (const file of files) {
+      for (const event of await readSegment(file)) {
+        if (event.seq > since) {
+          events.set(event.seq, event);
+        }
+      }
+    }
+
+    return [...events.values()].sort((a, b) => a.seq - b.seq);
+  }
+
+  rotate(uniqueId) {
+    fs.renameSync(
+      this.segmentPath(uniqueId, CURRENT_SUFFIX),
+      this.segmentPath(uniqueId, ROTATED_SUFFIX)
+    );
+    this.segmentSizes.set(uniqueId, 0);
+  }
+
+  segmentSize(uniqueId) {
+    if (!this.segmentSizes.has(uniqueId)) {
+      let size = 0;
+      try {
+        size = fs.statSync(this.segmentPath(uniqueId, CURRENT_SUFFIX)).size;
+      } catch {}
+      this.segmentSizes.set(uniqueId, size);
+    }
+    return this.segmentSizes.get(uniqueId);
+  }
+
+  segmentPath(uniqueId, suffix) {
+    // TikTok handles are [A-Za-z0-9_.]; anything else is flattened to keep paths safe
+    const safeId = String(uniqueId).replace(/[^A-Za-z0-9_.-]/g, '_');
+    return path.join(this.dir, safeId + suffix);
+  }
+}
+
+function isSegment(file) {
+  return file.endsWith(CURRENT_SUFFIX) || file.endsWith(ROTATED_SUFFIX);
+}
+
+async function readSegment(filePath) {
+  try {
+    return parseSegment(await fs.promises.readFile(filePath, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+function readSegmentSync(filePath) {
+  try {
+    return parseSegment(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Parse a journal segment, skipping a torn final line left by a crash mid-write.
+ */
+function parseSegment(content) {
+  const events = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    try {
+      const event = JSON.parse(line);
+      if (Number.isInteger(event.seq)) {
+        events.push(event);
+      }
+    } catch {
+      // Partial line from an interrupted write
+    }
+  }
+  return events;
+}
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventJournal } from './journal.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function openJournal(dir, maxBytesPerStream = 1024 * 1024) {
+  const journal = new EventJournal({ dir, maxBytesPerStream });
+  // open() reports where it is; keep test output clean
+  const log = console.log;
+  console.log = () => {};
+  try {
+    journal.open();
+  } finally {
+    console.log = log;
+  }
+  return journal;
+}
+
+test('numbers events across streams and replays those after `since`', async (t) => {
+  const journal = openJournal(tempDir(t));
+  journal.append({ uniqueId: 'a', type: 'chat' });
+  journal.append({ uniqueId: 'b', type: 'chat' });
+  const third = journal.append({ uniqueId: 'a', type: 'gift' });
+  journal.append({ type: 'jobRejected' });
+
+  assert.equal(third.seq, 3);
+  assert.equal(typeof third.emittedAt, 'number');
+  assert.deepEqual((await journal.readSince(1)).map((event) => event.seq), [2, 3, 4]);
+  assert.deepEqual((await journal.readSince(0, { uniqueIds: new Set(['a']) })).map((event) => event.seq), [1, 3]);
+  assert.deepEqual(await journal.readSince(4), []);
+});
+
+test('keeps sequence numbers and epoch across restarts, with a new epoch for a new directory', (t) => {
+  const dir = tempDir(t);
+  const first = openJournal(dir);
+  first.append({ uniqueId: 'a', type: 'chat' });
+  first.append({ uniqueId: 'a', type: 'chat' });
+
+  const reopened = openJournal(dir);
+  assert.equal(reopened.epoch, first.epoch);
+  assert.equal(reopened.append({ uniqueId: 'a', type: 'chat' }).seq, 3);
+
+  const fresh = openJournal(tempDir(t));
+  assert.notEqual(fresh.epoch, first.epoch);
+  assert.equal(fresh.lastSeq, 0);
+});
+
+test('rotates a stream within its cap, dropping the oldest events', async (t) => {
+  const dir = tempDir(t);
+  const journal = openJournal(dir, 1000);
+  const text = 'x'.repeat(100);
+  for (let i = 0; i < 20; i++) journal.append({ uniqueId: 'a', type: 'chat', text });
+
+  const size = (name) => fs.statSync(path.join(dir, name)).size;
+  assert.ok(size('a.jsonl') + size('a.jsonl.1') <= 1000);
+
+  const seqs = (await journal.readSince(0)).map((event) => event.seq);
+  assert.equal(seqs[seqs.length - 1], 20);
+  assert.ok(seqs[0] > 1);
+  // Contiguous: rotation drops whole older segments, never events in between
+  assert.deepEqual(seqs, seqs.map((_, i) => seqs[0] + i));
+});
+
+test('skips a torn line left by a crash mid-write', async (t) => {
+  const dir = tempDir(t);
+  const journal = openJournal(dir);
+  journal.append({ uniqueId: 'a', type: 'chat' });
+  journal.append({ uniqueId: 'a', type: 'chat' });
+  fs.appendFileSync(path.join(dir, 'a.jsonl'), '{"seq":3,"uniqueId":"a","ty');
+
+  assert.deepEqual((await journal.readSince(0)).map((event) => event.seq), [1, 2]);
+  // The torn event never counted, so the next one reuses its number
+  assert.equal(openJournal(dir).lastSeq, 2);
+});
@@ -0,0 +1,166 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4).
+ *
+ * Just enough of a client for the bridge's /metrics endpoint: counters, gauges
+ * and histograms with labels, plus scrape-time gauges computed by a callback.
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25];
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    // Map<labelKey, { labels, value }>
+    this.series = new Map();
+  }
+
+  entry(labels, init) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, value: init() });
+    }
+    return this.series.get(key);
+  }
+
+  remove(labels = {}) {
+    this.series.delete(labelKey(labels));
+  }
+
+  lines() {
+    return Array.from(this.series.values(), ({ labels, value }) =>
+      `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels, () => 0).value += value;
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {Function} [collect] - Called at scrape time; returns [{ labels, value }]
+   *   and replaces any values set directly.
+   */
+  constructor(name, help, collect = null) {
+    super('gauge', name, help);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => 0).value = value;
+  }
+
+  lines() {
+    if (this.collect) {
+      this.series.clear();
+      for (const { labels, value } of this.collect()) {
+        this.set(labels, value);
+      }
+    }
+    return super.lines();
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((le, i) => {
+      if (value <= le) entry.value.counts[i]++;
+    });
+    entry.value.sum += value;
+    entry.value.count++;
+  }
+
+  /**
+   * Start a timer; call the returned function to record the elapsed seconds.
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: String(le) })} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    const out = [];
+    for (const metric of this.metrics) {
+      out.push(`# HELP ${metric.name} ${metric.help}`);
+      out.push(`# TYPE ${metric.name} ${metric.type}`);
+      out.push(...metric.lines());
+    }
+    return out.join('\n') + '\n';
+  }
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
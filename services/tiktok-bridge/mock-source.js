@@ -0,0 +1,295 @@
+/**
+ * Mock TikTok Source
+ *
+ * Stand-in for tiktok-live-connector's WebcastPushConnection, selected with
+ * MOCK_SOURCE=true. It emits the same library events (`chat`, `gift`, `rawData`, ...)
+ * so everything downstream of connectToStream - broadcast, journal, BridgeClient
+ * and the live dashboards - runs unchanged without a creator being live.
+ *
+ * Two modes:
+ *   - Synthetic: random chat, gifts, likes and joins at the configured rates
+ *     (events/second, Poisson-distributed), a drifting viewer count, and a
+ *     shopping script encoded as real protobuf so it goes through the decoder.
+ *   - Replay: re-emits a recorded JSONL file (a journal file, or anything with
+ *     one `{ type, data, emittedAt }` event per line) at `replaySpeed`x.
+ *
+ * Shopping script (JSON): either an array of steps run once, or
+ * `{ "loopSeconds": 120, "steps": [...] }` to repeat. Each step is
+ * `{ "at": <seconds>, "type": "pin" | "order" | "coupon", "product": {...}, ... }`.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import { encodeShoppingMessage } from './shopping.js';
+
+// Bridge event types that map 1:1 onto library events with the same data shape
+const REPLAYABLE_EVENTS = ['chat', 'gift', 'like', 'member', 'roomUser', 'social', 'follow', 'share', 'liveIntro', 'envelope'];
+
+const VIEWER_UPDATE_MS = 5000;
+
+const SAMPLE_PRODUCTS = [
+  { productId: '1729384756102938', title: 'Gold Huggie Hoop Earrings', price: '$14.95', coverUrl: 'https://picsum.photos/seed/huggie/400' },
+  { productId: '1729384756102939', title: 'Freshwater Pearl Necklace', price: '$24.95', coverUrl: 'https://picsum.photos/seed/pearl/400' },
+  { productId: '1729384756102940', title: 'Cubic Zirconia Tennis Bracelet', price: '$19.95', coverUrl: 'https://picsum.photos/seed/tennis/400' }
+];
+
+// Used when no MOCK_SHOPPING_SCRIPT is given: pin each sample product in turn
+const DEFAULT_SHOPPING_SCRIPT = {
+  loopSeconds: 90 * SAMPLE_PRODUCTS.length,
+  steps: SAMPLE_PRODUCTS.flatMap((product, i) => [
+    { at: i * 90 + 5, type: 'pin', product },
+    { at: i * 90 + 30, type: 'order', product, orderCount: 1 },
+    { at: i * 90 + 60, type: 'coupon', product, coupon: { couponId: `MOCK${i}`, title: '10% off', discount: '10%', threshold: '$20' } }
+  ])
+};
+
+const COMMENTS = [
+  'Hi from Texas!', 'how much is this?', 'does it tarnish?', 'love it 😍', 'can you show the clasp?',
+  'is it hypoallergenic', 'just ordered!', 'what length is the necklace?', 'so pretty', 'link please'
+];
+
+const GIFTS = [
+  { giftId: 5655, giftName: 'Rose', diamondCount: 1 },
+  { giftId: 5487, giftName: 'Finger Heart', diamondCount: 5 },
+  { giftId: 6064, giftName: 'GG', diamondCount: 1 },
+  { giftId: 5827, giftName: 'Ice Cream Cone', diamondCount: 1 },
+  { giftId: 11046, giftName: 'Galaxy', diamondCount: 1000 }
+];
+
+export class MockPushConnection extends EventEmitter {
+  /**
+   * @param {string} uniqueId - Stream to pretend to connect to
+   * @param {object} config
+   * @param {object} config.rates - Events per second: { chat, gift, like, join }
+   * @param {number} config.viewerCount - Starting viewer count
+   * @param {number} config.durationSeconds - End the stream after this long; 0 runs until disconnected
+   * @param {string|null} config.shoppingScript - Path to a shopping script; null uses the built-in one
+   * @param {string|null} config.replayFile - JSONL file to replay instead of synthetic events
+   * @param {number} config.replaySpeed - Replay speed multiplier; 0 replays without delays
+   * @param {string|null} config.streamUrl - Pull URL exposed to thumbnail capture and recording
+   */
+  constructor(uniqueId, config) {
+    super();
+    this.uniqueId = uniqueId;
+    this.config = config;
+    this.timers = new Set();
+    this.isConnected = false;
+    this.totalLikeCount = 0;
+    this.viewerCount = config.viewerCount;
+    this.nextUserId = 1;
+  }
+
+  /**
+   * Same contract as WebcastPushConnection.connect(): emits `connected`, resolves with the state.
+   */
+  async connect() {
+    if (this.isConnected) {
+      throw new Error('Already connected!');
+    }
+
+    // Read up front so a bad file fails the connect like a real connection error would
+    const replayEvents = this.config.replayFile ? readReplayFile(this.config.replayFile) : null;
+    const shoppingScript = replayEvents ? null : loadShoppingScript(this.config.shoppingScript);
+
+    const state = { isConnected: true, roomId: `mock-${this.uniqueId}`, roomInfo: await this.getRoomInfo() };
+    this.isConnected = true;
+    this.emit('connected', state);
+
+    if (replayEvents) {
+      console.log(`[${this.uniqueId}] Mock source replaying ${replayEvents.length} events at ${this.config.replaySpeed || 'max'}x`);
+      this.replay(replayEvents, 0);
+    } else {
+      console.log(`[${this.uniqueId}] Mock source generating synthetic events`);
+      this.startSynthetic(shoppingScript);
+    }
+
+    return state;
+  }
+
+  disconnect() {
+    if (!this.isConnected) return;
+
+    this.isConnected = false;
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.emit('disconnected');
+  }
+
+  async getRoomInfo() {
+    return {
+      id_str: `mock-${this.uniqueId}`,
+      status: 2,
+      title: `Mock stream for @${this.uniqueId}`,
+      viewerCount: this.viewerCount,
+      stream_url: this.config.streamUrl ? { hls_pull_url: this.config.streamUrl } : {}
+    };
+  }
+
+  /**
+   * Emit `streamEnd` and disconnect, the way the library handles a control message
+   */
+  endStream() {
+    if (!this.isConnected) return;
+    this.emit('streamEnd', { action: 3 });
+    this.disconnect();
+  }
+
+  schedule(delayMs, fn) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (this.isConnected) fn();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  startSynthetic(shoppingScript) {
+    const { rates, durationSeconds } = this.config;
+
+    this.every(rates.chat, () => this.emit('chat', { ...this.randomUser(), msgId: String(Date.now()), comment: pick(COMMENTS), createTime: String(Date.now()) }));
+    this.every(rates.gift, () => {
+      const repeatCount = 1 + Math.floor(Math.random() * 3);
+      this.emit('gift', { ...this.randomUser(), ...pick(GIFTS), repeatCount, repeatEnd: true, createTime: String(Date.now()) });
+    });
+    this.every(rates.like, () => {
+      const likeCount = 1 + Math.floor(Math.random() * 15);
+      this.totalLikeCount += likeCount;
+      this.emit('like', { ...this.randomUser(), likeCount, totalLikeCount: this.totalLikeCount });
+    });
+    this.every(rates.join, () => this.emit('member', { ...this.randomUser(), actionId: 1 }));
+
+    const updateViewers = () => {
+      // Random walk, never below zero
+      this.viewerCount = Math.max(0, Math.round(this.viewerCount * (0.95 + Math.random() * 0.1)));
+      this.emit('roomUser', { viewerCount: this.viewerCount });
+      this.schedule(VIEWER_UPDATE_MS, updateViewers);
+    };
+    updateViewers();
+
+    this.runShoppingScript(shoppingScript);
+
+    if (durationSeconds > 0) {
+      this.schedule(durationSeconds * 1000, () => this.endStream());
+    }
+  }
+
+  /**
+   * Call `fn` at `ratePerSecond` on average, with exponentially distributed gaps
+   */
+  every(ratePerSecond, fn) {
+    if (!(ratePerSecond > 0)) return;
+
+    const next = () => {
+      this.schedule(-Math.log(1 - Math.random()) / ratePerSecond * 1000, () => {
+        fn();
+        next();
+      });
+    };
+    next();
+  }
+
+  runShoppingScript({ steps, loopSeconds }) {
+    for (const step of steps) {
+      this.schedule(step.at * 1000, () => this.emitShoppingStep(step));
+    }
+    if (loopSeconds > 0) {
+      this.schedule(loopSeconds * 1000, () => this.runShoppingScript({ steps, loopSeconds }));
+    }
+  }
+
+  emitShoppingStep(step) {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    switch (step.type) {
+      case 'pin':
+        this.emitRawShopping('WebcastOecLiveShoppingMessage', {
+          action: 1,
+          product: step.product,
+          timings: { startTime: nowSeconds }
+        });
+        break;
+
+      case 'order':
+        this.emitRawShopping('WebcastVideoLiveGoodsOrderMessage', {
+          product: step.product,
+          orderCount: step.orderCount || 1,
+          buyerNickname: step.buyerNickname || this.randomUser().nickname
+        });
+        break;
+
+      case 'coupon':
+        this.emitRawShopping('WebcastVideoLiveCouponRcmdMessage', {
+          coupon: { expireTime: nowSeconds + 3600, ...step.coupon },
+          product: step.product
+        });
+        break;
+
+      default:
+        console.warn(`[${this.uniqueId}] Unknown mock shopping step type: ${step.type}`);
+    }
+  }
+
+  emitRawShopping(messageType, message) {
+    const common = { method: messageType, createTime: Date.now() };
+    this.emit('rawData', messageType, encodeShoppingMessage(messageType, { common, ...message }));
+  }
+
+  randomUser() {
+    const id = this.nextUserId++ % 500;
+    return {
+      userId: String(7000000000000000000n + BigInt(id)),
+      uniqueId: `mock_viewer_${id}`,
+      nickname: `Viewer ${id}`
+    };
+  }
+
+  replay(events, index) {
+    if (index >= events.length) {
+      console.log(`[${this.uniqueId}] Mock replay finished`);
+      this.endStream();
+      return;
+    }
+
+    const event = events[index];
+    if (REPLAYABLE_EVENTS.includes(event.type)) {
+      this.emit(event.type, event.data || {});
+    } else if (event.type === 'rawShopping' && event.data?.payload) {
+      this.emit('rawData', event.data.messageType, Buffer.from(event.data.payload, 'base64'));
+    } else if (event.type === 'streamEnd') {
+      this.endStream();
+      return;
+    }
+    // Everything else (bridge lifecycle, thumbnails, already-decoded shopping
+    // events) isn't something TikTok sends and is regenerated by the bridge itself
+
+    const nextEvent = events[index + 1];
+    const gapMs = nextEvent?.emittedAt && event.emittedAt ? Math.max(0, nextEvent.emittedAt - event.emittedAt) : 0;
+    const delayMs = this.config.replaySpeed > 0 ? gapMs / this.config.replaySpeed : 0;
+    this.schedule(delayMs, () => this.replay(events, index + 1));
+  }
+}
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function readReplayFile(filePath) {
+  const events = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Torn or hand-edited line
+    }
+  }
+  return events;
+}
+
+function loadShoppingScript(filePath) {
+  if (!filePath) return DEFAULT_SHOPPING_SCRIPT;
+
+  const script = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Array.isArray(script) ? { steps: script, loopSeconds: 0 } : { loopSeconds: 0, ...script };
+}
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockPushConnection } from './mock-source.js';
+import { decodeShoppingMessage, encodeShoppingMessage } from './shopping.js';
+
+const EVENTS = ['connected', 'chat', 'gift', 'like', 'member', 'roomUser', 'rawData', 'streamEnd', 'disconnected'];
+
+function mockConnection(t, config) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  // connect() and replay announce themselves; keep test output clean
+  t.mock.method(console, 'log', () => {});
+
+  const connection = new MockPushConnection('alice', {
+    rates: { chat: 0, gift: 0, like: 0, join: 0 },
+    viewerCount: 100,
+    durationSeconds: 0,
+    shoppingScript: null,
+    replayFile: null,
+    replaySpeed: 1,
+    streamUrl: null,
+    ...config
+  });
+
+  const emitted = [];
+  for (const type of EVENTS) {
+    connection.on(type, (...args) => emitted.push({ type, args }));
+  }
+  return { connection, emitted };
+}
+
+// A mock tick fires the timers due by its end, but timers those schedule
+// count from the end of the tick; step through time so chains keep their gaps
+function advance(t, ms, step = 1) {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    t.mock.timers.tick(Math.min(step, ms - elapsed));
+  }
+}
+
+const ofType = (emitted, type) => emitted.filter((event) => event.type === type);
+
+test('generates synthetic events at the configured rates until the stream ends', async (t) => {
+  const { connection, emitted } = mockConnection(t, { rates: { chat: 2, gift: 0, like: 0, join: 0 }, durationSeconds: 60 });
+
+  const state = await connection.connect();
+  assert.equal(state.roomId, 'mock-alice');
+  assert.equal(emitted[0].type, 'connected');
+
+  advance(t, 60_000, 10);
+
+  const chats = ofType(emitted, 'chat');
+  assert.ok(chats.length > 30 && chats.length < 300, `${chats.length} chats in a minute at 2/s`);
+  assert.ok(chats.every(({ args: [chat] }) => chat.comment && chat.uniqueId.startsWith('mock_viewer_')));
+  assert.equal(ofType(emitted, 'gift').length, 0);
+  // A viewer count on connect, then every 5 seconds
+  assert.equal(ofType(emitted, 'roomUser').length, 12);
+  assert.deepEqual(emitted.slice(-2).map((event) => event.type), ['streamEnd', 'disconnected']);
+  assert.equal(connection.isConnected, false);
+
+  const count = emitted.length;
+  advance(t, 60_000, 10);
+  assert.equal(emitted.length, count, 'events after the stream ended');
+});
+
+test('runs the built-in shopping script through the real decoder', async (t) => {
+  const { connection, emitted } = mockConnection(t);
+  await connection.connect();
+
+  advance(t, 5000, 10);
+  const [pin] = ofType(emitted, 'rawData');
+  const [messageType, binary] = pin.args;
+  const decoded = decodeShoppingMessage(messageType, binary);
+  assert.equal(decoded.type, 'productPinned');
+  assert.equal(decoded.data.products[0].title, 'Gold Huggie Hoop Earrings');
+
+  connection.disconnect();
+});
+
+test('replays a recorded file at replaySpeed, skipping what the bridge makes itself', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-source-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const messageType = 'WebcastOecLiveShoppingMessage';
+  const payload = encodeShoppingMessage(messageType, {
+    common: { method: messageType, createTime: 1700000000000 },
+    action: 1,
+    product: { productId: '1', title: 'Pearl Necklace', price: '$24.95' }
+  }).toString('base64');
+
+  const replayFile = path.join(dir, 'alice.jsonl');
+  fs.writeFileSync(replayFile, [
+    { type: 'chat', data: { comment: 'hi' }, emittedAt: 1000 },
+    { type: 'thumbnail', data: {}, emittedAt: 1500 },
+    '{"type": "gift", "data": {"giftName": "Ro',
+    { type: 'gift', data: { giftName: 'Rose' }, emittedAt: 3000 },
+    { type: 'rawShopping', data: { messageType, payload }, emittedAt: 3000 },
+    { type: 'streamEnd', data: {}, emittedAt: 4000 },
+    { type: 'chat', data: { comment: 'after the end' }, emittedAt: 5000 }
+  ].map((line) => typeof line === 'string' ? line : JSON.stringify(line)).join('\n'));
+
+  const { connection, emitted } = mockConnection(t, { replayFile, replaySpeed: 2 });
+  await connection.connect();
+  assert.deepEqual(ofType(emitted, 'chat').map(({ args: [chat] }) => chat.comment), ['hi']);
+
+  // 2s of recorded time between the chat and the gift, at 2x
+  advance(t, 999);
+  assert.equal(ofType(emitted, 'gift').length, 0);
+  advance(t, 1);
+  assert.deepEqual(ofType(emitted, 'gift').map(({ args: [gift] }) => gift.giftName), ['Rose']);
+
+  advance(t, 1);
+  const [raw] = ofType(emitted, 'rawData');
+  assert.equal(decodeShoppingMessage(...raw.args).data.products[0].title, 'Pearl Necklace');
+
+  advance(t, 499);
+  assert.deepEqual(emitted.slice(-2).map((event) => event.type), ['streamEnd', 'disconnected']);
+  advance(t, 10_000, 10);
+  assert.equal(ofType(emitted, 'chat').length, 1);
+});
@@ -0,0 +1,111 @@
+/**
+ * Job Queue
+ *
+ * Caps how many ffmpeg processes the bridge runs at once. Jobs beyond the
+ * concurrency limit wait in a FIFO queue of bounded length; once it is full,
+ * new jobs are rejected with a QueueFullError instead of piling up.
+ *
+ * Jobs carry a key (e.g. `thumbnail:<uniqueId>`). Submitting a key that is
+ * already waiting returns the waiting job's promise rather than queueing a
+ * duplicate, so a slow stream can hold at most one pending job of each kind.
+ */
+
+// Number of recent jobs the wait-time stats are computed over
+const WAIT_SAMPLE_SIZE = 100;
+
+export class QueueFullError extends Error {
+  constructor(pending) {
+    super(`Job queue is full (${pending} pending)`);
+    this.name = 'QueueFullError';
+    this.pending = pending;
+  }
+}
+
+export class JobQueue {
+  /**
+   * @param {object} options
+   * @param {number} options.concurrency - Jobs allowed to run at the same time
+   * @param {number} options.maxPending - Jobs allowed to wait before new ones are rejected
+   * @param {Function} [options.onStart] - Called with (key, waitMs) as each job starts
+   */
+  constructor({ concurrency, maxPending, onStart = () => {} }) {
+    this.concurrency = Math.max(1, concurrency);
+    this.maxPending = Math.max(0, maxPending);
+    this.onStart = onStart;
+    this.running = 0;
+    // Waiting jobs in FIFO order: Map<key, job>
+    this.pending = new Map();
+    this.recentWaits = [];
+    this.totals = { started: 0, deduped: 0, rejected: 0 };
+  }
+
+  /**
+   * Run `task` (a function returning a promise) once a slot is free.
+   * @returns {Promise} Settles with the task's result; rejects with QueueFullError on overflow
+   */
+  run(key, task) {
+    const waiting = this.pending.get(key);
+    if (waiting) {
+      this.totals.deduped++;
+      return waiting.promise;
+    }
+
+    if (this.pending.size >= this.maxPending && this.running >= this.concurrency) {
+      this.totals.rejected++;
+      return Promise.reject(new QueueFullError(this.pending.size));
+    }
+
+    const job = { key, task, enqueuedAt: Date.now() };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.pending.set(key, job);
+    this.drain();
+    return job.promise;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.size > 0) {
+      const [key, job] = this.pending.entries().next().value;
+      this.pending.delete(key);
+      this.running++;
+      this.totals.started++;
+
+      const waitMs = Date.now() - job.enqueuedAt;
+      this.recentWaits.push(waitMs);
+      if (this.recentWaits.length > WAIT_SAMPLE_SIZE) {
+        this.recentWaits.shift();
+      }
+      this.onStart(key, waitMs);
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.running--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Snapshot for /status. Wait times cover the last WAIT_SAMPLE_SIZE started jobs.
+   */
+  stats() {
+    const oldest = this.pending.values().next().value;
+    const waits = this.recentWaits;
+
+    return {
+      running: this.running,
+      pending: this.pending.size,
+      concurrency: this.concurrency,
+      maxPending: this.maxPending,
+      oldestPendingMs: oldest ? Date.now() - oldest.enqueuedAt : 0,
+      avgWaitMs: waits.length ? Math.round(waits.reduce((sum, ms) => sum + ms, 0) / waits.length) : 0,
+      maxWaitMs: waits.length ? Math.max(...waits) : 0,
+      ...this.totals
+    };
+  }
+}
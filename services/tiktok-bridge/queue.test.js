@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue, QueueFullError } from './queue.js';
+
+// A task that finishes when the test says so
+function deferred() {
+  let finish;
+  const done = new Promise((resolve) => { finish = resolve; });
+  return { task: () => done, finish };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('runs at most `concurrency` jobs, starting waiting ones in order', async () => {
+  const started = [];
+  const queue = new JobQueue({ concurrency: 2, maxPending: 5, onStart: (key) => started.push(key) });
+  const jobs = ['a', 'b', 'c', 'd'].map((key) => ({ key, ...deferred() }));
+  const results = jobs.map(({ key, task }) => queue.run(key, task));
+
+  assert.deepEqual(started, ['a', 'b']);
+  assert.equal(queue.stats().running, 2);
+  assert.equal(queue.stats().pending, 2);
+
+  jobs[1].finish('b done');
+  assert.equal(await results[1], 'b done');
+  await tick();
+  assert.deepEqual(started, ['a', 'b', 'c']);
+
+  jobs.forEach(({ finish }) => finish());
+  await Promise.all(results);
+  assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+  assert.equal(queue.stats().running, 0);
+});
+
+test('shares a waiting job with the same key', async () => {
+  const queue = new JobQueue({ concurrency: 1, maxPending: 5 });
+  const running = deferred();
+  const waiting = deferred();
+  queue.run('thumbnail:a', running.task);
+
+  const first = queue.run('thumbnail:b', waiting.task);
+  const second = queue.run('thumbnail:b', () => assert.fail('duplicate job ran'));
+  assert.equal(first, second);
+  assert.equal(queue.stats().deduped, 1);
+
+  running.finish();
+  waiting.finish('frame');
+  assert.equal(await second, 'frame');
+});
+
+test('rejects new jobs once the queue is full', async () => {
+  const queue = new JobQueue({ concurrency: 1, maxPending: 1 });
+  const running = deferred();
+  queue.run('a', running.task);
+  const waiting = queue.run('b', () => 'b');
+
+  await assert.rejects(queue.run('c', () => 'c'), (err) => err instanceof QueueFullError && err.pending === 1);
+  assert.equal(queue.stats().rejected, 1);
+
+  running.finish();
+  assert.equal(await waiting, 'b');
+  // Room again
+  assert.equal(await queue.run('c', () => 'c'), 'c');
+});
+
+test('a failing job frees its slot', async () => {
+  const queue = new JobQueue({ concurrency: 1, maxPending: 1 });
+  await assert.rejects(queue.run('a', () => Promise.reject(new Error('ffmpeg died'))), /ffmpeg died/);
+  assert.equal(await queue.run('b', () => 'b'), 'b');
+});
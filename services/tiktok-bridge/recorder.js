@@ -0,0 +1,255 @@
+/**
+ * Stream Recorder
+ *
+ * Remuxes a live stream (HLS, FLV, or RTMP pull URL) into rolling segment files
+ * with ffmpeg's segment muxer. No re-encoding (`-c copy`), so a recording costs
+ * little CPU. Finished segments are reported through `onSegment` as ffmpeg
+ * writes its segment list (CSV: `filename,start,end`) to stdout.
+ *
+ * On-disk layout:
+ *   <dir>/<uniqueId>/<YYYYMMDD-HHMMSS>.<ts|mp4>
+ *
+ * Recordings do not go through the ffmpeg job queue: they run for the whole
+ * show, and queueing them would block thumbnails for hours.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+// How long a graceful stop may take to finalize the last segment
+const STOP_TIMEOUT_MS = 10000;
+
+export const RECORDING_FORMATS = ['ts', 'mp4'];
+
+export class Recorder {
+  /**
+   * @param {object} options
+   * @param {string} options.uniqueId - Stream being recorded
+   * @param {string} options.dir - Root recording directory
+   * @param {string} options.format - Segment container, `ts` or `mp4`
+   * @param {number} options.segmentSeconds - Target segment length
+   * @param {Function} options.onSegment - Called with { file, path, bytes, startTime, endTime, duration }
+   * @param {Function} options.onExit - Called with (error|null) when ffmpeg exits
+   */
+  constructor({ uniqueId, dir, format, segmentSeconds, onSegment, onExit }) {
+    this.uniqueId = uniqueId;
+    this.dir = streamDir(dir, uniqueId);
+    this.format = format;
+    this.segmentSeconds = segmentSeconds;
+    this.onSegment = onSegment;
+    this.onExit = onExit;
+    this.process = null;
+    this.stopping = false;
+    this.stopped = null;
+    this.startedAt = null;
+    this.segments = 0;
+    this.bytes = 0;
+  }
+
+  get running() {
+    return this.process !== null;
+  }
+
+  /**
+   * Spawn ffmpeg against `streamUrl`. Also used to resume after ffmpeg died
+   * (e.g. the pull URL changed on reconnect); the segment count carries over.
+   */
+  start(streamUrl) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'error'
+    ];
+
+    if (streamUrl.startsWith('http')) {
+      // Ride out short CDN hiccups instead of ending the recording
+      args.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5');
+    }
+
+    args.push(
+      '-user_agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      '-headers', 'Referer: https://www.tiktok.com/\r\n',
+      '-i', streamUrl,
+      '-map', '0',
+      '-c', 'copy',
+      '-f', 'segment',
+      '-segment_time', String(this.segmentSeconds),
+      '-segment_format', this.format === 'mp4' ? 'mp4' : 'mpegts',
+      '-reset_timestamps', '1',
+      '-strftime', '1',
+      '-segment_list', 'pipe:1',
+      '-segment_list_type', 'csv',
+      path.join(this.dir, `%Y%m%d-%H%M%S.${this.format}`)
+    );
+
+    console.log(`[${this.uniqueId}] Recording to ${this.dir} (${this.format}, ${this.segmentSeconds}s segments)`);
+
+    const ffmpegProcess = spawn('ffmpeg', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    this.process = ffmpegProcess;
+    this.stopping = false;
+    this.stopped = null;
+    this.startedAt = this.startedAt || Date.now();
+
+    let stdout = '';
+    let stderr = '';
+
+    ffmpegProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+      const lines = stdout.split('\n');
+      stdout = lines.pop();
+      for (const line of lines) {
+        this.handleListEntry(line.trim());
+      }
+    });
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      // Keep only the tail; a long recording can log a lot
+      stderr = (stderr + data.toString()).slice(-2000);
+    });
+
+    ffmpegProcess.on('error', (err) => {
+      console.error(`[${this.uniqueId}] Recording spawn error:`, err.message);
+    });
+
+    // Writing `q` to an ffmpeg that already exited fails with EPIPE; unhandled,
+    // that stream error would take the whole bridge down
+    ffmpegProcess.stdin.on('error', (err) => {
+      console.warn(`[${this.uniqueId}] Recording stdin closed (${err.code || err.message})`);
+      if (this.stopping && this.process === ffmpegProcess) {
+        ffmpegProcess.kill('SIGTERM');
+      }
+    });
+
+    ffmpegProcess.on('close', (code, signal) => {
+      clearTimeout(this.killTimer);
+      this.process = null;
+
+      if (this.stopping || code === 0) {
+        console.log(`[${this.uniqueId}] Recording finished (${this.segments} segments)`);
+        this.onExit(null);
+        return;
+      }
+
+      console.error(`[${this.uniqueId}] Recording ffmpeg exited (${signal || code}):`, stderr);
+      this.onExit(new Error(signal ? `FFmpeg killed by ${signal}` : `FFmpeg exited with code ${code}`));
+    });
+  }
+
+  /**
+   * Ask ffmpeg to finish the current segment and exit; killed if it takes too long.
+   * @returns {Promise<void>} Resolves once the process has exited
+   */
+  stop() {
+    const ffmpegProcess = this.process;
+    if (!ffmpegProcess) return Promise.resolve();
+
+    if (!this.stopped) {
+      this.stopping = true;
+      this.stopped = new Promise((resolve) => {
+        ffmpegProcess.once('close', () => resolve());
+        this.killTimer = setTimeout(() => ffmpegProcess.kill('SIGKILL'), STOP_TIMEOUT_MS);
+        // `q` on stdin is ffmpeg's graceful quit; SIGTERM if stdin is already gone
+        if (ffmpegProcess.stdin.writable) {
+          ffmpegProcess.stdin.end('q');
+        } else {
+          ffmpegProcess.kill('SIGTERM');
+        }
+      });
+    }
+    return this.stopped;
+  }
+
+  handleListEntry(line) {
+    if (!line) return;
+
+    // The filename comes first and may itself be quoted if it contains commas
+    const match = line.match(/^"?(.*?)"?,([\d.]+),([\d.]+)$/);
+    if (!match) return;
+
+    const [, file, start, end] = match;
+    const segmentPath = path.join(this.dir, path.basename(file));
+    let bytes = 0;
+    try {
+      bytes = fs.statSync(segmentPath).size;
+    } catch {}
+
+    this.segments++;
+    this.bytes += bytes;
+
+    this.onSegment({
+      file: path.basename(file),
+      path: segmentPath,
+      bytes,
+      startTime: Number(start),
+      endTime: Number(end),
+      duration: Number(end) - Number(start)
+    });
+  }
+}
+
+/**
+ * Delete old segments across all streams: anything older than `maxAgeMs`, then
+ * the oldest files until the total is within `maxBytes`. The newest file in each
+ * of `activeDirs` is the segment ffmpeg is still writing and is never removed.
+ * A limit of 0 disables it.
+ * @returns {string[]} Deleted file paths
+ */
+export function pruneRecordings(dir, { maxAgeMs, maxBytes, activeDirs = new Set() }) {
+  const files = [];
+  try {
+    for (const stream of fs.readdirSync(dir)) {
+      const sub = path.join(dir, stream);
+      if (!fs.statSync(sub).isDirectory()) continue;
+
+      const segments = fs.readdirSync(sub)
+        .filter(name => RECORDING_FORMATS.some(ext => name.endsWith(`.${ext}`)))
+        .map(name => {
+          const filePath = path.join(sub, name);
+          const { size, mtimeMs } = fs.statSync(filePath);
+          return { path: filePath, size, mtimeMs };
+        })
+        .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+      if (activeDirs.has(sub)) segments.pop();
+      files.push(...segments);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to scan recordings:', err.message);
+    }
+    return [];
+  }
+
+  files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  const deleted = [];
+  const remove = (file) => {
+    try {
+      fs.unlinkSync(file.path);
+      deleted.push(file.path);
+    } catch (err) {
+      console.error(`Failed to delete recording ${file.path}:`, err.message);
+    }
+  };
+
+  const cutoff = Date.now() - maxAgeMs;
+  while (maxAgeMs > 0 && files.length > 0 && files[0].mtimeMs < cutoff) {
+    remove(files.shift());
+  }
+
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  while (maxBytes > 0 && files.length > 0 && total > maxBytes) {
+    const file = files.shift();
+    total -= file.size;
+    remove(file);
+  }
+
+  return deleted;
+}
+
+function streamDir(dir, uniqueId) {
+  // Same flattening as the journal: TikTok handles are [A-Za-z0-9_.]
+  return path.join(dir, String(uniqueId).replace(/[^A-Za-z0-9_.-]/g, '_'));
+}
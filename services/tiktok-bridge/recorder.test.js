@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pruneRecordings } from './recorder.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A segment of `size` bytes last written `ageMs` ago
+function segment(dir, stream, name, { size = 100, ageMs = 0 } = {}) {
+  const filePath = path.join(dir, stream, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, Buffer.alloc(size));
+  const time = new Date(Date.now() - ageMs);
+  fs.utimesSync(filePath, time, time);
+  return filePath;
+}
+
+test('deletes segments older than maxAgeMs', (t) => {
+  const dir = tempDir(t);
+  const old = segment(dir, 'alice', '20250101-100000.ts', { ageMs: 3 * HOUR_MS });
+  const recent = segment(dir, 'bob', '20250101-120000.mp4', { ageMs: HOUR_MS });
+
+  assert.deepEqual(pruneRecordings(dir, { maxAgeMs: 2 * HOUR_MS, maxBytes: 0 }), [old]);
+  assert.ok(fs.existsSync(recent));
+});
+
+test('deletes the oldest segments across streams until within maxBytes', (t) => {
+  const dir = tempDir(t);
+  const oldest = segment(dir, 'alice', 'a.ts', { ageMs: 3000 });
+  const older = segment(dir, 'bob', 'b.ts', { ageMs: 2000 });
+  const newest = segment(dir, 'alice', 'c.ts', { ageMs: 1000 });
+
+  assert.deepEqual(pruneRecordings(dir, { maxAgeMs: 0, maxBytes: 150 }), [oldest, older]);
+  assert.ok(fs.existsSync(newest));
+});
+
+test('never deletes the segment an active recording is writing', (t) => {
+  const dir = tempDir(t);
+  const finished = segment(dir, 'alice', 'a.ts', { ageMs: 3 * HOUR_MS });
+  const writing = segment(dir, 'alice', 'b.ts', { size: 500, ageMs: 3 * HOUR_MS });
+
+  const deleted = pruneRecordings(dir, {
+    maxAgeMs: HOUR_MS,
+    maxBytes: 100,
+    activeDirs: new Set([path.join(dir, 'alice')])
+  });
+
+  assert.deepEqual(deleted, [finished]);
+  assert.ok(fs.existsSync(writing));
+});
+
+test('leaves other files alone, and disables a limit of 0', (t) => {
+  const dir = tempDir(t);
+  const notes = segment(dir, 'alice', 'notes.txt', { ageMs: 3 * HOUR_MS });
+  const old = segment(dir, 'alice', 'a.ts', { size: 1000, ageMs: 3 * HOUR_MS });
+
+  assert.deepEqual(pruneRecordings(dir, { maxAgeMs: 0, maxBytes: 0 }), []);
+  assert.deepEqual(pruneRecordings(dir, { maxAgeMs: HOUR_MS, maxBytes: 0 }), [old]);
+  assert.ok(fs.existsSync(notes));
+});
+
+test('does nothing when there are no recordings yet', (t) => {
+  assert.deepEqual(pruneRecordings(path.join(tempDir(t), 'missing'), { maxAgeMs: HOUR_MS, maxBytes: 1 }), []);
+});
@@ -4,12 +4,17 @@
  * Connects to TikTok Live streams and forwards events to the Elixir app.
  * Uses tiktok-live-connector library for TikTok protocol handling.
  *
- * API:
+ * API (all routes except /health require a bearer token, see BRIDGE_AUTH_KEYS):
  *   POST /connect       - Start capturing a stream (body: { uniqueId: "username" })
  *   POST /disconnect    - Stop capturing (body: { uniqueId: "username" })
+ *   POST /record        - Record a connected stream to local segments (body: { uniqueId: "username" })
+ *   POST /stop-record   - Stop recording (body: { uniqueId: "username" })
  *   GET  /status        - List active connections
+ *   GET  /metrics       - Prometheus metrics
  *   GET  /health        - Health check
  *   WS   /events        - WebSocket for real-time event streaming to Elixir
+ *                          (?since=<seq>&epoch=<epoch> replays journaled events missed while away)
+ *                          Send { action: "subscribe", uniqueIds: [...], types: [...] } to filter
  */
 
 import http from 'http';
@@ -20,6 +25,16 @@ import { spawn } from 'child_process';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
+import { EventJournal } from './journal.js';
+import { authenticate, parseAuthKeys } from './auth.js';
+import { Registry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics.js';
+import { SHOPPING_MESSAGE_TYPES, decodeShoppingMessage, extractProductDetails } from './shopping.js';
+import { JobQueue, QueueFullError } from './queue.js';
+import { Recorder, RECORDING_FORMATS, pruneRecordings } from './recorder.js';
+import { MockPushConnection } from './mock-source.js';
+import { reconnectDelay } from './backoff.js';
+import { parseSubscription, matchesSubscription } from './subscriptions.js';
+import { addContactSheetFrame, pickEvenly } from './contact-sheet.js';
 
 // Use system ffmpeg (installed via apt in container) for better compatibility
 // ffmpeg-static has issues with FLV streams on certain architectures
@@ -27,23 +42,96 @@ import path from 'path';
 const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || '0.0.0.0';
 const DEBUG_RAW_EVENTS = process.env.DEBUG_RAW_EVENTS === 'true';
-
-// Shopping-related message types to capture via rawData
-const SHOPPING_MESSAGE_TYPES = [
-  'WebcastOecLiveShoppingMessage',
-  'WebcastVideoLiveGoodsOrderMessage',
-  'WebcastVideoLiveGoodsRcmdMessage',
-  'WebcastVideoLiveCouponRcmdMessage',
-  'WebcastLiveEcomMessage',
-  'WebcastLiveShoppingMessage'
-];
+// Also forward every shopping payload as a base64 rawShopping event. On by default
+// while the shopping schema is unverified against real traffic (see shopping.js).
+const RAW_SHOPPING_EVENTS = process.env.RAW_SHOPPING_EVENTS !== 'false';
+// Current and (during rotation) previous shared key. Running without any needs
+// BRIDGE_AUTH_DISABLED=true (local development) or MOCK_SOURCE, never production.
+const AUTH_KEYS = parseAuthKeys(process.env.BRIDGE_AUTH_KEYS);
+const AUTH_DISABLED = AUTH_KEYS.length === 0 &&
+  (process.env.BRIDGE_AUTH_DISABLED === 'true' || process.env.MOCK_SOURCE === 'true') &&
+  process.env.NODE_ENV !== 'production';
+
+if (AUTH_KEYS.length === 0 && !AUTH_DISABLED) {
+  console.error('BRIDGE_AUTH_KEYS is not set. Set it, or BRIDGE_AUTH_DISABLED=true for local development.');
+  process.exit(1);
+}
+const JOURNAL_DIR = process.env.JOURNAL_DIR || path.join(os.tmpdir(), 'tiktok-bridge-journal');
+const JOURNAL_MAX_BYTES = parseInt(process.env.JOURNAL_MAX_BYTES || '', 10) || 5 * 1024 * 1024;
+
+// Reconnect policy for transient drops (streamEnd never reconnects)
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '', 10) || 8;
+const RECONNECT_BASE_DELAY_MS = parseInt(process.env.RECONNECT_BASE_DELAY_MS || '', 10) || 1000;
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.RECONNECT_MAX_DELAY_MS || '', 10) || 60000;
+
+// Thumbnail refresh while a stream is live; 0 captures once on connect only
+const THUMBNAIL_INTERVAL_MINUTES = Number(process.env.THUMBNAIL_INTERVAL_MINUTES ?? 5);
+// Frames tiled into the end-of-stream contact sheet; 0 disables it
+const CONTACT_SHEET_FRAMES = parseInt(process.env.CONTACT_SHEET_FRAMES || '', 10) || 0;
+
+// Bridge-wide cap on ffmpeg processes, and on jobs allowed to wait for one
+const FFMPEG_MAX_CONCURRENCY = parseInt(process.env.FFMPEG_MAX_CONCURRENCY || '', 10) || 2;
+const FFMPEG_MAX_PENDING = parseInt(process.env.FFMPEG_MAX_PENDING || '', 10) || 20;
+
+// Local stream recordings (POST /record); retention limits of 0 disable them
+const RECORDING_DIR = process.env.RECORDING_DIR || path.join(os.tmpdir(), 'tiktok-bridge-recordings');
+const RECORDING_FORMAT = RECORDING_FORMATS.includes(process.env.RECORDING_FORMAT) ? process.env.RECORDING_FORMAT : 'ts';
+const RECORDING_SEGMENT_SECONDS = parseInt(process.env.RECORDING_SEGMENT_SECONDS || '', 10) || 300;
+const RECORDING_RETENTION_HOURS = Number(process.env.RECORDING_RETENTION_HOURS ?? 72);
+const RECORDING_MAX_BYTES = Number(process.env.RECORDING_MAX_BYTES ?? 10 * 1024 * 1024 * 1024);
+// ffmpeg restarts allowed without a segment being written in between
+const RECORDING_MAX_RESTARTS = 3;
+const RECORDING_RESTART_DELAY_MS = 2000;
+
+// Synthetic or replayed events instead of TikTok (see mock-source.js)
+const MOCK_SOURCE = process.env.MOCK_SOURCE === 'true';
+const MOCK_CONFIG = {
+  rates: {
+    chat: Number(process.env.MOCK_CHAT_RATE ?? 2),
+    gift: Number(process.env.MOCK_GIFT_RATE ?? 0.2),
+    like: Number(process.env.MOCK_LIKE_RATE ?? 3),
+    join: Number(process.env.MOCK_JOIN_RATE ?? 1)
+  },
+  viewerCount: parseInt(process.env.MOCK_VIEWER_COUNT || '', 10) || 250,
+  durationSeconds: Number(process.env.MOCK_DURATION_SECONDS ?? 0),
+  shoppingScript: process.env.MOCK_SHOPPING_SCRIPT || null,
+  replayFile: process.env.MOCK_REPLAY_FILE || null,
+  replaySpeed: Number(process.env.MOCK_REPLAY_SPEED ?? 1),
+  streamUrl: process.env.MOCK_STREAM_URL || null
+};
 
 // Active TikTok connections: Map<uniqueId, connection>
 const connections = new Map();
 
+// Streams recovering from a dropped connection: Map<uniqueId, { attempt, timer }>
+const reconnects = new Map();
+
+// Pull URL resolved on (re)connect, used by thumbnails and recordings: Map<uniqueId, url>
+const streamUrls = new Map();
+
+// Active recordings: Map<uniqueId, { recorder, stopReason, restarts, restartTimer }>
+const recordings = new Map();
+
+// Per-stream thumbnail refresh: Map<uniqueId, { streamUrl, timer, inFlight, frames, ... }>
+const thumbnailLoops = new Map();
+
 // WebSocket clients subscribed to events
 const wsClients = new Set();
 
+// Live events held back from clients still receiving their replay: Map<ws, string[]>
+const replaying = new Map();
+
+// Per-client event filters: WeakMap<ws, { uniqueIds: Set|null, types: Set|null }>
+// A null set matches everything; clients without an entry receive all events.
+const subscriptions = new WeakMap();
+
+// Durable per-stream event log backing /events?since=<seq> replay
+const journal = new EventJournal({ dir: JOURNAL_DIR, maxBytesPerStream: JOURNAL_MAX_BYTES });
+journal.open();
+
+// Recordings left over from previous runs count towards retention too
+applyRecordingRetention();
+
 // Stats
 const stats = {
   startTime: Date.now(),
@@ -51,20 +139,99 @@ const stats = {
   totalEvents: 0
 };
 
+// Prometheus metrics (GET /metrics)
+const metrics = new Registry();
+const eventsTotal = metrics.counter('tiktok_bridge_events_total', 'Events broadcast, by stream and event type');
+const lastEventTimestamp = metrics.gauge('tiktok_bridge_last_event_timestamp_seconds', 'Unix time of the last event per live stream (alert on staleness)');
+const connectionAttempts = metrics.counter('tiktok_bridge_connection_attempts_total', 'TikTok connection attempts, including reconnects');
+const connectionFailures = metrics.counter('tiktok_bridge_connection_failures_total', 'Failed TikTok connection attempts');
+const reconnectsTotal = metrics.counter('tiktok_bridge_reconnects_total', 'Reconnects scheduled after a dropped TikTok connection');
+const thumbnailCaptureSeconds = metrics.histogram('tiktok_bridge_thumbnail_capture_seconds', 'Duration of successful ffmpeg thumbnail captures', [1, 2.5, 5, 7.5, 10, 15, 20, 30]);
+const thumbnailCaptureFailures = metrics.counter('tiktok_bridge_thumbnail_capture_failures_total', 'Failed ffmpeg thumbnail captures');
+const ffmpegQueueWaitSeconds = metrics.histogram('tiktok_bridge_ffmpeg_queue_wait_seconds', 'Time ffmpeg jobs waited for a free slot', [0.1, 1, 5, 10, 30, 60, 120, 300]);
+const ffmpegJobsRejected = metrics.counter('tiktok_bridge_ffmpeg_jobs_rejected_total', 'ffmpeg jobs rejected because the queue was full, by job');
+metrics.gauge('tiktok_bridge_ffmpeg_jobs', 'ffmpeg jobs running or waiting for a slot', () => [
+  { labels: { state: 'running' }, value: ffmpegQueue.running },
+  { labels: { state: 'pending' }, value: ffmpegQueue.pending.size }
+]);
+metrics.gauge('tiktok_bridge_active_connections', 'Connected TikTok streams', () => [{ labels: {}, value: connections.size }]);
+metrics.gauge('tiktok_bridge_reconnecting_streams', 'Streams waiting to reconnect', () => [{ labels: {}, value: reconnects.size }]);
+metrics.gauge('tiktok_bridge_ws_clients', 'Connected /events WebSocket clients', () => [{ labels: {}, value: wsClients.size }]);
+metrics.gauge('tiktok_bridge_ws_buffered_bytes', 'Bytes queued but not yet sent to /events clients', () => [{
+  labels: {},
+  value: Array.from(wsClients).reduce((sum, client) => sum + client.bufferedAmount, 0)
+}]);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => [{ labels: {}, value: process.memoryUsage().rss }]);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap used in bytes', () => [{ labels: {}, value: process.memoryUsage().heapUsed }]);
+metrics.gauge('nodejs_heap_total_bytes', 'V8 heap size in bytes', () => [{ labels: {}, value: process.memoryUsage().heapTotal }]);
+metrics.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds', () => [{ labels: {}, value: Math.floor(stats.startTime / 1000) }]);
+
+// Shared by every ffmpeg job so a busy evening can't starve the container
+const ffmpegQueue = new JobQueue({
+  concurrency: FFMPEG_MAX_CONCURRENCY,
+  maxPending: FFMPEG_MAX_PENDING,
+  onStart: (key, waitMs) => ffmpegQueueWaitSeconds.observe({}, waitMs / 1000)
+});
+
 /**
- * Broadcast an event to all connected WebSocket clients
+ * Journal an event and broadcast it to all connected WebSocket clients
  */
 function broadcastEvent(event) {
   stats.totalEvents++;
-  const message = JSON.stringify(event);
+  // Bridge-wide events (no stream) are counted together, like in the journal,
+  // and left out of per-stream staleness
+  eventsTotal.inc({ unique_id: event.uniqueId || '_bridge', type: event.type });
+  if (event.uniqueId && event.type === 'disconnected') {
+    // Stream is gone for good; stop reporting it so staleness alerts don't fire
+    lastEventTimestamp.remove({ unique_id: event.uniqueId });
+  } else if (event.uniqueId) {
+    lastEventTimestamp.set({ unique_id: event.uniqueId }, Math.floor(Date.now() / 1000));
+  }
+  const message = JSON.stringify(journal.append(event));
 
   for (const client of wsClients) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+    if (client.readyState === WebSocket.OPEN && matchesSubscription(subscriptions.get(client), event)) {
+      const held = replaying.get(client);
+      if (held) {
+        held.push(message);
+      } else {
+        client.send(message);
+      }
     }
   }
 }
 
+/**
+ * Handle a control message sent by a WebSocket client
+ */
+function handleClientMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch {
+    ws.send(JSON.stringify({ type: 'subscribeError', error: 'Invalid JSON' }));
+    return;
+  }
+
+  if (message?.action !== 'subscribe') {
+    ws.send(JSON.stringify({ type: 'subscribeError', error: `Unknown action: ${message?.action}` }));
+    return;
+  }
+
+  const subscription = parseSubscription(message.uniqueIds, message.types);
+  if (subscription.error) {
+    ws.send(JSON.stringify({ type: 'subscribeError', error: subscription.error }));
+    return;
+  }
+
+  subscriptions.set(ws, subscription);
+  ws.send(JSON.stringify({
+    type: 'subscribed',
+    uniqueIds: subscription.uniqueIds ? Array.from(subscription.uniqueIds) : null,
+    types: subscription.types ? Array.from(subscription.types) : null
+  }));
+}
+
 /**
  * Extract product information from shopping events.
  *
@@ -105,32 +272,6 @@ function extractProducts(data) {
   return products;
 }
 
-/**
- * Extract normalized product details from a product object.
- */
-function extractProductDetails(p) {
-  if (!p) return null;
-
-  // Try various field name conventions
-  const productId = (
-    p.productId ||
-    p.product_id ||
-    p.id ||
-    p.productInfo?.productId ||
-    p.productInfo?.id
-  )?.toString();
-
-  if (!productId) return null;
-
-  return {
-    tiktokProductId: productId,
-    title: p.title || p.name || p.productName || p.productInfo?.title || null,
-    price: extractPrice(p),
-    imageUrl: p.imageUrl || p.image || p.coverUrl || p.productInfo?.imageUrl || null,
-    sellerId: (p.sellerId || p.seller_id)?.toString() || null
-  };
-}
-
 /**
  * Capture a video thumbnail from a stream URL (HLS, FLV, or RTMP).
  * Uses raw ffmpeg spawn instead of fluent-ffmpeg for better error handling.
@@ -138,8 +279,9 @@ function extractProductDetails(p) {
  */
 async function captureVideoThumbnail(streamUrl, uniqueId) {
   const tmpFile = path.join(os.tmpdir(), `thumb_${uniqueId}_${Date.now()}.jpg`);
+  const endTimer = thumbnailCaptureSeconds.startTimer();
 
-  return new Promise((resolve, reject) => {
+  const capture = new Promise((resolve, reject) => {
     // Detect stream type
     const isHls = streamUrl.includes('.m3u8') || streamUrl.includes('/hls/');
     const isFlv = streamUrl.includes('.flv');
@@ -247,52 +389,408 @@ async function captureVideoThumbnail(streamUrl, uniqueId) {
       }
     });
   });
+
+  capture.then(() => endTimer(), () => thumbnailCaptureFailures.inc());
+  return capture;
+}
+
+/**
+ * Tile JPEG frames (oldest first) into a single contact sheet.
+ * Returns base64-encoded JPEG image data.
+ */
+async function buildContactSheet(frames, uniqueId) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `sheet_${uniqueId}_`));
+  const outFile = path.join(workDir, 'sheet.jpg');
+
+  try {
+    frames.forEach((frame, i) => {
+      fs.writeFileSync(path.join(workDir, `frame_${String(i).padStart(3, '0')}.jpg`), frame);
+    });
+
+    // Portrait live video: more columns than rows, each cell padded to the same size
+    const columns = Math.ceil(Math.sqrt(frames.length));
+    const rows = Math.ceil(frames.length / columns);
+    const args = [
+      '-y',
+      '-framerate', '1',
+      '-i', path.join(workDir, 'frame_%03d.jpg'),
+      '-vf', `scale=180:320:force_original_aspect_ratio=decrease,pad=180:320:(ow-iw)/2:(oh-ih)/2,tile=${columns}x${rows}`,
+      '-frames:v', '1',
+      '-q:v', '3',
+      outFile
+    ];
+
+    await new Promise((resolve, reject) => {
+      const ffmpegProcess = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      const timeout = setTimeout(() => ffmpegProcess.kill('SIGKILL'), 15000);
+
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      ffmpegProcess.on('error', (err) => {
+        clearTimeout(timeout);
+        reject(err);
+      });
+      ffmpegProcess.on('close', (code, signal) => {
+        clearTimeout(timeout);
+        if (code === 0) {
+          resolve();
+        } else {
+          console.error(`[${uniqueId}] FFmpeg stderr:`, stderr.substring(0, 2000));
+          reject(new Error(signal ? `FFmpeg killed by ${signal}` : `FFmpeg exited with code ${code}`));
+        }
+      });
+    });
+
+    return fs.readFileSync(outFile).toString('base64');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Start (or, after a reconnect, resume with a fresh URL) the periodic thumbnail
+ * capture for a stream. Captures immediately, then every THUMBNAIL_INTERVAL_MINUTES.
+ */
+function startThumbnailLoop(uniqueId, streamUrl) {
+  const loop = thumbnailLoops.get(uniqueId) || {
+    inFlight: false,
+    // Contact sheet samples; every `frameStride`-th capture is kept
+    frames: [],
+    frameStride: 1,
+    captures: 0,
+    contactSheet: null
+  };
+  clearInterval(loop.timer);
+
+  loop.streamUrl = streamUrl;
+  loop.timer = THUMBNAIL_INTERVAL_MINUTES > 0
+    ? setInterval(() => refreshThumbnail(uniqueId, loop), THUMBNAIL_INTERVAL_MINUTES * 60 * 1000)
+    : null;
+  thumbnailLoops.set(uniqueId, loop);
+
+  refreshThumbnail(uniqueId, loop);
+}
+
+/**
+ * Pause captures while a dropped stream reconnects; frames collected so far are kept.
+ */
+function pauseThumbnailLoop(uniqueId) {
+  const loop = thumbnailLoops.get(uniqueId);
+  if (loop) {
+    clearInterval(loop.timer);
+    loop.timer = null;
+  }
+}
+
+/**
+ * Stop a stream's thumbnail loop. Call before broadcasting `disconnected`/`streamEnd`:
+ * the contact sheet is sent first, since clients stop listening after those events.
+ */
+function stopThumbnailLoop(uniqueId) {
+  const loop = thumbnailLoops.get(uniqueId);
+  if (!loop) return;
+
+  clearInterval(loop.timer);
+  thumbnailLoops.delete(uniqueId);
+
+  if (loop.contactSheet) {
+    broadcastEvent({
+      type: 'contactSheet',
+      uniqueId,
+      contactSheetBase64: loop.contactSheet,
+      contentType: 'image/jpeg',
+      frameCount: loop.contactSheetFrames
+    });
+  }
+}
+
+/**
+ * Capture and broadcast one thumbnail. Skipped while the previous capture is
+ * still running so slow streams never stack up ffmpeg processes.
+ */
+async function refreshThumbnail(uniqueId, loop) {
+  if (loop.inFlight) {
+    console.log(`[${uniqueId}] Thumbnail capture still running, skipping refresh`);
+    return;
+  }
+
+  loop.inFlight = true;
+  try {
+    console.log(`[${uniqueId}] Capturing video thumbnail...`);
+    const thumbnailBase64 = await runFfmpegJob(uniqueId, 'thumbnail', () =>
+      captureVideoThumbnail(loop.streamUrl, uniqueId)
+    );
+
+    // Stream stopped while ffmpeg was running
+    if (thumbnailLoops.get(uniqueId) !== loop) return;
+
+    console.log(`[${uniqueId}] Thumbnail captured (${thumbnailBase64.length} chars base64)`);
+    broadcastEvent({
+      type: 'thumbnail',
+      uniqueId,
+      thumbnailBase64,
+      contentType: 'image/jpeg',
+      capturedAt: Date.now()
+    });
+
+    if (CONTACT_SHEET_FRAMES > 0 && addContactSheetFrame(loop, thumbnailBase64, CONTACT_SHEET_FRAMES)) {
+      const frames = pickEvenly(loop.frames, CONTACT_SHEET_FRAMES);
+      loop.contactSheet = await runFfmpegJob(uniqueId, 'contactSheet', () =>
+        buildContactSheet(frames, uniqueId)
+      );
+      loop.contactSheetFrames = frames.length;
+    }
+  } catch (err) {
+    console.error(`[${uniqueId}] Thumbnail capture failed:`, err.message);
+  } finally {
+    loop.inFlight = false;
+  }
+}
+
+/**
+ * Run an ffmpeg job through the shared queue. A pending job of the same kind for
+ * the same stream is reused; overflow is reported with a `jobRejected` event.
+ */
+async function runFfmpegJob(uniqueId, job, task) {
+  try {
+    return await ffmpegQueue.run(`${job}:${uniqueId}`, task);
+  } catch (err) {
+    if (err instanceof QueueFullError) {
+      ffmpegJobsRejected.inc({ job });
+      broadcastEvent({
+        type: 'jobRejected',
+        uniqueId,
+        job,
+        reason: 'queue_full',
+        pending: err.pending,
+        maxPending: FFMPEG_MAX_PENDING
+      });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Start recording a connected stream into rolling segments under RECORDING_DIR.
+ */
+function startRecording(uniqueId) {
+  if (recordings.has(uniqueId)) {
+    return { success: false, error: 'Already recording this stream' };
+  }
+  if (!connections.has(uniqueId)) {
+    return { success: false, error: 'Not connected to this stream' };
+  }
+
+  const streamUrl = streamUrls.get(uniqueId);
+  if (!streamUrl) {
+    return { success: false, error: 'No stream URL available for recording' };
+  }
+
+  const recording = { recorder: null, stopReason: null, restarts: 0, restartTimer: null };
+  recording.recorder = new Recorder({
+    uniqueId,
+    dir: RECORDING_DIR,
+    format: RECORDING_FORMAT,
+    segmentSeconds: RECORDING_SEGMENT_SECONDS,
+    onSegment: (segment) => {
+      recording.restarts = 0;
+      broadcastEvent({ type: 'segmentWritten', uniqueId, ...segment });
+      applyRecordingRetention();
+    },
+    onExit: (err) => handleRecordingExit(uniqueId, recording, err)
+  });
+
+  // Throws if the recording directory can't be created; nothing is tracked then
+  recording.recorder.start(streamUrl);
+  recordings.set(uniqueId, recording);
+
+  broadcastEvent({
+    type: 'recordingStarted',
+    uniqueId,
+    dir: recording.recorder.dir,
+    format: RECORDING_FORMAT,
+    segmentSeconds: RECORDING_SEGMENT_SECONDS
+  });
+
+  return { success: true, dir: recording.recorder.dir };
+}
+
+/**
+ * Stop a stream's recording. `reason` is passed through on `recordingStopped`.
+ */
+function stopRecording(uniqueId, reason) {
+  const recording = recordings.get(uniqueId);
+  if (!recording) {
+    return { success: false, error: 'Not recording this stream' };
+  }
+
+  // Already stopping, e.g. streamEnd followed by the library's disconnect
+  if (recording.stopReason) {
+    return { success: true };
+  }
+
+  recording.stopReason = reason;
+  if (recording.recorder.running) {
+    recording.recorder.stop();
+  } else {
+    // ffmpeg already exited; the recording was waiting to restart
+    clearTimeout(recording.restartTimer);
+    handleRecordingExit(uniqueId, recording, null);
+  }
+
+  return { success: true };
 }
 
 /**
- * Extract price in cents from various price formats.
+ * ffmpeg exited. An unexpected exit while the stream is live restarts it with the
+ * current pull URL; while the stream is reconnecting, the `connected` handler
+ * resumes it once a new URL is known.
  */
-function extractPrice(p) {
-  // Try to find price in various locations and formats
-  const priceValue = (
-    p.price ||
-    p.priceInfo?.price ||
-    p.salePrice ||
-    p.originalPrice
-  );
-
-  if (priceValue == null) return null;
-
-  // If already a number, assume it might be in cents or dollars
-  if (typeof priceValue === 'number') {
-    // If less than 1000, probably dollars, convert to cents
-    return priceValue < 1000 ? Math.round(priceValue * 100) : priceValue;
-  }
-
-  // If string, try to parse
-  if (typeof priceValue === 'string') {
-    const cleaned = priceValue.replace(/[^0-9.]/g, '');
-    const parsed = parseFloat(cleaned);
-    if (!isNaN(parsed)) {
-      return Math.round(parsed * 100);
+function handleRecordingExit(uniqueId, recording, err) {
+  if (recordings.get(uniqueId) !== recording) return;
+
+  if (err && !recording.stopReason) {
+    if (reconnects.has(uniqueId)) {
+      console.log(`[${uniqueId}] Recording paused until the stream reconnects`);
+      return;
+    }
+
+    if (connections.has(uniqueId) && recording.restarts < RECORDING_MAX_RESTARTS) {
+      recording.restarts++;
+      console.log(`[${uniqueId}] Restarting recording (${recording.restarts}/${RECORDING_MAX_RESTARTS})`);
+      recording.restartTimer = setTimeout(() => {
+        resumeRecording(uniqueId, recording, streamUrls.get(uniqueId));
+      }, RECORDING_RESTART_DELAY_MS);
+      return;
     }
   }
 
-  return null;
+  recordings.delete(uniqueId);
+  const { recorder } = recording;
+  broadcastEvent({
+    type: 'recordingStopped',
+    uniqueId,
+    reason: recording.stopReason || 'error',
+    error: err ? err.message : null,
+    segments: recorder.segments,
+    bytes: recorder.bytes,
+    durationMs: Date.now() - recorder.startedAt
+  });
+}
+
+function resumeRecording(uniqueId, recording, streamUrl) {
+  recording.recorder.start(streamUrl);
+  broadcastEvent({
+    type: 'recordingStarted',
+    uniqueId,
+    dir: recording.recorder.dir,
+    format: RECORDING_FORMAT,
+    segmentSeconds: RECORDING_SEGMENT_SECONDS,
+    resumed: true
+  });
+}
+
+function applyRecordingRetention() {
+  const activeDirs = new Set(Array.from(recordings.values(), ({ recorder }) => recorder.dir));
+  const deleted = pruneRecordings(RECORDING_DIR, {
+    maxAgeMs: RECORDING_RETENTION_HOURS * 60 * 60 * 1000,
+    maxBytes: RECORDING_MAX_BYTES,
+    activeDirs
+  });
+
+  if (deleted.length > 0) {
+    console.log(`Recording retention removed ${deleted.length} segment(s)`);
+  }
+}
+
+/**
+ * Schedule the next reconnect attempt for a stream that dropped unexpectedly.
+ * Gives up with a final `disconnected` event after RECONNECT_MAX_ATTEMPTS.
+ */
+function scheduleReconnect(uniqueId, attempt, lastError = null) {
+  if (attempt > RECONNECT_MAX_ATTEMPTS) {
+    console.log(`[${uniqueId}] Giving up after ${RECONNECT_MAX_ATTEMPTS} reconnect attempts`);
+    reconnects.delete(uniqueId);
+    stopThumbnailLoop(uniqueId);
+    stopRecording(uniqueId, 'disconnected');
+    streamUrls.delete(uniqueId);
+    broadcastEvent({
+      type: 'disconnected',
+      uniqueId,
+      reason: 'reconnect_failed',
+      error: lastError
+    });
+    return;
+  }
+
+  const delayMs = reconnectDelay(attempt, {
+    baseDelayMs: RECONNECT_BASE_DELAY_MS,
+    maxDelayMs: RECONNECT_MAX_DELAY_MS
+  });
+  reconnectsTotal.inc({ unique_id: uniqueId });
+  console.log(`[${uniqueId}] Reconnecting in ${delayMs}ms (attempt ${attempt}/${RECONNECT_MAX_ATTEMPTS})`);
+
+  broadcastEvent({
+    type: 'reconnecting',
+    uniqueId,
+    attempt,
+    maxAttempts: RECONNECT_MAX_ATTEMPTS,
+    delayMs,
+    error: lastError
+  });
+
+  const entry = { attempt, timer: null };
+  entry.timer = setTimeout(async () => {
+    const result = await connectToStream(uniqueId, attempt);
+
+    // Cancelled via /disconnect while this attempt was in flight
+    if (reconnects.get(uniqueId) !== entry) {
+      if (result.success) disconnectFromStream(uniqueId);
+      return;
+    }
+
+    if (result.success) {
+      reconnects.delete(uniqueId);
+    } else {
+      scheduleReconnect(uniqueId, attempt + 1, result.error);
+    }
+  }, delayMs);
+
+  reconnects.set(uniqueId, entry);
+}
+
+/**
+ * Create a TikTok connection, or a mock one in MOCK_SOURCE mode
+ */
+function createConnection(uniqueId, options) {
+  return MOCK_SOURCE
+    ? new MockPushConnection(uniqueId, MOCK_CONFIG)
+    : new WebcastPushConnection(uniqueId, options);
 }
 
 /**
- * Connect to a TikTok Live stream
+ * Connect to a TikTok Live stream.
+ * `reconnectAttempt` is set when the reconnect policy (not a client) is reopening a dropped stream.
  */
-async function connectToStream(uniqueId) {
+async function connectToStream(uniqueId, reconnectAttempt = 0) {
   if (connections.has(uniqueId)) {
     return { success: false, error: 'Already connected to this stream' };
   }
 
-  console.log(`[${uniqueId}] Connecting...`);
+  if (!reconnectAttempt && reconnects.has(uniqueId)) {
+    return { success: false, error: 'Already connected to this stream', reconnecting: true };
+  }
+
+  console.log(reconnectAttempt
+    ? `[${uniqueId}] Reconnecting (attempt ${reconnectAttempt})...`
+    : `[${uniqueId}] Connecting...`);
+  connectionAttempts.inc({ unique_id: uniqueId });
 
   try {
-    const connection = new WebcastPushConnection(uniqueId, {
+    const connection = createConnection(uniqueId, {
       processInitialData: true,
       enableExtendedGiftInfo: true,
       enableWebsocketUpgrade: true,
@@ -350,38 +848,54 @@ async function connectToStream(uniqueId) {
       console.log(`[${uniqueId}] Selected stream URL:`, hlsUrl ? hlsUrl.substring(0, 80) + '...' : 'NONE');
 
       // Broadcast connected event immediately (don't block on thumbnail)
-      broadcastEvent({
-        type: 'connected',
-        uniqueId,
-        roomId: state.roomId,
-        roomInfo: state.roomInfo
-      });
+      if (reconnectAttempt) {
+        broadcastEvent({
+          type: 'reconnected',
+          uniqueId,
+          roomId: state.roomId,
+          attempts: reconnectAttempt
+        });
+      } else {
+        broadcastEvent({
+          type: 'connected',
+          uniqueId,
+          roomId: state.roomId,
+          roomInfo: state.roomInfo
+        });
+      }
 
-      // Capture thumbnail asynchronously, send separate event when done
+      // Capture thumbnails asynchronously, each sent as a separate event
       if (hlsUrl) {
         console.log(`[${uniqueId}] Stream URL found: ${hlsUrl.substring(0, 80)}...`);
-        console.log(`[${uniqueId}] Capturing video thumbnail...`);
-        captureVideoThumbnail(hlsUrl, uniqueId)
-          .then((thumbnailBase64) => {
-            console.log(`[${uniqueId}] Thumbnail captured (${thumbnailBase64.length} chars base64)`);
-            broadcastEvent({
-              type: 'thumbnail',
-              uniqueId,
-              thumbnailBase64,
-              contentType: 'image/jpeg'
-            });
-          })
-          .catch((err) => {
-            console.error(`[${uniqueId}] Thumbnail capture failed:`, err.message);
-          });
+        streamUrls.set(uniqueId, hlsUrl);
+        startThumbnailLoop(uniqueId, hlsUrl);
+
+        // Resume a recording whose ffmpeg died while the stream was down
+        const recording = recordings.get(uniqueId);
+        if (recording && !recording.recorder.running) {
+          clearTimeout(recording.restartTimer);
+          resumeRecording(uniqueId, recording, hlsUrl);
+        }
       } else {
         console.log(`[${uniqueId}] No stream URL available for thumbnail capture`);
       }
     });
 
     connection.on('disconnected', () => {
+      // disconnectFromStream and streamEnd remove the entry before the library
+      // emits this, so a connection still in the map dropped unexpectedly
+      if (connections.get(uniqueId) === connection) {
+        console.log(`[${uniqueId}] Connection dropped`);
+        connections.delete(uniqueId);
+        pauseThumbnailLoop(uniqueId);
+        scheduleReconnect(uniqueId, 1);
+        return;
+      }
+
       console.log(`[${uniqueId}] Disconnected`);
-      connections.delete(uniqueId);
+      stopThumbnailLoop(uniqueId);
+      stopRecording(uniqueId, 'disconnected');
+      streamUrls.delete(uniqueId);
       broadcastEvent({
         type: 'disconnected',
         uniqueId
@@ -389,6 +903,12 @@ async function connectToStream(uniqueId) {
     });
 
     connection.on('error', (err) => {
+      // Failed reconnect attempts are reported through the next `reconnecting` event
+      if (reconnectAttempt && !connections.has(uniqueId)) {
+        console.error(`[${uniqueId}] Reconnect error:`, err.message);
+        return;
+      }
+
       console.error(`[${uniqueId}] Error:`, err.message);
       broadcastEvent({
         type: 'error',
@@ -510,6 +1030,8 @@ async function connectToStream(uniqueId) {
     connection.on('streamEnd', (data) => {
       console.log(`[${uniqueId}] Stream ended`);
       connections.delete(uniqueId);
+      stopThumbnailLoop(uniqueId);
+      stopRecording(uniqueId, 'streamEnd');
       broadcastEvent({
         type: 'streamEnd',
         uniqueId,
@@ -564,18 +1086,30 @@ async function connectToStream(uniqueId) {
         console.log(`[${uniqueId}] Raw message type: ${messageTypeName}`);
       }
 
-      // Forward shopping-related messages
+      // Decode shopping-related messages into typed events
       if (SHOPPING_MESSAGE_TYPES.includes(messageTypeName)) {
-        console.log(`[${uniqueId}] Raw shopping message: ${messageTypeName}`);
-        broadcastEvent({
-          type: 'rawShopping',
-          uniqueId,
-          data: {
-            messageType: messageTypeName,
-            payload: Buffer.from(binary).toString('base64'),
-            timestamp: Date.now()
-          }
-        });
+        console.log(`[${uniqueId}] Shopping message: ${messageTypeName}`);
+
+        let decoded = null;
+        try {
+          decoded = decodeShoppingMessage(messageTypeName, binary);
+          broadcastEvent({ type: decoded.type, uniqueId, data: decoded.data });
+        } catch (err) {
+          console.error(`[${uniqueId}] Failed to decode ${messageTypeName}:`, err.message);
+        }
+
+        // Undecodable payloads are always forwarded so no shopping data is lost
+        if (RAW_SHOPPING_EVENTS || !decoded) {
+          broadcastEvent({
+            type: 'rawShopping',
+            uniqueId,
+            data: {
+              messageType: messageTypeName,
+              payload: Buffer.from(binary).toString('base64'),
+              timestamp: Date.now()
+            }
+          });
+        }
       }
     });
 
@@ -592,6 +1126,7 @@ async function connectToStream(uniqueId) {
 
   } catch (error) {
     console.error(`[${uniqueId}] Connection failed:`, error.message);
+    connectionFailures.inc({ unique_id: uniqueId });
     return { success: false, error: error.message };
   }
 }
@@ -600,13 +1135,29 @@ async function connectToStream(uniqueId) {
  * Disconnect from a TikTok Live stream
  */
 function disconnectFromStream(uniqueId) {
+  const pendingReconnect = reconnects.get(uniqueId);
+  if (pendingReconnect) {
+    clearTimeout(pendingReconnect.timer);
+    reconnects.delete(uniqueId);
+    console.log(`[${uniqueId}] Reconnect cancelled by request`);
+    stopThumbnailLoop(uniqueId);
+    stopRecording(uniqueId, 'disconnected');
+    streamUrls.delete(uniqueId);
+    broadcastEvent({
+      type: 'disconnected',
+      uniqueId
+    });
+    return { success: true };
+  }
+
   const connection = connections.get(uniqueId);
   if (!connection) {
     return { success: false, error: 'Not connected to this stream' };
   }
 
-  connection.disconnect();
+  // Remove first so the resulting 'disconnected' event isn't treated as a drop
   connections.delete(uniqueId);
+  connection.disconnect();
   console.log(`[${uniqueId}] Disconnected by request`);
 
   return { success: true };
@@ -618,15 +1169,23 @@ function disconnectFromStream(uniqueId) {
 async function handleRequest(req, res) {
   const url = new URL(req.url, `http://${req.headers.host}`);
 
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // Only the public health check is readable cross-origin; the API is server-to-server
+  if (url.pathname === '/health') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  }
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
-    return;
+  // Everything but the platform health check requires a valid token
+  if (url.pathname !== '/health' && !AUTH_DISABLED) {
+    const auth = authenticate(req, AUTH_KEYS);
+    if (!auth.ok) {
+      console.warn(`Rejected ${req.method} ${url.pathname}: ${auth.reason}`);
+      res.writeHead(401, {
+        'Content-Type': 'application/json',
+        'WWW-Authenticate': 'Bearer realm="tiktok-bridge"'
+      });
+      res.end(JSON.stringify({ error: 'Unauthorized', reason: auth.reason, message: auth.message }));
+      return;
+    }
   }
 
   // Health check
@@ -641,22 +1200,44 @@ async function handleRequest(req, res) {
     return;
   }
 
+  // Prometheus metrics
+  if (url.pathname === '/metrics' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+    res.end(metrics.render());
+    return;
+  }
+
   // Status - list active connections
   if (url.pathname === '/status' && req.method === 'GET') {
     const activeConnections = Array.from(connections.keys()).map(uniqueId => ({
       uniqueId,
-      connected: true
+      connected: true,
+      recording: recordings.has(uniqueId)
     }));
 
+    for (const [uniqueId, { attempt }] of reconnects) {
+      activeConnections.push({ uniqueId, connected: false, reconnecting: true, attempt });
+    }
+
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
+      source: MOCK_SOURCE ? 'mock' : 'tiktok',
       connections: activeConnections,
       stats: {
         uptime: Math.floor((Date.now() - stats.startTime) / 1000),
         totalConnections: stats.totalConnections,
         totalEvents: stats.totalEvents,
+        lastSeq: journal.lastSeq,
         wsClients: wsClients.size
-      }
+      },
+      ffmpegQueue: ffmpegQueue.stats(),
+      recordings: Array.from(recordings, ([uniqueId, { recorder }]) => ({
+        uniqueId,
+        running: recorder.running,
+        startedAt: recorder.startedAt,
+        segments: recorder.segments,
+        bytes: recorder.bytes
+      }))
     }));
     return;
   }
@@ -709,6 +1290,41 @@ async function handleRequest(req, res) {
     return;
   }
 
+  // Start or stop a local recording
+  if ((url.pathname === '/record' || url.pathname === '/stop-record') && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      let uniqueId;
+      try {
+        ({ uniqueId } = JSON.parse(body));
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+        return;
+      }
+      if (!uniqueId) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+        return;
+      }
+
+      try {
+        const result = url.pathname === '/record'
+          ? startRecording(uniqueId)
+          : stopRecording(uniqueId, 'requested');
+        res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        // e.g. RECORDING_DIR can't be created
+        console.error(`[${uniqueId}] ${url.pathname} failed:`, error.message);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+    return;
+  }
+
   // Test endpoint - probe a stream without full connection
   if (url.pathname === '/test-stream' && req.method === 'POST') {
     let body = '';
@@ -724,7 +1340,7 @@ async function handleRequest(req, res) {
 
         console.log(`[TEST] Probing stream info for ${uniqueId}...`);
 
-        const connection = new WebcastPushConnection(uniqueId, {
+        const connection = createConnection(uniqueId, {
           processInitialData: false,
           enableExtendedGiftInfo: false,
           enableWebsocketUpgrade: false
@@ -770,27 +1386,103 @@ async function handleRequest(req, res) {
 const server = http.createServer(handleRequest);
 
 // Create WebSocket server for event streaming
-const wss = new WebSocketServer({ server, path: '/events' });
+const wss = new WebSocketServer({
+  server,
+  path: '/events',
+  verifyClient: ({ req }, done) => {
+    if (AUTH_DISABLED) return done(true);
+
+    const auth = authenticate(req, AUTH_KEYS, { allowQueryToken: true });
+    if (auth.ok) return done(true);
+
+    console.warn(`Rejected WebSocket upgrade: ${auth.reason}`);
+    done(false, 401, JSON.stringify({ error: 'Unauthorized', reason: auth.reason, message: auth.message }), {
+      'Content-Type': 'application/json',
+      'WWW-Authenticate': 'Bearer realm="tiktok-bridge"'
+    });
+  }
+});
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('WebSocket client connected');
-  wsClients.add(ws);
 
   ws.on('close', () => {
     console.log('WebSocket client disconnected');
     wsClients.delete(ws);
+    replaying.delete(ws);
   });
 
   ws.on('error', (err) => {
     console.error('WebSocket error:', err.message);
     wsClients.delete(ws);
+    replaying.delete(ws);
   });
 
+  ws.on('message', (raw) => handleClientMessage(ws, raw));
+
+  // Optional initial filter from the URL (?uniqueIds=a,b&types=chat,gift) so replay is filtered too
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const splitParam = (name) => params.get(name)?.split(',').filter(Boolean);
+  const initialSubscription = parseSubscription(splitParam('uniqueIds'), splitParam('types'));
+  if (!initialSubscription.error) {
+    subscriptions.set(ws, initialSubscription);
+  }
+
   // Send current status on connect
   ws.send(JSON.stringify({
     type: 'status',
-    connections: Array.from(connections.keys())
+    connections: Array.from(connections.keys()),
+    epoch: journal.epoch,
+    lastSeq: journal.lastSeq
   }));
+
+  wsClients.add(ws);
+
+  let since = parseInt(params.get('since'), 10);
+  if (!Number.isInteger(since) || since < 0) return;
+
+  // A seq from another epoch, or past our last one, predates a journal reset:
+  // everything journaled since then is new to the client
+  const epoch = params.get('epoch');
+  if ((epoch && epoch !== journal.epoch) || since > journal.lastSeq) {
+    console.log(`Client seq ${since} (epoch ${epoch || 'unknown'}) predates journal epoch ${journal.epoch}, replaying all`);
+    since = 0;
+  }
+
+  // Replay missed events before live traffic. Events broadcast while the backlog
+  // is read are held for this client and sent after it, so nothing is skipped or
+  // delivered out of order.
+  const upTo = journal.lastSeq;
+  replaying.set(ws, []);
+
+  journal.readSince(since, { uniqueIds: subscriptions.get(ws)?.uniqueIds })
+    .catch((err) => {
+      console.error(`Failed to read journal for replay since seq ${since}:`, err.message);
+      return [];
+    })
+    .then((events) => {
+      const held = replaying.get(ws);
+      if (!held) return;
+      replaying.delete(ws);
+      if (ws.readyState !== WebSocket.OPEN) return;
+
+      const missed = events
+        .filter(event => event.seq <= upTo && matchesSubscription(subscriptions.get(ws), event));
+      for (const event of missed) {
+        ws.send(JSON.stringify(event));
+      }
+      ws.send(JSON.stringify({
+        type: 'replayComplete',
+        since,
+        count: missed.length,
+        epoch: journal.epoch,
+        lastSeq: journal.lastSeq
+      }));
+      for (const message of held) {
+        ws.send(message);
+      }
+      console.log(`Replayed ${missed.length} events since seq ${since}`);
+    });
 });
 
 // Periodic heartbeat to all connected WebSocket clients (every 30 seconds)
@@ -814,12 +1506,30 @@ setInterval(() => {
 async function shutdown(signal) {
   console.log(`\nReceived ${signal}, shutting down...`);
 
-  // Close all TikTok connections
-  for (const [uniqueId, connection] of connections) {
+  // Stop pending reconnects, then close all TikTok connections
+  for (const { timer } of reconnects.values()) {
+    clearTimeout(timer);
+  }
+  reconnects.clear();
+
+  for (const { timer } of thumbnailLoops.values()) {
+    clearInterval(timer);
+  }
+  thumbnailLoops.clear();
+
+  // Let ffmpeg finalize the segments it is writing
+  await Promise.all(Array.from(recordings.keys(), uniqueId => {
+    const { recorder } = recordings.get(uniqueId);
+    stopRecording(uniqueId, 'shutdown');
+    return recorder.stop();
+  }));
+
+  const closing = Array.from(connections);
+  connections.clear();
+  for (const [uniqueId, connection] of closing) {
     console.log(`Disconnecting from ${uniqueId}...`);
     connection.disconnect();
   }
-  connections.clear();
 
   // Close WebSocket clients
   for (const client of wsClients) {
@@ -840,13 +1550,22 @@ process.on('SIGINT', () => shutdown('SIGINT'));
 // Start server
 server.listen(PORT, HOST, () => {
   console.log(`TikTok Bridge running on http://${HOST}:${PORT}`);
+  if (AUTH_DISABLED) {
+    console.warn('WARNING: authentication is disabled - the API and /events accept anyone');
+  }
+  if (MOCK_SOURCE) {
+    console.warn(`WARNING: MOCK_SOURCE is enabled - streams are ${MOCK_CONFIG.replayFile ? `replayed from ${MOCK_CONFIG.replayFile}` : 'synthetic'}, not TikTok`);
+  }
   console.log('');
   console.log('HTTP Endpoints:');
   console.log('  GET  /health      - Health check');
   console.log('  GET  /status      - List active connections');
+  console.log('  GET  /metrics     - Prometheus metrics');
   console.log('  POST /connect     - Connect to stream { uniqueId: "username" }');
   console.log('  POST /disconnect  - Disconnect from stream { uniqueId: "username" }');
+  console.log('  POST /record      - Record stream segments { uniqueId: "username" }');
+  console.log('  POST /stop-record - Stop recording { uniqueId: "username" }');
   console.log('');
   console.log('WebSocket:');
-  console.log('  WS /events        - Real-time event stream');
+  console.log('  WS /events        - Real-time event stream (?since=<seq> to replay)');
 });
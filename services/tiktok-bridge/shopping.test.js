@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { decodeShoppingMessage, encodeShoppingMessage } from './shopping.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'shopping');
+
+const product = { productId: '1729384756102938', title: 'Gold Huggie Hoop Earrings', price: '$14.95', coverUrl: 'https://example.com/huggie.jpg' };
+const encode = (messageType, message) =>
+  encodeShoppingMessage(messageType, { common: { method: messageType, createTime: 1700000000000 }, ...message });
+
+test('decodes pins, orders and coupons into typed events', () => {
+  const pinned = decodeShoppingMessage('WebcastOecLiveShoppingMessage', encode('WebcastOecLiveShoppingMessage', { action: 1, product, timings: { startTime: 1700000000 } }));
+  assert.equal(pinned.type, 'productPinned');
+  assert.deepEqual(pinned.data.products, [{
+    tiktokProductId: '1729384756102938',
+    title: 'Gold Huggie Hoop Earrings',
+    price: 1495,
+    imageUrl: 'https://example.com/huggie.jpg',
+    sellerId: null
+  }]);
+  assert.equal(pinned.data.pinnedAt, 1700000000000);
+
+  const order = decodeShoppingMessage('WebcastVideoLiveGoodsOrderMessage', encode('WebcastVideoLiveGoodsOrderMessage', { product, orderCount: 3 }));
+  assert.equal(order.type, 'orderPlaced');
+  assert.equal(order.data.orderCount, 3);
+
+  const coupon = decodeShoppingMessage('WebcastVideoLiveCouponRcmdMessage', encode('WebcastVideoLiveCouponRcmdMessage', { coupon: { couponId: 'c1', discount: '10%' } }));
+  assert.equal(coupon.type, 'couponRecommended');
+  assert.equal(coupon.data.coupon.discount, '10%');
+});
+
+test('rejects bytes that decode without matching the schema', () => {
+  // Another message with the same layout: protobufjs decodes it without complaint
+  const ecom = encode('WebcastLiveEcomMessage', { products: [product], msgType: 2 });
+  assert.throws(() => decodeShoppingMessage('WebcastVideoLiveGoodsRcmdMessage', ecom), /does not match/);
+
+  // Right header, but the product fields are shifted: the title slot holds binary
+  const shifted = encodeShoppingMessage('WebcastOecLiveShoppingMessage', {
+    common: { method: 'WebcastOecLiveShoppingMessage' },
+    product: { productId: '1', title: Buffer.from([0xff, 0xfe, 0x01]).toString('latin1') }
+  });
+  const garbled = Buffer.from(shifted);
+  const titleAt = garbled.indexOf(Buffer.from([0xc3, 0xbf]));
+  garbled[titleAt] = 0xff;
+  assert.throws(() => decodeShoppingMessage('WebcastOecLiveShoppingMessage', garbled), /not readable/);
+
+  // A pin without a product is nothing to pin
+  assert.throws(() => decodeShoppingMessage('WebcastOecLiveShoppingMessage', encode('WebcastOecLiveShoppingMessage', { action: 1 })), /No product/);
+});
+
+// Payloads captured from real streams (rawShopping events), see fixtures/shopping/README.md
+const fixtures = fs.existsSync(FIXTURES_DIR)
+  ? fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort()
+  : [];
+
+test('decodes captured payloads as recorded', { skip: fixtures.length === 0 && 'no captured payloads in fixtures/shopping' }, () => {
+  for (const file of fixtures) {
+    const { messageType, payload, expected } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    const binary = Buffer.from(payload, 'base64');
+
+    if (expected === null) {
+      assert.throws(() => decodeShoppingMessage(messageType, binary), `${file} should be rejected`);
+      continue;
+    }
+
+    const decoded = decodeShoppingMessage(messageType, binary);
+    assert.equal(decoded.type, expected.type, file);
+    for (const [key, value] of Object.entries(expected.data || {})) {
+      assert.deepEqual(decoded.data[key], value, `${file}: data.${key}`);
+    }
+  }
+});
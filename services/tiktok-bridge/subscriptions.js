@@ -0,0 +1,36 @@
+/**
+ * Event Subscriptions
+ *
+ * Per-client filters for the /events socket. A client sends
+ * `{ action: "subscribe", uniqueIds: [...], types: [...] }` to receive only
+ * those streams' events of those types. A filter is
+ * `{ uniqueIds: Set|null, types: Set|null }`, where a null set matches
+ * everything; clients without a filter receive all events.
+ */
+
+/**
+ * Build a subscription filter from client-supplied lists.
+ * Missing or empty lists mean "all". Returns { error } for malformed input.
+ */
+export function parseSubscription(uniqueIds, types) {
+  const toSet = (value, name) => {
+    if (value == null) return null;
+    if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) {
+      throw new Error(`${name} must be an array of strings`);
+    }
+    return value.length > 0 ? new Set(value) : null;
+  };
+
+  try {
+    return { uniqueIds: toSet(uniqueIds, 'uniqueIds'), types: toSet(types, 'types') };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+export function matchesSubscription(subscription, event) {
+  if (!subscription) return true;
+  if (subscription.uniqueIds && !subscription.uniqueIds.has(event.uniqueId)) return false;
+  if (subscription.types && !subscription.types.has(event.type)) return false;
+  return true;
+}
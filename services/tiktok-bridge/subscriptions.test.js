@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSubscription, matchesSubscription } from './subscriptions.js';
+
+const chat = { type: 'chat', uniqueId: 'alice' };
+const gift = { type: 'gift', uniqueId: 'alice' };
+const otherChat = { type: 'chat', uniqueId: 'bob' };
+
+test('clients without a subscription receive every event', () => {
+  assert.ok(matchesSubscription(undefined, chat));
+  assert.ok(matchesSubscription(undefined, otherChat));
+});
+
+test('filters by stream and by event type', () => {
+  const subscription = parseSubscription(['alice'], ['chat']);
+  assert.ok(matchesSubscription(subscription, chat));
+  assert.ok(!matchesSubscription(subscription, gift));
+  assert.ok(!matchesSubscription(subscription, otherChat));
+});
+
+test('missing or empty lists match everything', () => {
+  for (const subscription of [parseSubscription(null, ['chat']), parseSubscription([], ['chat'])]) {
+    assert.equal(subscription.uniqueIds, null);
+    assert.ok(matchesSubscription(subscription, chat));
+    assert.ok(matchesSubscription(subscription, otherChat));
+    assert.ok(!matchesSubscription(subscription, gift));
+  }
+
+  const everything = parseSubscription(undefined, undefined);
+  assert.ok([chat, gift, otherChat].every((event) => matchesSubscription(everything, event)));
+});
+
+test('rejects lists that are not arrays of strings', () => {
+  assert.deepEqual(parseSubscription('alice', null), { error: 'uniqueIds must be an array of strings' });
+  assert.deepEqual(parseSubscription(null, ['chat', 1]), { error: 'types must be an array of strings' });
+});
@@ -0,0 +1,105 @@
+defmodule SocialObjects.TiktokLive.StreamCaptionsTest do
+  @moduledoc """
+  Tests for live captions stored against streams.
+
+  These tests verify:
+  - Captions are stored against the brand's capturing stream, and only then
+  - Captions are listed in spoken order and can be searched
+  - Captions are removed with their stream and moved when streams merge
+  """
+
+  use SocialObjects.DataCase, async: true
+
+  import SocialObjects.TiktokLiveFixtures
+
+  alias SocialObjects.TiktokLive
+
+  defp caption_attrs(text, seconds_ago) do
+    spoken_at =
+      DateTime.utc_now() |> DateTime.add(-seconds_ago, :second) |> DateTime.truncate(:second)
+
+    %{text: text, language: "en", spoken_at: spoken_at}
+  end
+
+  describe "record_caption/2" do
+    test "stores the caption against the capturing stream" do
+      brand = brand_fixture()
+      _ended = stream_fixture(brand: brand, status: :ended)
+      live = stream_fixture(brand: brand, status: :capturing)
+
+      {:ok, caption} =
+        TiktokLive.record_caption(brand.id, caption_attrs("this one is my favourite", 0))
+
+      assert caption.stream_id == live.id
+      assert caption.brand_id == brand.id
+    end
+
+    test "returns an error when no stream is being captured" do
+      brand = brand_fixture()
+      _ended = stream_fixture(brand: brand, status: :ended)
+
+      assert {:error, :no_active_stream} =
+               TiktokLive.record_caption(brand.id, caption_attrs("hello everyone", 0))
+    end
+
+    test "rejects empty captions" do
+      brand = brand_fixture()
+      _live = stream_fixture(brand: brand, status: :capturing)
+
+      assert {:error, %Ecto.Changeset{}} =
+               TiktokLive.record_caption(brand.id, caption_attrs("", 0))
+    end
+  end
+
+  describe "list_stream_captions/3" do
+    test "lists captions in spoken order and filters by text" do
+      brand = brand_fixture()
+      stream = stream_fixture(brand: brand, status: :capturing)
+
+      {:ok, _} = TiktokLive.record_caption(brand.id, caption_attrs("and the serum is next", 5))
+      {:ok, _} = TiktokLive.record_caption(brand.id, caption_attrs("welcome back everyone", 30))
+
+      assert ["welcome back everyone", "and the serum is next"] =
+               brand.id |> TiktokLive.list_stream_captions(stream.id) |> Enum.map(& &1.text)
+
+      assert ["and the serum is next"] =
+               brand.id
+               |> TiktokLive.list_stream_captions(stream.id, query: "SERUM")
+               |> Enum.map(& &1.text)
+    end
+
+    test "does not list another brand's captions" do
+      brand = brand_fixture()
+      other_brand = brand_fixture()
+      stream = stream_fixture(brand: brand, status: :capturing)
+
+      {:ok, _} = TiktokLive.record_caption(brand.id, caption_attrs("welcome back", 0))
+
+      assert [] = TiktokLive.list_stream_captions(other_brand.id, stream.id)
+    end
+  end
+
+  describe "stream cleanup" do
+    test "deleting a stream deletes its captions" do
+      brand = brand_fixture()
+      stream = stream_fixture(brand: brand, status: :capturing)
+      {:ok, _} = TiktokLive.record_caption(brand.id, caption_attrs("welcome back", 0))
+
+      {:ok, _} = TiktokLive.delete_stream(brand.id, stream.id)
+
+      assert [] = TiktokLive.list_stream_captions(brand.id, stream.id)
+    end
+
+    test "merging streams moves captions to the target" do
+      brand = brand_fixture()
+      target = stream_fixture(brand: brand, status: :ended, room_id: "room-1")
+      source = stream_fixture(brand: brand, status: :capturing, room_id: "room-1")
+      {:ok, _} = TiktokLive.record_caption(brand.id, caption_attrs("welcome back", 0))
+
+      {:ok, _} = TiktokLive.merge_streams(brand.id, target.id, source.id)
+
+      assert ["welcome back"] =
+               brand.id |> TiktokLive.list_stream_captions(target.id) |> Enum.map(& &1.text)
+    end
+  end
+end
@@ -0,0 +1,161 @@
+defmodule SocialObjectsWeb.ProductControllerLiveTest do
+  use SocialObjectsWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+  import SocialObjects.AccountsFixtures
+  import SocialObjects.TiktokLiveFixtures
+
+  alias SocialObjects.Accounts
+  alias SocialObjects.Catalog
+  alias SocialObjects.ProductSets
+  alias SocialObjects.ProductSets.ProductSetProduct
+  alias SocialObjects.Repo
+  alias SocialObjectsWeb.Presence
+
+  setup %{conn: conn} do
+    brand = brand_fixture()
+    user = user_fixture()
+    {:ok, _user_brand} = Accounts.create_user_brand(user, brand, :admin)
+
+    product_ids =
+      for i <- 1..3 do
+        {:ok, product} =
+          Catalog.create_product(brand.id, %{
+            name: "Product #{i}",
+            original_price_cents: 1000,
+            active: true
+          })
+
+        product.id
+      end
+
+    unique_id = System.unique_integer([:positive])
+
+    {:ok, product_set} =
+      ProductSets.create_product_set_with_products(
+        brand.id,
+        %{name: "Show #{unique_id}", slug: "show-#{unique_id}"},
+        product_ids
+      )
+
+    %{
+      conn: log_in_user(conn, user),
+      brand: brand,
+      user: user,
+      product_set: product_set,
+      path: "/b/#{brand.slug}/products/#{product_set.id}"
+    }
+  end
+
+  describe "controls lock" do
+    setup %{brand: brand} do
+      other = user_fixture()
+      {:ok, _user_brand} = Accounts.create_user_brand(other, brand, :admin)
+      %{other_conn: log_in_user(build_conn(), other)}
+    end
+
+    test "only the tab holding the lock moves the set", %{
+      conn: conn,
+      other_conn: other_conn,
+      user: user,
+      product_set: product_set,
+      path: path
+    } do
+      {:ok, holder, _html} = live(conn, "#{path}/controller")
+      {:ok, other, _html} = live(other_conn, "#{path}/controller")
+
+      render_click(holder, "toggle_controls_lock", %{})
+
+      render_hook(other, "jump_to_product", %{"position" => "2"})
+      message = "Controls locked by #{Presence.display_name(user)}"
+      assert_reply(other, %{success: false, error: ^message})
+      render_click(other, "next_image", %{})
+      assert current_position(product_set) == 1
+
+      render_hook(holder, "jump_to_product", %{"position" => "3"})
+      assert_reply(holder, %{success: true, position: 3})
+      assert current_position(product_set) == 3
+    end
+
+    test "another tab of the holder's user is locked out too", %{
+      conn: conn,
+      product_set: product_set,
+      path: path
+    } do
+      {:ok, holder, _html} = live(conn, "#{path}/controller")
+      {:ok, second_tab, _html} = live(conn, "#{path}/controller")
+
+      render_click(holder, "toggle_controls_lock", %{})
+
+      render_hook(second_tab, "jump_to_product", %{"position" => "2"})
+      assert_reply(second_tab, %{success: false, error: "Controls locked by " <> _})
+      assert current_position(product_set) == 1
+    end
+
+    test "the host view moves the set only while nobody holds the lock", %{
+      conn: conn,
+      product_set: product_set,
+      path: path
+    } do
+      {:ok, controller, _html} = live(conn, "#{path}/controller")
+      {:ok, host, _html} = live(conn, "#{path}/host")
+
+      render_click(controller, "toggle_controls_lock", %{})
+      render_hook(host, "jump_to_product", %{"position" => "2"})
+      assert current_position(product_set) == 1
+
+      render_click(controller, "toggle_controls_lock", %{})
+      render_hook(host, "jump_to_product", %{"position" => "2"})
+      assert current_position(product_set) == 2
+    end
+  end
+
+  describe "go back" do
+    setup %{conn: conn, path: path} do
+      {:ok, view, _html} = live(conn, "#{path}/controller")
+
+      # Shown in turn: 1 (on mount), 3, then 2
+      for position <- [3, 2] do
+        render_hook(view, "jump_to_product", %{"position" => to_string(position)})
+        assert_reply(view, %{success: true, position: ^position})
+      end
+
+      %{view: view}
+    end
+
+    test "walks back through the products shown, then has nothing to go back to", %{
+      view: view,
+      product_set: product_set
+    } do
+      render_hook(view, "go_back", %{})
+      assert_reply(view, %{success: true, position: 3})
+      assert current_position(product_set) == 3
+
+      # Arriving through "go back" doesn't remember 2, so this goes further back
+      render_hook(view, "go_back", %{})
+      assert_reply(view, %{success: true, position: 1})
+
+      render_hook(view, "go_back", %{})
+      assert_reply(view, %{success: false, error: "Nothing to go back to"})
+      assert current_position(product_set) == 1
+    end
+
+    test "skips a product that has left the set", %{view: view, product_set: product_set} do
+      psp = Repo.get_by!(ProductSetProduct, product_set_id: product_set.id, position: 3)
+      {:ok, _psp} = ProductSets.remove_product_from_product_set(psp.id)
+
+      render_hook(view, "go_back", %{})
+      assert_reply(view, %{success: false, error: "Product not found"})
+      assert current_position(product_set) == 2
+
+      render_hook(view, "go_back", %{})
+      assert_reply(view, %{success: true, position: 1})
+      assert current_position(product_set) == 1
+    end
+  end
+
+  defp current_position(product_set) do
+    {:ok, state} = ProductSets.get_product_set_state(product_set.id)
+    ProductSets.get_product_set_product!(state.current_product_set_product_id).position
+  end
+end
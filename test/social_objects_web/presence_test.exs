@@ -0,0 +1,88 @@
+defmodule SocialObjectsWeb.PresenceTest do
+  use ExUnit.Case, async: true
+
+  alias SocialObjectsWeb.Presence
+
+  defp meta(user_id, name, fields) do
+    Map.merge(
+      %{
+        user_id: user_id,
+        name: name,
+        tab: System.unique_integer([:positive]),
+        joined_at: 0,
+        selection: nil,
+        selected_at: nil,
+        locked_at: nil
+      },
+      Map.new(fields)
+    )
+  end
+
+  describe "display_name/1" do
+    test "uses the first part of the email, capitalized" do
+      assert Presence.display_name(%{email: "sam@example.com"}) == "Sam"
+      assert Presence.display_name(%{email: "jo.lee+shows@example.com"}) == "Jo"
+    end
+
+    test "falls back when there is no email" do
+      assert Presence.display_name(%{}) == "Someone"
+    end
+  end
+
+  describe "people/1" do
+    test "lists each user once, in the order they joined" do
+      presences = %{
+        "2" => %{metas: [meta(2, "Alex", joined_at: 20)]},
+        "1" => %{
+          metas: [
+            meta(1, "Sam", joined_at: 30, selection: 4, selected_at: 100),
+            meta(1, "Sam", joined_at: 10, selection: 14, selected_at: 200, locked_at: 150)
+          ]
+        }
+      }
+
+      assert [
+               %{user_id: 1, initials: "S", selection: 14, locked: true},
+               %{user_id: 2, name: "Alex", selection: nil, locked: false}
+             ] = Presence.people(presences)
+    end
+  end
+
+  describe "lock_holder/1" do
+    test "is nil when nobody holds the lock" do
+      assert Presence.lock_holder(%{"1" => %{metas: [meta(1, "Sam", [])]}}) == nil
+    end
+
+    test "is the tab that locked first" do
+      presences = %{
+        "1" => %{metas: [meta(1, "Sam", locked_at: 200)]},
+        "2" => %{metas: [meta(2, "Alex", locked_at: 100)]}
+      }
+
+      assert %{user_id: 2, name: "Alex"} = Presence.lock_holder(presences)
+    end
+  end
+
+  describe "controls_free/2" do
+    test "lets anyone navigate while nobody holds the lock" do
+      presences = %{"1" => %{metas: [meta(1, "Sam", tab: 1)]}}
+
+      assert Presence.controls_free(presences, 1) == :ok
+      assert Presence.controls_free(presences, nil) == :ok
+    end
+
+    test "only lets the holding tab navigate" do
+      presences = %{
+        "1" => %{metas: [meta(1, "Sam", tab: 1, locked_at: 100), meta(1, "Sam", tab: 2)]},
+        "2" => %{metas: [meta(2, "Alex", tab: 3)]}
+      }
+
+      assert Presence.controls_free(presences, 1) == :ok
+      # The holder's other tab is a different controller
+      assert Presence.controls_free(presences, 2) == {:locked, "Sam"}
+      assert Presence.controls_free(presences, 3) == {:locked, "Sam"}
+      # The host view has no controller tab
+      assert Presence.controls_free(presences, nil) == {:locked, "Sam"}
+    end
+  end
+end